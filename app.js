@@ -0,0 +1,239 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { dataPath } from './lib/storage.js';
+import { logger } from './lib/logger.js';
+import { registerSessionMetrics } from './lib/metrics.js';
+import { createAuditLog } from './lib/audit.js';
+import { createIdempotencyStore } from './lib/idempotency.js';
+import { sendError, errorHandler } from './lib/errors.js';
+import { events } from './lib/events.js';
+import { createWebhookDispatcher } from './lib/webhooks.js';
+import { createApiKeyStore } from './lib/api-keys.js';
+import { createSessionManager } from './lib/sessions.js';
+import { openAuthBackend } from './lib/auth-state.js';
+import { createBroadcastManager } from './lib/broadcasts.js';
+import { createTemplateStore } from './lib/templates.js';
+import { createMessageTracker } from './lib/message-status.js';
+import { createCommandRouter, loadPlugins } from './lib/commands.js';
+import { createScheduler } from './lib/scheduler.js';
+import { createConversationManager, loadFlows } from './lib/conversations.js';
+import { sessionResolver } from './routes/helpers.js';
+import dashboardRoutes from './routes/dashboard.js';
+import sessionRoutes from './routes/session.js';
+import sessionsRoutes from './routes/sessions.js';
+import queueRoutes from './routes/queue.js';
+import webhookRoutes from './routes/webhooks.js';
+import mediaRoutes from './routes/media.js';
+import apiKeyRoutes from './routes/api-keys.js';
+import broadcastRoutes from './routes/broadcasts.js';
+import templateRoutes from './routes/templates.js';
+import messageRoutes from './routes/messages.js';
+import commandRoutes from './routes/commands.js';
+import eventRoutes from './routes/events.js';
+import groupRoutes from './routes/groups.js';
+import scheduleRoutes from './routes/schedules.js';
+import conversationRoutes from './routes/conversations.js';
+import metricsRoutes from './routes/metrics.js';
+import auditRoutes from './routes/audit.js';
+import historyRoutes from './routes/history.js';
+import interactiveRoutes from './routes/interactive.js';
+import openApiRoutes from './routes/openapi.js';
+
+// Express app + sessions tanpa listen/koneksi. socketFactory bisa diganti
+// (mis. fake socket di test) supaya app jalan tanpa WhatsApp sungguhan.
+export async function createApp({ authBackend, socketFactory } = {}) {
+    const app = express();
+    // Limit besar supaya payload media base64 muat
+    app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '150mb' }));
+    app.use(express.urlencoded({ extended: false }));
+
+    // API keys - semua route kecuali /health wajib pakai key
+    const apiKeys = createApiKeyStore({ file: dataPath('api-keys.json') });
+    const requireScope = apiKeys.requireScope;
+
+    // Audit trail - aksi admin dicatat lewat middleware audited('<action>')
+    const audit = createAuditLog({ file: dataPath('audit.jsonl') });
+    const audited = audit.middleware;
+
+    // Idempotency-Key di endpoint kirim - retry client tidak mengirim pesan dua kali
+    const idempotency = createIdempotencyStore({ file: dataPath('idempotency.jsonl') });
+    const idempotent = idempotency.middleware;
+
+    // Auth state - fs / sqlite / redis / http (AUTH_STORE), terenkripsi dengan AUTH_ENCRYPTION_KEY
+    authBackend ??= await openAuthBackend();
+
+    // WhatsApp sessions - satu per nomor
+    const sessions = createSessionManager({ file: dataPath('sessions.json'), authBackend, socketFactory });
+    const withSession = sessionResolver(sessions);
+    const unregisterMetrics = registerSessionMetrics(sessions);
+
+    // Template pesan - wording dikelola di satu tempat
+    const templates = createTemplateStore({ file: dataPath('templates.json') });
+
+    // Broadcast - kirim massal dengan jeda + jitter
+    const broadcasts = createBroadcastManager({ dir: dataPath('broadcasts'), sessions });
+
+    // Scheduler - pesan terjadwal / berulang (cron), zona waktu default Asia/Jakarta
+    const scheduler = createScheduler({ file: dataPath('schedules.json'), sessions, templates });
+
+    // Listener di event bus global dicatat supaya stop() bisa melepasnya
+    const listeners = [];
+    const subscribe = (type, listener) => {
+        events.on(type, listener);
+        listeners.push([type, listener]);
+    };
+
+    // Webhooks - pesan masuk diteruskan ke backend
+    const webhooks = createWebhookDispatcher({
+        file: dataPath('webhooks.json'),
+        logFile: dataPath('webhook-deliveries.jsonl'),
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5
+    });
+
+    subscribe('message.received', (message) => {
+        webhooks.dispatch('message.received', message);
+    });
+
+    subscribe('poll.updated', (poll) => {
+        webhooks.dispatch('poll.updated', poll);
+    });
+
+    // Auto-responder - command/keyword rules, handler tambahan dari folder plugins
+    const commands = createCommandRouter({ file: dataPath('auto-reply.json') });
+    await loadPlugins(commands, process.env.PLUGINS_DIR || fileURLToPath(new URL('./plugins', import.meta.url)));
+
+    // Conversation flows - klaim garansi dsb, definisi di folder flows
+    const conversations = createConversationManager({
+        file: dataPath('conversations.json'),
+        submissionsFile: dataPath('submissions.jsonl'),
+        mediaFolder: dataPath('submissions'),
+        sessions,
+        commands,
+        onComplete: (submission) => webhooks.dispatch('flow.completed', submission)
+    });
+    await loadFlows(conversations, process.env.FLOWS_DIR || fileURLToPath(new URL('./flows', import.meta.url)));
+
+    // Percakapan aktif didahulukan, baru command/keyword
+    // Error dari flow / plugin tidak boleh menjatuhkan proses (listener async = unhandled rejection)
+    subscribe('message.received', async (message) => {
+        const session = sessions.get(message.sessionId);
+        if (!session) return;
+        try {
+            if (await conversations.handle(message, session)) return;
+            await commands.handle(message, session);
+        } catch (error) {
+            session.log.error({ err: error, phone: message.phone, messageId: message.id }, 'Failed to handle incoming message');
+        }
+    });
+
+    // Delivery tracking - pending, server_ack, delivered, read, failed
+    const tracker = createMessageTracker({
+        file: dataPath('messages.jsonl'),
+        retentionDays: parseInt(process.env.MESSAGE_HISTORY_DAYS, 10) || 30,
+        onChange: ({ history, ...record }) => {
+            webhooks.dispatch('message.status', record);
+            events.emit('message.status', record);
+        }
+    });
+
+    subscribe('outbound.updated', ({ sessionId, item }) => tracker.trackQueueItem(sessionId, item));
+    subscribe('message.receipt', (receipt) => tracker.applyReceipt(receipt));
+
+    // Admin dashboard (halaman + assets di public/dashboard) + login
+    app.use(dashboardRoutes({ apiKeys, sessions, audited }));
+
+    // API: Session management
+    app.use(sessionsRoutes({ sessions, requireScope, audited }));
+
+    // API: Real-time event stream (SSE)
+    app.use(eventRoutes({ sessions, requireScope }));
+
+    // API: Per-session routes (send, media, polls, groups, qr, status, clear-auth, queue, chats).
+    // Tanpa prefix memakai session "default".
+    for (const router of [
+        sessionRoutes({ templates, requireScope, withSession, audited, idempotent }),
+        mediaRoutes({ requireScope, withSession, idempotent }),
+        interactiveRoutes({ requireScope, withSession, idempotent }),
+        groupRoutes({ requireScope, withSession, audited }),
+        queueRoutes({ requireScope, withSession, audited }),
+        historyRoutes({ requireScope, withSession })
+    ]) {
+        app.use(router);
+        app.use('/sessions/:sessionId', router);
+    }
+
+    // API: Broadcasts
+    app.use(broadcastRoutes({ broadcasts, templates, requireScope, withSession, idempotent }));
+
+    // API: Scheduled messages
+    app.use(scheduleRoutes({ scheduler, requireScope, withSession, idempotent }));
+
+    // API: Templates
+    app.use(templateRoutes({ templates, requireScope, audited }));
+
+    // API: Message status
+    app.use(messageRoutes({ tracker, requireScope }));
+
+    // API: Auto-responder commands
+    app.use(commandRoutes({ commands, requireScope, audited }));
+
+    // API: Conversation flows + submissions
+    app.use(conversationRoutes({ conversations, requireScope, audited }));
+
+    // API: Webhooks
+    app.use(webhookRoutes({ webhooks, requireScope, audited }));
+
+    // API: API key management
+    app.use(apiKeyRoutes({ apiKeys, requireScope, audited }));
+
+    // API: Audit trail
+    app.use(auditRoutes({ audit, requireScope }));
+
+    // API: Prometheus metrics
+    app.use(metricsRoutes({ requireScope }));
+
+    // API: OpenAPI document (/openapi.json)
+    app.use(openApiRoutes());
+
+    // API: Health Check
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            service: 'whatsapp-bot',
+            connected: sessions.list().some(session => session.isConnected),
+            sessions: sessions.list().length,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Route tidak dikenal + error yang lolos (JSON rusak, dsb) memakai format error yang sama
+    app.use((req, res) => {
+        sendError(res, 'NOT_FOUND', `Cannot ${req.method} ${req.path}`);
+    });
+    app.use(errorHandler(logger));
+
+    return {
+        app,
+        sessions,
+        authBackend,
+
+        // Sambungkan semua session + lanjutkan broadcast & jadwal yang tertunda
+        start() {
+            sessions.connectAll();
+            broadcasts.resumeAll();
+            scheduler.start();
+        },
+
+        async stop() {
+            for (const [type, listener] of listeners) events.off(type, listener);
+            scheduler.stop();
+            conversations.stop();
+            broadcasts.stop();
+            webhooks.stop();
+            unregisterMetrics();
+            sessions.endAll();
+            logger.info('Sockets closed');
+            await authBackend.close();
+        }
+    };
+}
@@ -0,0 +1,68 @@
+import { COMPLETE, CANCEL } from '../lib/conversations.js';
+import { FILTERS } from '../lib/templates.js';
+
+// Klaim garansi: nomor seri -> tanggal pembelian -> foto kerusakan -> konfirmasi.
+// Hasilnya dikirim sebagai webhook "flow.completed" dan bisa dilihat di GET /submissions.
+
+// DD-MM-YYYY atau DD/MM/YYYY -> YYYY-MM-DD
+function parseDate(text) {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text.trim());
+    if (!match) return null;
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+export default {
+    id: 'warranty-claim',
+    description: 'Ajukan klaim garansi',
+    trigger: { commands: ['klaim'], keywords: ['klaim garansi'] },
+    timeoutMs: 15 * 60 * 1000,
+
+    steps: {
+        serial: {
+            prompt: 'Baik, kita mulai klaim garansi. Ketik *batal* kapan saja untuk berhenti.\n\nSilakan kirim *nomor seri* produk (tertera di label belakang unit).',
+            validate: text => /^[A-Z0-9-]{5,30}$/i.test(text) || 'Nomor seri tidak valid. Gunakan huruf/angka saja, contoh: SN123456',
+            transform: text => text.toUpperCase()
+        },
+        purchase_date: {
+            prompt: 'Kapan produk dibeli? Format *DD-MM-YYYY*, contoh: 17-08-2024',
+            validate: (text) => {
+                const date = parseDate(text);
+                if (!date) return 'Tanggal tidak valid. Gunakan format DD-MM-YYYY, contoh: 17-08-2024';
+                if (date > new Date().toISOString().slice(0, 10)) return 'Tanggal pembelian tidak boleh di masa depan.';
+                return true;
+            },
+            transform: parseDate
+        },
+        description: {
+            prompt: 'Ceritakan singkat kerusakan yang dialami.',
+            validate: text => text.length >= 5 || 'Mohon jelaskan kerusakan sedikit lebih detail.'
+        },
+        damage_photo: {
+            prompt: 'Kirim *foto* bagian yang rusak.',
+            input: 'image'
+        },
+        confirm: {
+            prompt: answers => [
+                '*Ringkasan Klaim*',
+                `Nomor seri: ${answers.serial}`,
+                `Tanggal beli: ${FILTERS.date(answers.purchase_date)}`,
+                `Kerusakan: ${answers.description}`,
+                'Foto: terlampir',
+                '',
+                'Kirim klaim ini? Balas *ya*, *ubah* untuk mengisi ulang, atau *batal*.'
+            ].join('\n'),
+            choices: ['ya', 'ubah', 'batal'],
+            next: answer => ({ ya: COMPLETE, ubah: 'serial', batal: CANCEL })[answer]
+        }
+    },
+
+    messages: {
+        completed: (answers, submission) => `✅ Klaim garansi untuk *${answers.serial}* sudah kami terima.\nNomor klaim: *${submission.id.slice(0, 8).toUpperCase()}*\nTim kami akan menghubungi Anda dalam 1x24 jam kerja.`,
+        cancelled: 'Klaim garansi dibatalkan. Ketik *klaim garansi* untuk memulai lagi.',
+        timeout: 'Klaim garansi dihentikan karena tidak ada balasan selama 15 menit. Ketik *klaim garansi* untuk memulai lagi.',
+        image: 'Mohon kirim foto kerusakan (bukan teks atau file lain).'
+    }
+};
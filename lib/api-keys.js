@@ -0,0 +1,165 @@
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { readJson, writeJson } from './storage.js';
+import { createLogger } from './logger.js';
+import { sendError } from './errors.js';
+
+const log = createLogger('api-keys');
+
+// admin mencakup semua scope lain
+export const SCOPES = ['send', 'read', 'admin'];
+
+export const SESSION_COOKIE = 'wab_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && timingSafeEqual(left, right);
+}
+
+export function hasScope(record, scope) {
+    return record.scopes.includes('admin') || record.scopes.includes(scope);
+}
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        // Cookie rusak (mis. "%E0%A4%A") dilewati, bukan 500 di setiap request
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            if (!(error instanceof URIError)) throw error;
+        }
+    }
+    return cookies;
+}
+
+// Keys are stored hashed; the plaintext is only returned once at creation
+export function createApiKeyStore({ file }) {
+    let keys = readJson(file, []);
+    const sessionSecret = process.env.SESSION_SECRET || randomBytes(32).toString('hex');
+
+    function envAdmin() {
+        const key = process.env.ADMIN_API_KEY;
+        if (!key) return null;
+        return { id: 'env-admin', name: 'ADMIN_API_KEY', hash: hashKey(key), scopes: ['admin'], readOnly: true };
+    }
+
+    function all() {
+        const admin = envAdmin();
+        return admin ? [admin, ...keys] : keys;
+    }
+
+    function sign(value) {
+        return createHmac('sha256', sessionSecret).update(value).digest('base64url');
+    }
+
+    const store = {
+        list() {
+            return all().map(({ hash, ...record }) => record);
+        },
+
+        create({ name, scopes }) {
+            const key = 'wab_' + randomBytes(24).toString('base64url');
+            const record = {
+                id: randomUUID(),
+                name,
+                prefix: key.slice(0, 8),
+                hash: hashKey(key),
+                scopes,
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null
+            };
+            keys.push(record);
+            writeJson(file, keys);
+
+            const { hash, ...visible } = record;
+            return { key, record: visible };
+        },
+
+        revoke(id) {
+            const before = keys.length;
+            keys = keys.filter(record => record.id !== id);
+            if (keys.length === before) return false;
+            writeJson(file, keys);
+            return true;
+        },
+
+        verify(key) {
+            if (!key) return null;
+            const hash = hashKey(key);
+            const record = all().find(r => safeEqual(r.hash, hash));
+            if (!record) return null;
+
+            // Cukup dicatat sekali per menit, bukan tiap request
+            if (!record.readOnly && Date.now() - (Date.parse(record.lastUsedAt) || 0) > 60000) {
+                record.lastUsedAt = new Date().toISOString();
+                writeJson(file, keys);
+            }
+            return record;
+        },
+
+        // Cookie sesi untuk halaman admin: "<payload>.<hmac>"
+        createSession(record) {
+            const payload = Buffer.from(JSON.stringify({
+                keyId: record.id,
+                exp: Date.now() + SESSION_TTL_MS
+            })).toString('base64url');
+            return `${payload}.${sign(payload)}`;
+        },
+
+        verifySession(token) {
+            const [payload, signature] = (token || '').split('.');
+            if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+            try {
+                const { keyId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+                if (exp < Date.now()) return null;
+                // Key yang sudah di-revoke langsung mematikan sesinya
+                return all().find(r => r.id === keyId) || null;
+            } catch {
+                return null;
+            }
+        },
+
+        // Resolve the caller from a bearer header or the admin session cookie
+        authenticate(req) {
+            const header = req.get('authorization') || '';
+            const match = /^Bearer\s+(.+)$/i.exec(header);
+            if (match) return store.verify(match[1].trim());
+
+            const cookies = parseCookies(req.get('cookie'));
+            return store.verifySession(cookies[SESSION_COOKIE]);
+        },
+
+        // Middleware factory: requireScope('send'), requireScope('admin'), ...
+        requireScope(scope) {
+            return (req, res, next) => {
+                const record = store.authenticate(req);
+                if (!record) {
+                    return sendError(res, 'UNAUTHORIZED', 'Missing or invalid API key, send it as "Authorization: Bearer <key>"');
+                }
+                if (!hasScope(record, scope)) {
+                    return sendError(res, 'FORBIDDEN', `API key lacks the "${scope}" scope`);
+                }
+                req.apiKey = record;
+                next();
+            };
+        }
+    };
+
+    // Tanpa key sama sekali, buat satu admin key supaya server tidak terbuka
+    if (all().length === 0) {
+        const { key } = store.create({ name: 'bootstrap-admin', scopes: ['admin'] });
+        // Level warn supaya tetap muncul walau LOG_LEVEL=warn
+        log.warn({ key }, 'No API keys configured, generated an admin key. Store it now - it will not be shown again.');
+    }
+
+    return store;
+}
@@ -0,0 +1,74 @@
+import { randomUUID } from 'crypto';
+import { readJsonLines, appendJsonLine, writeJsonLines } from './storage.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('audit');
+
+// Audit trail untuk aksi admin (clear-auth, session, API key, webhook, ...).
+// Append-only JSONL; hanya maxEntries terakhir yang disimpan.
+export function createAuditLog({ file, maxEntries = parseInt(process.env.AUDIT_MAX_ENTRIES, 10) || 10000 }) {
+    let entries = readJsonLines(file).slice(-maxEntries);
+    let journalLines = entries.length;
+
+    function record(entry) {
+        const full = { id: randomUUID(), at: new Date().toISOString(), ...entry };
+        entries.push(full);
+        appendJsonLine(file, full);
+        journalLines++;
+
+        if (journalLines > maxEntries * 2) {
+            entries = entries.slice(-maxEntries);
+            writeJsonLines(file, entries);
+            journalLines = entries.length;
+        }
+
+        log.info({ action: full.action, actor: full.actor?.name || null, sessionId: full.sessionId, target: full.target, status: full.status }, 'Audit');
+        return full;
+    }
+
+    return {
+        record,
+
+        // Filter: action ("session.clear_auth" atau prefix "session."), actor (key id), sessionId, success, since, until
+        query({ action, actor, sessionId, success, since, until, limit = 100, offset = 0 } = {}) {
+            const matches = entries.filter(entry =>
+                (!action || (action.endsWith('.') ? entry.action.startsWith(action) : entry.action === action)) &&
+                (!actor || entry.actor?.id === actor) &&
+                (!sessionId || entry.sessionId === sessionId) &&
+                (success === undefined || entry.success === success) &&
+                (!since || entry.at >= since) &&
+                (!until || entry.at <= until)
+            ).reverse();
+            return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+        },
+
+        // Middleware factory: audited('session.clear_auth', req => ({ ...details }))
+        // Dicatat setelah response selesai, termasuk yang gagal (status >= 400)
+        middleware(action, describe) {
+            return (req, res, next) => {
+                const { params } = req;
+                res.on('finish', () => {
+                    let details = null;
+                    try {
+                        details = describe ? describe(req, res) : null;
+                    } catch (error) {
+                        details = { error: error.message };
+                    }
+                    record({
+                        action,
+                        actor: req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name } : null,
+                        sessionId: req.waSession?.id || params.sessionId || null,
+                        target: params.id || params.name || params.groupId || null,
+                        method: req.method,
+                        path: req.originalUrl.split('?')[0],
+                        status: res.statusCode,
+                        success: res.statusCode < 400,
+                        ip: req.ip,
+                        details
+                    });
+                });
+                next();
+            };
+        }
+    };
+}
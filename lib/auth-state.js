@@ -0,0 +1,126 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import baileys from '@whiskeysockets/baileys';
+import { createLogger } from './logger.js';
+
+// WAProto di Baileys berupa CommonJS, jadi proto tidak bisa di-import sebagai named export
+const { BufferJSON, initAuthCreds, proto } = baileys;
+
+const log = createLogger('auth');
+
+export const AUTH_STORES = ['fs', 'sqlite', 'redis', 'http'];
+
+const PREFIX = 'enc:v1:';
+
+// Nama key sama dengan nama file useMultiFileAuthState (tanpa .json),
+// jadi folder auth_info_baileys lama bisa disalin apa adanya
+export function authKey(name) {
+    return name.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+// AES-256-GCM; value lama yang belum terenkripsi tetap bisa dibaca
+export function createCipher(secret) {
+    if (!secret) {
+        return { encrypted: false, encrypt: value => value, decrypt: value => value };
+    }
+
+    const key = scryptSync(secret, 'wab-auth-state', 32);
+    return {
+        encrypted: true,
+        encrypt(value) {
+            const iv = randomBytes(12);
+            const cipher = createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+            return PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+        },
+        decrypt(value) {
+            if (!value.startsWith(PREFIX)) return value;
+            const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+            const decipher = createDecipheriv('aes-256-gcm', key, iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+        }
+    };
+}
+
+// AUTH_STORE memilih backend; semua backend punya bentuk yang sama:
+// { name, scope({ id, folder }) -> { location, get, set, delete, keys, clear }, close() }
+export async function openAuthBackend(type = process.env.AUTH_STORE || 'fs') {
+    if (!AUTH_STORES.includes(type)) {
+        throw new Error(`AUTH_STORE must be one of: ${AUTH_STORES.join(', ')}`);
+    }
+
+    const secret = process.env.AUTH_ENCRYPTION_KEY;
+    if (!secret && type !== 'fs') {
+        throw new Error(`AUTH_ENCRYPTION_KEY is required for the ${type} auth store`);
+    }
+    if (!secret) {
+        log.warn('AUTH_ENCRYPTION_KEY not set, credentials are stored unencrypted on disk');
+    }
+
+    const { default: createBackend } = await import(`./auth-stores/${type}.js`);
+    const backend = await createBackend();
+    const cipher = createCipher(secret);
+
+    return {
+        name: type,
+        encrypted: cipher.encrypted,
+
+        scope(options) {
+            const store = backend.scope(options);
+            return {
+                ...store,
+                async get(key) {
+                    const value = await store.get(key);
+                    return value === null ? null : cipher.decrypt(value);
+                },
+                set: (key, value) => store.set(key, cipher.encrypt(value))
+            };
+        },
+
+        close: () => backend.close()
+    };
+}
+
+// Pengganti useMultiFileAuthState di atas key-value store apa pun
+export async function useStoreAuthState(store) {
+    async function read(name) {
+        const value = await store.get(authKey(name));
+        return value === null ? null : JSON.parse(value, BufferJSON.reviver);
+    }
+
+    function write(name, data) {
+        return store.set(authKey(name), JSON.stringify(data, BufferJSON.replacer));
+    }
+
+    const creds = (await read('creds')) || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                async get(type, ids) {
+                    const data = {};
+                    await Promise.all(ids.map(async (id) => {
+                        let value = await read(`${type}-${id}`);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                async set(data) {
+                    const tasks = [];
+                    for (const category of Object.keys(data)) {
+                        for (const [id, value] of Object.entries(data[category])) {
+                            const name = `${category}-${id}`;
+                            tasks.push(value ? write(name, value) : store.delete(authKey(name)));
+                        }
+                    }
+                    await Promise.all(tasks);
+                }
+            }
+        },
+        saveCreds: () => write('creds', creds)
+    };
+}
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { ensureDir } from '../storage.js';
+
+// Satu file per key di folder auth session (format sama dengan useMultiFileAuthState)
+export default async function createFsStore() {
+    return {
+        scope({ folder }) {
+            const fileOf = key => join(folder, `${key}.json`);
+            // Write per key berurutan supaya creds terbaru yang tersimpan terakhir
+            const writes = new Map();
+
+            return {
+                location: folder,
+
+                async get(key) {
+                    try {
+                        return await fs.promises.readFile(fileOf(key), 'utf8');
+                    } catch (err) {
+                        if (err.code === 'ENOENT') return null;
+                        throw err;
+                    }
+                },
+
+                set(key, value) {
+                    const write = async () => {
+                        ensureDir(folder);
+                        const tmp = `${fileOf(key)}.${randomUUID()}.tmp`;
+                        await fs.promises.writeFile(tmp, value);
+                        await fs.promises.rename(tmp, fileOf(key));
+                    };
+                    const previous = writes.get(key) || Promise.resolve();
+                    const current = previous.catch(() => {}).then(write);
+                    writes.set(key, current);
+                    current.finally(() => {
+                        if (writes.get(key) === current) writes.delete(key);
+                    }).catch(() => {});
+                    return current;
+                },
+
+                async delete(key) {
+                    await fs.promises.rm(fileOf(key), { force: true });
+                },
+
+                async keys() {
+                    if (!fs.existsSync(folder)) return [];
+                    return fs.readdirSync(folder)
+                        .filter(name => name.endsWith('.json'))
+                        .map(name => name.slice(0, -'.json'.length));
+                },
+
+                async clear() {
+                    fs.rmSync(folder, { recursive: true, force: true });
+                }
+            };
+        },
+
+        async close() {}
+    };
+}
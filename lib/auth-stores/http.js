@@ -0,0 +1,59 @@
+import { createLogger } from '../logger.js';
+
+const log = createLogger('auth');
+
+// Generic key-value HTTP service (AUTH_HTTP_URL, optional AUTH_HTTP_TOKEN):
+//   GET    /:session/:key  -> 200 value (text) | 404
+//   PUT    /:session/:key  <- value (text)
+//   DELETE /:session/:key
+//   GET    /:session       -> 200 ["key", ...]
+//   DELETE /:session
+export default async function createHttpStore() {
+    const baseUrl = (process.env.AUTH_HTTP_URL || '').replace(/\/$/, '');
+    if (!baseUrl) throw new Error('AUTH_HTTP_URL is required for the http auth store');
+
+    const headers = process.env.AUTH_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.AUTH_HTTP_TOKEN}` } : {};
+
+    async function request(method, path, body) {
+        const response = await fetch(`${baseUrl}/${path}`, {
+            method,
+            headers: body === undefined ? headers : { ...headers, 'Content-Type': 'text/plain' },
+            body,
+            signal: AbortSignal.timeout(10000)
+        });
+        if (response.status === 404 && method !== 'PUT') return null;
+        if (!response.ok) throw new Error(`Auth store ${method} /${path} returned HTTP ${response.status}`);
+        return response;
+    }
+
+    log.info({ url: baseUrl }, 'Auth state: HTTP');
+
+    return {
+        scope({ id }) {
+            const path = key => `${encodeURIComponent(id)}/${encodeURIComponent(key)}`;
+
+            return {
+                location: `${baseUrl}/${encodeURIComponent(id)}`,
+                async get(key) {
+                    const response = await request('GET', path(key));
+                    return response ? response.text() : null;
+                },
+                async set(key, value) {
+                    await request('PUT', path(key), value);
+                },
+                async delete(key) {
+                    await request('DELETE', path(key));
+                },
+                async keys() {
+                    const response = await request('GET', encodeURIComponent(id));
+                    return response ? response.json() : [];
+                },
+                async clear() {
+                    await request('DELETE', encodeURIComponent(id));
+                }
+            };
+        },
+
+        async close() {}
+    };
+}
@@ -0,0 +1,55 @@
+import { createLogger } from '../logger.js';
+
+const log = createLogger('auth');
+
+// Redis (REDIS_URL), key: <AUTH_REDIS_PREFIX>:<session>:<key>, butuh package redis
+export default async function createRedisStore() {
+    const { createClient } = await import('redis');
+
+    const url = process.env.REDIS_URL;
+    if (!url) throw new Error('REDIS_URL is required for the redis auth store');
+    const prefix = process.env.AUTH_REDIS_PREFIX || 'wab:auth';
+
+    const client = createClient({ url });
+    client.on('error', (error) => log.error({ err: error.message }, 'Redis error'));
+    await client.connect();
+
+    log.info({ prefix }, 'Auth state: Redis');
+
+    return {
+        scope({ id }) {
+            const base = `${prefix}:${id}:`;
+
+            async function keys() {
+                const found = [];
+                for await (const batch of client.scanIterator({ MATCH: `${base}*`, COUNT: 500 })) {
+                    // redis v4 menghasilkan string, v5 array per batch
+                    found.push(...[].concat(batch));
+                }
+                return found;
+            }
+
+            return {
+                location: `redis:${base}*`,
+                get: key => client.get(base + key),
+                async set(key, value) {
+                    await client.set(base + key, value);
+                },
+                async delete(key) {
+                    await client.del(base + key);
+                },
+                async keys() {
+                    return (await keys()).map(key => key.slice(base.length));
+                },
+                async clear() {
+                    const existing = await keys();
+                    if (existing.length > 0) await client.del(existing);
+                }
+            };
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+}
@@ -0,0 +1,61 @@
+import { dirname } from 'path';
+import { dataPath, ensureDir } from '../storage.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('auth');
+
+// Satu file SQLite untuk semua session (AUTH_SQLITE_PATH), butuh better-sqlite3
+export default async function createSqliteStore() {
+    const { default: Database } = await import('better-sqlite3');
+
+    const file = process.env.AUTH_SQLITE_PATH || dataPath('auth.sqlite');
+    ensureDir(dirname(file));
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+        session TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (session, key)
+    )`);
+
+    const statements = {
+        get: db.prepare('SELECT value FROM auth_state WHERE session = ? AND key = ?'),
+        set: db.prepare(`INSERT INTO auth_state (session, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (session, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+        delete: db.prepare('DELETE FROM auth_state WHERE session = ? AND key = ?'),
+        keys: db.prepare('SELECT key FROM auth_state WHERE session = ?'),
+        clear: db.prepare('DELETE FROM auth_state WHERE session = ?')
+    };
+
+    log.info({ file }, 'Auth state: SQLite');
+
+    return {
+        scope({ id }) {
+            return {
+                location: `sqlite:${file}#${id}`,
+                async get(key) {
+                    return statements.get.get(id, key)?.value ?? null;
+                },
+                async set(key, value) {
+                    statements.set.run(id, key, value, new Date().toISOString());
+                },
+                async delete(key) {
+                    statements.delete.run(id, key);
+                },
+                async keys() {
+                    return statements.keys.all(id).map(row => row.key);
+                },
+                async clear() {
+                    statements.clear.run(id);
+                }
+            };
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
@@ -0,0 +1,268 @@
+import fs from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { ensureDir, readJson, writeJson } from './storage.js';
+import { renderTemplate } from './templates.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('broadcasts');
+
+// Status per penerima: pending -> queued -> sent | not_on_whatsapp | failed (| cancelled)
+export const RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'not_on_whatsapp', 'failed', 'cancelled'];
+
+const OFFLINE_POLL_MS = 5000;
+const ATTEMPT_WAIT_MS = 30000;
+
+function countStatuses(job) {
+    const counts = Object.fromEntries(RECIPIENT_STATUSES.map(s => [s, 0]));
+    for (const recipient of job.recipients) counts[recipient.status]++;
+    return counts;
+}
+
+// Ringkasan job tanpa daftar penerima lengkap
+export function summarize(job) {
+    const { recipients, ...rest } = job;
+    const counts = countStatuses(job);
+    const done = recipients.length - counts.pending - counts.queued;
+    return {
+        ...rest,
+        total: recipients.length,
+        counts,
+        progress: recipients.length ? Math.round((done / recipients.length) * 100) : 100
+    };
+}
+
+// Broadcast jobs are persisted one file per job and resumed after a restart.
+// Each recipient goes through the session queue one at a time, with a
+// minimum delay plus random jitter between sends to avoid bans.
+export function createBroadcastManager({ dir, sessions }) {
+    ensureDir(dir);
+    const jobs = new Map();
+    const timers = new Set();
+    let stopped = false;
+
+    // Jeda antar pesan; dibatalkan oleh stop()
+    function sleep(ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                resolve();
+            }, ms);
+            timers.add(timer);
+        });
+    }
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+        const job = readJson(join(dir, file), null);
+        if (job) jobs.set(job.id, job);
+    }
+
+    function save(job) {
+        job.updatedAt = new Date().toISOString();
+        writeJson(join(dir, `${job.id}.json`), job);
+    }
+
+    function finish(job, status, reason = null) {
+        job.status = status;
+        job.reason = reason;
+        job.completedAt = new Date().toISOString();
+        for (const recipient of job.recipients) {
+            if (recipient.status === 'pending') {
+                recipient.status = 'cancelled';
+                recipient.reason = reason;
+            }
+        }
+        save(job);
+        log.info({ broadcastId: job.id, status, reason, counts: countStatuses(job) }, 'Broadcast finished');
+    }
+
+    // Tunggu sampai item di queue selesai (sent atau dead), termasuk retry-nya
+    async function waitForFinal(queue, queueId, job) {
+        while (job.status === 'running' && !stopped) {
+            const item = queue.get(queueId);
+            if (!item || item.status === 'sent' || item.status === 'dead') return item;
+            await queue.waitForAttempt(queueId, ATTEMPT_WAIT_MS);
+        }
+        return queue.get(queueId);
+    }
+
+    function applyResult(recipient, item) {
+        if (!item) {
+            recipient.status = 'failed';
+            recipient.reason = 'Removed from queue';
+        } else if (item.status === 'sent') {
+            recipient.status = 'sent';
+            recipient.messageId = item.messageId;
+            recipient.sentAt = item.sentAt;
+            recipient.reason = null;
+        } else if (item.status === 'dead') {
+            recipient.status = item.errorCode === 'NOT_ON_WHATSAPP' ? 'not_on_whatsapp' : 'failed';
+            recipient.reason = item.lastError;
+        }
+    }
+
+    // Pesan yang sedang dikirim saat dibatalkan: tunggu hasilnya, terkirim tetap "sent",
+    // selain itu dikeluarkan dari queue (tidak di-retry) dan jadi "cancelled"
+    async function settleCancelled(queue, job, recipient) {
+        let item = queue.get(recipient.queueId);
+        while (item?.status === 'sending' && !stopped) {
+            await queue.waitForAttempt(recipient.queueId, ATTEMPT_WAIT_MS);
+            item = queue.get(recipient.queueId);
+        }
+        if (item?.status === 'sending') return;
+
+        if (item?.status === 'sent') {
+            applyResult(recipient, item);
+        } else {
+            if (item) queue.remove(recipient.queueId);
+            recipient.status = 'cancelled';
+            recipient.reason = job.reason;
+        }
+        save(job);
+    }
+
+    async function run(job) {
+        while (job.status === 'running' && !stopped) {
+            const session = sessions.get(job.sessionId);
+            if (!session) {
+                finish(job, 'cancelled', 'Session was deleted');
+                return;
+            }
+
+            const recipient = job.recipients.find(r => r.status === 'queued' || r.status === 'pending');
+            if (!recipient) {
+                finish(job, 'completed');
+                return;
+            }
+
+            if (recipient.status === 'pending') {
+                // Jangan menumpuk di queue saat offline, tunggu koneksi dulu
+                if (!session.isConnected) {
+                    await sleep(OFFLINE_POLL_MS);
+                    continue;
+                }
+
+                let text;
+                try {
+                    text = renderTemplate(job.message, { phone: recipient.to, ...recipient.variables }, { required: job.required });
+                } catch (error) {
+                    recipient.status = 'failed';
+                    recipient.reason = error.message;
+                    save(job);
+                    continue;
+                }
+
+                const item = session.queue.enqueue({
+                    to: recipient.to,
+                    jid: `${recipient.to}@s.whatsapp.net`,
+                    content: { text },
+                    broadcastId: job.id
+                });
+                recipient.status = 'queued';
+                recipient.queueId = item.id;
+                save(job);
+            }
+
+            const item = await waitForFinal(session.queue, recipient.queueId, job);
+            if (job.status !== 'running' || stopped) return;
+
+            applyResult(recipient, item);
+            save(job);
+
+            const delay = job.options.minDelayMs + Math.random() * job.options.jitterMs;
+            await sleep(delay);
+        }
+    }
+
+    function start(job) {
+        run(job).catch((error) => {
+            log.error({ broadcastId: job.id, err: error }, 'Broadcast crashed');
+            finish(job, 'failed', error.message);
+        });
+    }
+
+    return {
+        // recipients: [{ to, phone, variables }] already formatted + deduplicated
+        // message is the template body; required lists variables a stored template demands
+        create({ sessionId, message, template = null, required = [], recipients, invalid = [], options }) {
+            const now = new Date().toISOString();
+            const job = {
+                id: randomUUID(),
+                sessionId,
+                message,
+                template,
+                required,
+                status: 'running',
+                reason: null,
+                options,
+                createdAt: now,
+                updatedAt: now,
+                completedAt: null,
+                recipients: [
+                    ...recipients.map(r => ({ ...r, status: 'pending', reason: null, queueId: null, messageId: null, sentAt: null })),
+                    ...invalid.map(r => ({ ...r, status: 'failed', queueId: null, messageId: null, sentAt: null }))
+                ]
+            };
+            jobs.set(job.id, job);
+            save(job);
+            log.info({ broadcastId: job.id, sessionId, recipients: recipients.length }, 'Broadcast started');
+            start(job);
+            return job;
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        list() {
+            return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job || job.status !== 'running') return null;
+
+            // Pesan yang sudah di queue tapi belum terkirim ikut dibatalkan;
+            // yang sudah selesai dicatat hasilnya, yang sedang dikirim ditunggu
+            const queue = sessions.get(job.sessionId)?.queue;
+            const inFlight = [];
+            for (const recipient of job.recipients) {
+                if (recipient.status !== 'queued') continue;
+                const item = queue?.get(recipient.queueId);
+                if (item?.status === 'sent' || item?.status === 'dead') {
+                    applyResult(recipient, item);
+                } else if (item?.status === 'sending') {
+                    inFlight.push(recipient);
+                } else {
+                    if (item) queue.remove(recipient.queueId);
+                    recipient.status = 'pending';
+                }
+            }
+            finish(job, 'cancelled', 'Cancelled by user');
+
+            for (const recipient of inFlight) {
+                settleCancelled(queue, job, recipient).catch((error) => {
+                    log.error({ broadcastId: job.id, err: error }, 'Failed to settle cancelled recipient');
+                });
+            }
+            return job;
+        },
+
+        // Lanjutkan job yang masih berjalan saat proses terakhir mati
+        resumeAll() {
+            for (const job of jobs.values()) {
+                if (job.status === 'running') {
+                    log.info({ broadcastId: job.id }, 'Resuming broadcast');
+                    start(job);
+                }
+            }
+        },
+
+        // Hentikan job tanpa mengubah statusnya; resumeAll() melanjutkan saat start berikutnya
+        stop() {
+            stopped = true;
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+        }
+    };
+}
@@ -0,0 +1,217 @@
+import fs from 'fs';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { readJson, writeJson } from './storage.js';
+import { createLogger } from './logger.js';
+import { parsePhone, userJidToPhone, PhoneError } from './phone.js';
+
+const log = createLogger('commands');
+
+function normalizeText(text) {
+    return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+// AUTO_REPLY_ALLOW / AUTO_REPLY_DENY dinormalisasi seperti lewat API (0812... -> 62812...),
+// entry yang tidak valid dilaporkan saat startup dan diabaikan
+function parsePhoneEnv(name) {
+    const phones = new Set();
+    for (const entry of (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        try {
+            phones.add(userJidToPhone(entry) || parsePhone(entry).phone);
+        } catch (error) {
+            if (!(error instanceof PhoneError)) throw error;
+            log.warn({ env: name, phone: entry, reason: error.reason }, 'Ignoring invalid phone number');
+        }
+    }
+    return [...phones];
+}
+
+// Prefix commands (!garansi), keyword rules ("cek garansi") and regex rules
+// mapped to reply handlers. Handlers return a string, a Baileys content
+// object or nothing; replies go out through the session queue.
+export function createCommandRouter({ file }) {
+    const rules = [];
+    const cooldowns = new Map();
+
+    const defaults = {
+        enabled: process.env.AUTO_REPLY_ENABLED !== 'false',
+        prefix: process.env.COMMAND_PREFIX || '!',
+        cooldownMs: parseInt(process.env.AUTO_REPLY_COOLDOWN_MS, 10) || 10000,
+        allow: parsePhoneEnv('AUTO_REPLY_ALLOW'),
+        deny: parsePhoneEnv('AUTO_REPLY_DENY'),
+        groups: false
+    };
+
+    // File hanya berisi field yang diubah lewat API, sisanya tetap mengikuti env
+    let overrides = readJson(file, {});
+    let config = { ...defaults, ...overrides };
+
+    function isAllowed(phone) {
+        if (config.deny.includes(phone)) return false;
+        return config.allow.length === 0 || config.allow.includes(phone);
+    }
+
+    // Cari rule pertama yang cocok; prefix command didahulukan
+    function match(text) {
+        const normalized = normalizeText(text);
+        const lower = normalized.toLowerCase();
+
+        if (lower.startsWith(config.prefix)) {
+            const [name, ...args] = normalized.slice(config.prefix.length).split(' ');
+            const rule = rules.find(r => r.commands.includes(name.toLowerCase()));
+            if (rule) return { rule, args, match: null };
+        }
+
+        for (const rule of rules) {
+            const keyword = rule.keywords.find(k => lower === k || lower.startsWith(k + ' '));
+            if (keyword) {
+                const rest = normalized.slice(keyword.length).trim();
+                return { rule, args: rest ? rest.split(' ') : [], match: null };
+            }
+        }
+
+        for (const rule of rules) {
+            const result = rule.pattern?.exec(normalized);
+            if (result) return { rule, args: result.slice(1), match: result };
+        }
+
+        return null;
+    }
+
+    function onCooldown(key, cooldownMs) {
+        const now = Date.now();
+        const until = cooldowns.get(key);
+        if (until && until > now) return true;
+
+        cooldowns.set(key, now + cooldownMs);
+        if (cooldowns.size > 5000) {
+            for (const [k, expires] of cooldowns) {
+                if (expires <= now) cooldowns.delete(k);
+            }
+        }
+        return false;
+    }
+
+    const router = {
+        // { name, commands?, keywords?, pattern?, description?, cooldownMs?, groups?, handler }
+        register(definition) {
+            if (!definition.name || typeof definition.handler !== 'function') {
+                throw new Error('A command needs a name and a handler function');
+            }
+            if (rules.some(rule => rule.name === definition.name)) {
+                throw new Error(`Command "${definition.name}" is already registered`);
+            }
+
+            rules.push({
+                ...definition,
+                commands: (definition.commands || []).map(c => c.toLowerCase()),
+                keywords: (definition.keywords || []).map(k => normalizeText(k).toLowerCase()),
+                pattern: definition.pattern || null
+            });
+        },
+
+        list() {
+            return rules.map(({ name, commands, keywords, pattern, description, cooldownMs, groups }) => ({
+                name,
+                commands: commands.map(c => config.prefix + c),
+                keywords,
+                pattern: pattern ? String(pattern) : null,
+                description: description || null,
+                cooldownMs: cooldownMs ?? config.cooldownMs,
+                groups: groups ?? config.groups
+            }));
+        },
+
+        getConfig() {
+            return config;
+        },
+
+        updateConfig(changes) {
+            overrides = { ...overrides, ...changes };
+            writeJson(file, overrides);
+            config = { ...defaults, ...overrides };
+            return config;
+        },
+
+        // Returns true when a rule handled the message
+        async handle(message, session) {
+            if (!config.enabled || !message.text || message.fromMe) return false;
+            if (!isAllowed(message.phone)) return false;
+
+            const found = match(message.text);
+            if (!found) return false;
+
+            const { rule, args } = found;
+            if (message.isGroup && !(rule.groups ?? config.groups)) return false;
+
+            const key = `${session.id}:${message.chat}:${rule.name}`;
+            if (onCooldown(key, rule.cooldownMs ?? config.cooldownMs)) {
+                log.debug({ sessionId: session.id, command: rule.name, phone: message.phone }, 'Command on cooldown');
+                return true;
+            }
+
+            const reply = (content) => session.queue.enqueue({
+                to: message.phone,
+                jid: message.chat,
+                content: typeof content === 'string' ? { text: content } : content,
+                command: rule.name
+            });
+
+            try {
+                log.info({ sessionId: session.id, command: rule.name, phone: message.phone }, 'Command triggered');
+                const result = await rule.handler({ message, session, args, match: found.match, reply });
+                if (result) reply(result);
+            } catch (error) {
+                log.error({ sessionId: session.id, command: rule.name, phone: message.phone, err: error.message }, 'Command failed');
+                if (rule.errorReply !== false) {
+                    reply(rule.errorReply || 'Maaf, terjadi kesalahan. Silakan coba lagi nanti.');
+                }
+            }
+            return true;
+        }
+    };
+
+    // Built-in: daftar perintah yang tersedia
+    router.register({
+        name: 'help',
+        commands: ['help', 'menu'],
+        description: 'Daftar perintah',
+        handler: () => {
+            const lines = router.list()
+                .filter(rule => rule.name !== 'help' && rule.description)
+                .map(rule => `• ${[...rule.commands, ...rule.keywords].join(' / ')} — ${rule.description}`);
+            return lines.length ? `Perintah yang tersedia:\n${lines.join('\n')}` : null;
+        }
+    });
+
+    return router;
+}
+
+// Every .js file in the plugins folder default-exports a function that
+// receives the command router, e.g. export default function (commands) { ... }
+export async function loadPlugins(commands, dir) {
+    const folder = resolve(dir);
+    if (!fs.existsSync(folder)) return [];
+
+    const disabled = (process.env.DISABLED_PLUGINS || '').split(',').map(name => name.trim());
+    const loaded = [];
+
+    for (const file of fs.readdirSync(folder).filter(name => name.endsWith('.js')).sort()) {
+        const name = file.replace(/\.js$/, '');
+        if (disabled.includes(name)) continue;
+
+        try {
+            const plugin = await import(pathToFileURL(join(folder, file)).href);
+            if (typeof plugin.default !== 'function') {
+                log.warn({ plugin: file }, 'Plugin has no default export function, skipped');
+                continue;
+            }
+            await plugin.default(commands);
+            loaded.push(name);
+            log.info({ plugin: name }, 'Plugin loaded');
+        } catch (error) {
+            log.error({ plugin: file, err: error.message }, 'Failed to load plugin');
+        }
+    }
+    return loaded;
+}
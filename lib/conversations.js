@@ -0,0 +1,389 @@
+import fs from 'fs';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { randomUUID } from 'crypto';
+import { ensureDir, readJson, writeJson, readJsonLines, appendJsonLine } from './storage.js';
+import { mediaExtension } from './media.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('conversations');
+
+// Nilai khusus untuk "next" di definisi flow
+export const COMPLETE = '$complete';
+export const CANCEL = '$cancel';
+
+const MEDIA_INPUTS = ['image', 'video', 'audio', 'document', 'media'];
+const SWEEP_INTERVAL_MS = 30000;
+
+const DEFAULT_MESSAGES = {
+    cancelled: 'Percakapan dibatalkan. Ketik *menu* untuk melihat perintah lain.',
+    timeout: 'Sesi percakapan berakhir karena tidak ada balasan. Silakan mulai lagi.',
+    tooManyAttempts: 'Terlalu banyak jawaban yang tidak valid, percakapan dibatalkan.',
+    completed: 'Terima kasih, data Anda sudah kami terima.',
+    text: 'Mohon balas dengan teks.',
+    image: 'Mohon kirim foto.',
+    video: 'Mohon kirim video.',
+    audio: 'Mohon kirim rekaman suara.',
+    document: 'Mohon kirim dokumen.',
+    media: 'Mohon kirim file atau foto.'
+};
+
+function resolveText(value, ...args) {
+    return typeof value === 'function' ? value(...args) : value;
+}
+
+function checkFlow(flow) {
+    if (!flow?.id || !flow.steps || Object.keys(flow.steps).length === 0) {
+        throw new Error('A flow needs an id and at least one step');
+    }
+    const names = Object.keys(flow.steps);
+    if (flow.start && !names.includes(flow.start)) {
+        throw new Error(`Flow "${flow.id}" starts at unknown step "${flow.start}"`);
+    }
+    for (const [name, step] of Object.entries(flow.steps)) {
+        if (!step.prompt) throw new Error(`Step "${name}" of flow "${flow.id}" has no prompt`);
+        if (step.input && step.input !== 'text' && !MEDIA_INPUTS.includes(step.input)) {
+            throw new Error(`Step "${name}" of flow "${flow.id}" has unknown input "${step.input}"`);
+        }
+        if (typeof step.next === 'string' && ![COMPLETE, CANCEL, ...names].includes(step.next)) {
+            throw new Error(`Step "${name}" of flow "${flow.id}" points to unknown step "${step.next}"`);
+        }
+    }
+}
+
+// Multi-step conversations per chat, driven by declarative flow definitions
+// (see flows/). Active conversations survive a restart; completed ones are
+// appended to the submissions journal and handed to onComplete.
+export function createConversationManager({ file, submissionsFile, mediaFolder, sessions, commands, onComplete = () => {} }) {
+    const flows = new Map();
+    const conversations = new Map(Object.entries(readJson(file, {})));
+    const submissions = new Map();
+
+    for (const submission of readJsonLines(submissionsFile)) {
+        submissions.set(submission.id, submission);
+    }
+
+    function save() {
+        writeJson(file, Object.fromEntries(conversations));
+    }
+
+    // Di grup, tiap pengirim punya percakapan sendiri
+    function keyOf(sessionId, message) {
+        return `${sessionId}:${message.chat}:${message.phone}`;
+    }
+
+    function messages(flow) {
+        return { ...DEFAULT_MESSAGES, ...flow.messages };
+    }
+
+    function send(conversation, text) {
+        const session = sessions.get(conversation.sessionId);
+        if (!session || !text) return;
+        session.queue.enqueue({
+            to: conversation.phone,
+            jid: conversation.chat,
+            content: { text },
+            flow: conversation.flow
+        });
+    }
+
+    function touch(conversation, flow) {
+        const now = Date.now();
+        conversation.updatedAt = new Date(now).toISOString();
+        conversation.expiresAt = new Date(now + (flow.timeoutMs || 15 * 60 * 1000)).toISOString();
+    }
+
+    function end(key, conversation, reason, text) {
+        conversations.delete(key);
+        save();
+        log.info({ sessionId: conversation.sessionId, flow: conversation.flow, phone: conversation.phone, reason }, 'Flow ended');
+        send(conversation, text);
+    }
+
+    function prompt(conversation, flow) {
+        send(conversation, resolveText(flow.steps[conversation.step].prompt, conversation.answers));
+    }
+
+    function nextStep(flow, name, value, answers) {
+        const step = flow.steps[name];
+        if (step.next !== undefined) {
+            return resolveText(step.next, value, answers) || COMPLETE;
+        }
+        // Tanpa "next": lanjut ke step berikutnya sesuai urutan definisi
+        const names = Object.keys(flow.steps);
+        return names[names.indexOf(name) + 1] || COMPLETE;
+    }
+
+    function complete(key, conversation, flow) {
+        const submission = {
+            id: conversation.id,
+            flow: flow.id,
+            sessionId: conversation.sessionId,
+            chat: conversation.chat,
+            phone: conversation.phone,
+            pushName: conversation.pushName,
+            answers: conversation.answers,
+            startedAt: conversation.startedAt,
+            completedAt: new Date().toISOString()
+        };
+        submissions.set(submission.id, submission);
+        appendJsonLine(submissionsFile, submission);
+
+        end(key, conversation, 'completed', resolveText(messages(flow).completed, conversation.answers, submission));
+        onComplete(submission);
+    }
+
+    // Simpan media dari pesan masuk ke folder submission
+    async function saveMedia(session, conversation, message) {
+        const buffer = await session.downloadMedia(message.id);
+        if (!buffer) throw new Error('Media is no longer available for download');
+
+        const folder = ensureDir(join(mediaFolder, conversation.id));
+        const fileName = `${conversation.step}${mediaExtension(message.media.mimetype, message.media.fileName)}`;
+        fs.writeFileSync(join(folder, fileName), buffer);
+
+        return {
+            type: message.media.type,
+            file: fileName,
+            mimetype: message.media.mimetype,
+            size: buffer.length,
+            caption: message.text || null,
+            url: `/submissions/${conversation.id}/media/${conversation.step}`
+        };
+    }
+
+    // Returns an error message for the user, or { value } when the answer is accepted
+    async function readAnswer(session, conversation, step, message, flow) {
+        const input = step.input || 'text';
+
+        if (MEDIA_INPUTS.includes(input)) {
+            if (!message.media || (input !== 'media' && message.media.type !== input)) {
+                return messages(flow)[input];
+            }
+            const value = await saveMedia(session, conversation, message);
+            const error = step.validate?.(value, conversation.answers);
+            return typeof error === 'string' ? error : { value };
+        }
+
+        const text = message.text?.trim();
+        if (!text) return messages(flow).text;
+
+        if (step.choices) {
+            const choice = step.choices.find(c => c.toLowerCase() === text.toLowerCase());
+            if (!choice) return `Balas dengan salah satu: ${step.choices.join(' / ')}`;
+            return { value: choice };
+        }
+
+        const error = step.validate?.(text, conversation.answers);
+        if (typeof error === 'string') return error;
+        return { value: step.transform ? step.transform(text, conversation.answers) : text };
+    }
+
+    function sweep() {
+        const now = Date.now();
+        let changed = false;
+        for (const [key, conversation] of conversations) {
+            if (Date.parse(conversation.expiresAt) > now) continue;
+            const flow = flows.get(conversation.flow);
+            conversations.delete(key);
+            changed = true;
+            log.info({ sessionId: conversation.sessionId, flow: conversation.flow, phone: conversation.phone }, 'Flow timed out');
+            send(conversation, flow ? messages(flow).timeout : DEFAULT_MESSAGES.timeout);
+        }
+        if (changed) save();
+    }
+
+    const sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    const manager = {
+        // Flow: { id, description, trigger: { commands, keywords }, steps, start, timeoutMs, cancelWords, messages }
+        register(flow) {
+            checkFlow(flow);
+            if (flows.has(flow.id)) throw new Error(`Flow "${flow.id}" is already registered`);
+            flows.set(flow.id, flow);
+
+            if (flow.trigger) {
+                commands.register({
+                    name: `flow:${flow.id}`,
+                    commands: flow.trigger.commands,
+                    keywords: flow.trigger.keywords,
+                    description: flow.description,
+                    groups: flow.trigger.groups,
+                    handler: ({ message, session }) => { manager.start(flow.id, session, message); }
+                });
+            }
+        },
+
+        flows() {
+            return [...flows.values()].map(flow => ({
+                id: flow.id,
+                description: flow.description || null,
+                trigger: flow.trigger || null,
+                steps: Object.entries(flow.steps).map(([name, step]) => ({
+                    name,
+                    input: step.input || 'text',
+                    choices: step.choices || null
+                })),
+                timeoutMs: flow.timeoutMs || 15 * 60 * 1000
+            }));
+        },
+
+        // Mulai (atau ulang) flow untuk pengirim pesan ini
+        start(flowId, session, message) {
+            const flow = flows.get(flowId);
+            if (!flow) throw new Error(`Flow "${flowId}" not found`);
+
+            const now = new Date().toISOString();
+            const conversation = {
+                id: randomUUID(),
+                flow: flow.id,
+                sessionId: session.id,
+                chat: message.chat,
+                phone: message.phone,
+                pushName: message.pushName || null,
+                step: flow.start || Object.keys(flow.steps)[0],
+                answers: {},
+                attempts: 0,
+                startedAt: now
+            };
+            touch(conversation, flow);
+            conversations.set(keyOf(session.id, message), conversation);
+            save();
+
+            log.info({ sessionId: session.id, flow: flow.id, phone: message.phone }, 'Flow started');
+            prompt(conversation, flow);
+            return conversation;
+        },
+
+        // Returns true when the message belonged to an active conversation
+        async handle(message, session) {
+            if (message.fromMe) return false;
+
+            const key = keyOf(session.id, message);
+            const conversation = conversations.get(key);
+            if (!conversation) return false;
+
+            const flow = flows.get(conversation.flow);
+            // Flow sudah tidak ada / kadaluarsa: pesan diproses seperti biasa
+            if (!flow) {
+                conversations.delete(key);
+                save();
+                return false;
+            }
+            if (Date.parse(conversation.expiresAt) <= Date.now()) {
+                sweep();
+                return false;
+            }
+
+            const cancelWords = flow.cancelWords || ['batal', 'cancel'];
+            if (message.text && cancelWords.includes(message.text.trim().toLowerCase())) {
+                end(key, conversation, 'cancelled', messages(flow).cancelled);
+                return true;
+            }
+
+            const stepName = conversation.step;
+            const step = flow.steps[stepName];
+
+            let result;
+            try {
+                result = await readAnswer(session, conversation, step, message, flow);
+            } catch (error) {
+                log.error({ sessionId: session.id, flow: flow.id, step: stepName, err: error.message }, 'Flow step failed');
+                result = 'Maaf, terjadi kesalahan. Silakan kirim ulang.';
+            }
+
+            // Percakapan bisa saja dibatalkan/diulang selama download media
+            if (conversations.get(key) !== conversation) return true;
+
+            if (typeof result === 'string') {
+                conversation.attempts++;
+                if (conversation.attempts >= (flow.maxAttempts || 3)) {
+                    end(key, conversation, 'cancelled after invalid answers', messages(flow).tooManyAttempts);
+                    return true;
+                }
+                touch(conversation, flow);
+                save();
+                send(conversation, result);
+                return true;
+            }
+
+            conversation.answers[stepName] = result.value;
+            conversation.attempts = 0;
+
+            const next = nextStep(flow, stepName, result.value, conversation.answers);
+            if (next === COMPLETE) {
+                complete(key, conversation, flow);
+            } else if (next === CANCEL) {
+                end(key, conversation, 'cancelled', messages(flow).cancelled);
+            } else if (!flow.steps[next]) {
+                log.error({ sessionId: session.id, flow: flow.id, step: stepName, next }, 'Flow step points to unknown step');
+                end(key, conversation, 'aborted', 'Maaf, terjadi kesalahan. Silakan mulai lagi.');
+            } else {
+                conversation.step = next;
+                touch(conversation, flow);
+                save();
+                prompt(conversation, flow);
+            }
+            return true;
+        },
+
+        listConversations({ sessionId } = {}) {
+            return [...conversations.values()].filter(c => !sessionId || c.sessionId === sessionId);
+        },
+
+        cancel(id) {
+            for (const [key, conversation] of conversations) {
+                if (conversation.id !== id) continue;
+                const flow = flows.get(conversation.flow);
+                end(key, conversation, 'cancelled by admin', flow ? messages(flow).cancelled : DEFAULT_MESSAGES.cancelled);
+                return conversation;
+            }
+            return null;
+        },
+
+        getSubmission(id) {
+            return submissions.get(id) || null;
+        },
+
+        listSubmissions({ flow, phone, limit = 50 } = {}) {
+            return [...submissions.values()]
+                .filter(s => (!flow || s.flow === flow) && (!phone || s.phone === phone))
+                .sort((a, b) => b.completedAt.localeCompare(a.completedAt))
+                .slice(0, limit);
+        },
+
+        // Path file media milik submission, null kalau tidak ada
+        mediaPath(id, step) {
+            const answer = submissions.get(id)?.answers[step];
+            if (!answer?.file) return null;
+            const path = resolve(mediaFolder, id, answer.file);
+            return fs.existsSync(path) ? path : null;
+        },
+
+        stop() {
+            clearInterval(sweepTimer);
+        }
+    };
+
+    return manager;
+}
+
+// Every .js file in the flows folder default-exports one flow definition
+export async function loadFlows(conversations, dir) {
+    const folder = resolve(dir);
+    if (!fs.existsSync(folder)) return [];
+
+    const loaded = [];
+    for (const file of fs.readdirSync(folder).filter(name => name.endsWith('.js')).sort()) {
+        try {
+            const { default: flow } = await import(pathToFileURL(join(folder, file)).href);
+            conversations.register(flow);
+            loaded.push(flow.id);
+            log.info({ flow: flow.id }, 'Flow loaded');
+        } catch (error) {
+            log.error({ file, err: error.message }, 'Failed to load flow');
+        }
+    }
+    return loaded;
+}
@@ -0,0 +1,134 @@
+// Cron 5 kolom (menit jam tanggal bulan hari) tanpa dependency, dengan zona waktu.
+// Mendukung *, angka, a-b, */n, a-b/n, daftar "1,15" dan nama (jan, mon).
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_ITERATIONS = 100000;
+
+const formatters = new Map();
+
+export class CronError extends Error {}
+
+function parseValue(value, field) {
+    const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+    if (!/^\d+$/.test(value)) throw new CronError(`Invalid ${field.name} value "${value}"`);
+    return Number(value);
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new CronError(`Invalid step in ${field.name} "${part}"`);
+
+        let [from, to] = [field.min, field.max];
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field);
+            to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+        }
+        if (from < field.min || to > field.max || from > to) {
+            throw new CronError(`${field.name} "${part}" is out of range ${field.min}-${field.max}`);
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    // 7 = Minggu juga
+    if (field.name === 'weekday' && values.has(7)) values.add(0);
+    return { values, any: text === '*' };
+}
+
+export function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) throw new CronError('Cron expression needs 5 fields: minute hour day month weekday');
+    const [minute, hour, day, month, weekday] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    return { minute, hour, day, month, weekday };
+}
+
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Komponen tanggal lokal di zona waktu tertentu
+export function zonedParts(date, timezone) {
+    let formatter = formatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        });
+        formatters.set(timezone, formatter);
+    }
+    const parts = Object.fromEntries(formatter.formatToParts(date).map(({ type, value }) => [type, value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+// Waktu lokal (tanpa offset) di zona tertentu -> Date UTC
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    let guess = wall;
+    // Dua kali cukup untuk offset yang berubah karena DST
+    for (let i = 0; i < 2; i++) {
+        const local = zonedParts(new Date(guess), timezone);
+        const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - guess;
+        guess = wall - offset;
+    }
+    return new Date(guess);
+}
+
+function matchesDay(cron, local) {
+    const dayMatch = cron.day.values.has(local.day);
+    const weekdayMatch = cron.weekday.values.has(local.weekday);
+    // Seperti cron biasa: kalau tanggal dan hari sama-sama dibatasi, cukup salah satu
+    if (!cron.day.any && !cron.weekday.any) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+}
+
+// Jadwal berikutnya setelah "after" (Date), null kalau tidak pernah terjadi
+export function nextCronRun(expression, after, timezone) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    // Mulai dari menit penuh berikutnya
+    let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const local = zonedParts(new Date(time), timezone);
+        if (!cron.month.values.has(local.month) || !matchesDay(cron, local)) {
+            time += ((23 - local.hour) * 60 + (60 - local.minute)) * 60000;
+        } else if (!cron.hour.values.has(local.hour)) {
+            time += (60 - local.minute) * 60000;
+        } else if (!cron.minute.values.has(local.minute)) {
+            time += 60000;
+        } else {
+            return new Date(time);
+        }
+    }
+    return null;
+}
@@ -0,0 +1,61 @@
+// Parser CSV sederhana (RFC 4180: quoted field, "" escape, CRLF)
+export function parseCsvRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// First row is the header; returns one object per data row.
+// Excel versi Indonesia menyimpan CSV dengan ";" jadi delimiter dideteksi dari header.
+export function parseCsv(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const firstLine = clean.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+    const [header, ...rows] = parseCsvRows(clean, delimiter);
+    if (!header) return [];
+    const keys = header.map(key => key.trim());
+    return rows.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+}
+
+export function toCsv(records, columns) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...records.map(r => columns.map(c => escape(r[c])).join(','))].join('\n') + '\n';
+}
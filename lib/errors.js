@@ -0,0 +1,64 @@
+// Kode error stabil -> HTTP status. Semua response error berbentuk
+// { success: false, error: "<pesan>", code: "<KODE>", ...detail }
+// Pesan boleh berubah, kode tidak - client sebaiknya mencocokkan "code".
+export const ERROR_CODES = {
+    INVALID_JSON: 400,
+    VALIDATION_FAILED: 400,
+    INVALID_PHONE: 400,
+    INVALID_RECIPIENT: 400,
+    INVALID_MEDIA: 400,
+    INVALID_TEMPLATE: 400,
+    MISSING_VARIABLES: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    SESSION_NOT_FOUND: 404,
+    TEMPLATE_NOT_FOUND: 404,
+    MESSAGE_NOT_FOUND: 404,
+    GROUP_NOT_FOUND: 404,
+    NOT_ON_WHATSAPP: 404,
+    CONFLICT: 409,
+    IDEMPOTENCY_KEY_IN_USE: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    IDEMPOTENCY_KEY_REUSED: 422,
+    PARTICIPANT_UPDATE_FAILED: 422,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    NOT_CONNECTED: 503
+};
+
+// Dilempar dari middleware / helper; ditangkap oleh errorHandler
+export class ApiError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.code = code;
+        this.status = ERROR_CODES[code] || 500;
+        this.details = details;
+    }
+}
+
+export function sendError(res, code, message, details = {}) {
+    const status = ERROR_CODES[code] || 500;
+    return res.status(status).json({ success: false, error: message, code, ...details });
+}
+
+// Error handler terakhir di app: body JSON rusak, upload terlalu besar,
+// ApiError dan error tak terduga (500 tanpa detail internal)
+export function errorHandler(log) {
+    return (err, req, res, next) => {
+        if (res.headersSent) return next(err);
+
+        if (err instanceof ApiError) {
+            return sendError(res, err.code, err.message, err.details);
+        }
+        if (err.type === 'entity.parse.failed') {
+            return sendError(res, 'INVALID_JSON', `Invalid JSON body: ${err.message}`);
+        }
+        if (err.type === 'entity.too.large') {
+            return sendError(res, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${err.limit} bytes`);
+        }
+
+        log.error({ err, method: req.method, path: req.originalUrl.split('?')[0] }, 'Unhandled request error');
+        sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+    };
+}
@@ -0,0 +1,6 @@
+import { EventEmitter } from 'events';
+
+// Internal event bus: connection updates, incoming messages, etc.
+// Subsystems (webhooks, ...) subscribe here instead of touching the socket.
+export const events = new EventEmitter();
+events.setMaxListeners(50);
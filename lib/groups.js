@@ -0,0 +1,58 @@
+import { jidToPhone } from './incoming.js';
+
+export const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Status per peserta dari groupParticipantsUpdate
+const PARTICIPANT_STATUS = {
+    200: 'ok',
+    403: 'Privacy settings do not allow adding this number, send an invite link instead',
+    404: 'Number is not on WhatsApp',
+    408: 'Number recently left the group',
+    409: 'Already in the group',
+    500: 'Group is full'
+};
+
+export function isGroupJid(jid) {
+    return typeof jid === 'string' && jid.endsWith('@g.us');
+}
+
+// "120363012345678901", "120363012345678901@g.us" atau format lama "6281234-1600000000"
+export function toGroupJid(id) {
+    const value = String(id || '').trim();
+    if (isGroupJid(value)) return /^[\d-]+@g\.us$/.test(value) ? value : null;
+    return /^\d+(-\d+)?$/.test(value) ? `${value}@g.us` : null;
+}
+
+export function summarizeGroup(metadata) {
+    return {
+        id: metadata.id,
+        subject: metadata.subject,
+        description: metadata.desc || null,
+        owner: metadata.owner ? jidToPhone(metadata.owner) : null,
+        size: metadata.size ?? metadata.participants?.length ?? 0,
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        announce: !!metadata.announce,
+        restrict: !!metadata.restrict
+    };
+}
+
+export function describeGroup(metadata) {
+    return {
+        ...summarizeGroup(metadata),
+        participants: (metadata.participants || []).map(participant => ({
+            jid: participant.id,
+            phone: jidToPhone(participant.id),
+            admin: participant.admin || null
+        }))
+    };
+}
+
+export function describeParticipantResults(results) {
+    return results.map(({ jid, status }) => ({
+        jid,
+        phone: jidToPhone(jid),
+        status: Number(status),
+        success: Number(status) === 200,
+        message: PARTICIPANT_STATUS[status] || `WhatsApp returned status ${status}`
+    }));
+}
@@ -0,0 +1,406 @@
+import fs from 'fs';
+import { join } from 'path';
+import baileys from '@whiskeysockets/baileys';
+import { readJson, writeJson, readJsonLines, appendJsonLine, writeJsonLines } from './storage.js';
+import { normalizeMessage, jidToPhone } from './incoming.js';
+import { pollOptionHash } from './interactive.js';
+
+// proto (WAProto) hanya tersedia lewat default export Baileys
+const { BufferJSON, proto } = baileys;
+
+const COMPACT_THRESHOLD = 2000;
+const SAVE_DELAY_MS = 1000;
+
+// proto.Message.ProtocolMessage.Type.REVOKE = pesan dihapus untuk semua orang
+const PROTOCOL_REVOKE = 0;
+
+const isGroup = (jid) => jid.endsWith('@g.us');
+
+// Timestamp dari protobuf bisa berupa number atau Long
+function toNumber(value) {
+    return typeof value?.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+function toIsoTimestamp(value) {
+    const seconds = toNumber(value);
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// raw (proto asli) hanya dipakai internal: getMessage dan download media
+function toPublic(record) {
+    if (!record) return null;
+    const { raw, ...message } = record;
+    return message;
+}
+
+function preview(record) {
+    return { id: record.id, fromMe: record.fromMe, type: record.type, text: record.text, timestamp: record.timestamp };
+}
+
+// Local store of chats, contacts and messages for one session, fed from
+// Baileys events (history sync + live). Messages use the same JSONL journal
+// as the queue, capped per chat; chats and contacts live in one JSON file.
+export function createHistoryStore({ dir, maxMessagesPerChat = parseInt(process.env.HISTORY_MAX_MESSAGES_PER_CHAT, 10) || 1000 }) {
+    const storeFile = join(dir, 'store.json');
+    const messagesFile = join(dir, 'messages.jsonl');
+
+    const saved = readJson(storeFile, {});
+    const chats = new Map(Object.entries(saved.chats || {}));
+    const contacts = new Map(Object.entries(saved.contacts || {}));
+    const messages = new Map();
+    // chat jid -> pesan urut dari yang paling lama
+    const byChat = new Map();
+    let journalLines = 0;
+    let saveTimer = null;
+
+    for (const record of readJsonLines(messagesFile)) {
+        journalLines++;
+        if (record.removed) messages.delete(record.id);
+        else messages.set(record.id, record);
+    }
+    for (const record of [...messages.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp))) {
+        insert(record);
+    }
+    compact();
+
+    // History sync bisa mengirim ribuan chat/kontak sekaligus, jadi disimpan tertunda
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+        saveTimer.unref?.();
+    }
+
+    function flush() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        writeJson(storeFile, { chats: Object.fromEntries(chats), contacts: Object.fromEntries(contacts) });
+    }
+
+    function persist(record) {
+        appendJsonLine(messagesFile, record);
+        journalLines++;
+        if (journalLines > COMPACT_THRESHOLD && journalLines > messages.size * 2) {
+            compact();
+        }
+    }
+
+    function compact() {
+        writeJsonLines(messagesFile, [...byChat.values()].flat());
+        journalLines = messages.size;
+    }
+
+    function insert(record) {
+        let list = byChat.get(record.chat);
+        if (!list) {
+            list = [];
+            byChat.set(record.chat, list);
+        }
+
+        let index = list.length;
+        while (index > 0 && list[index - 1].timestamp > record.timestamp) index--;
+        list.splice(index, 0, record);
+        messages.set(record.id, record);
+
+        // Pesan paling lama dibuang kalau chat melebihi batas
+        const dropped = [];
+        while (list.length > maxMessagesPerChat) {
+            const oldest = list.shift();
+            messages.delete(oldest.id);
+            dropped.push(oldest);
+        }
+        return dropped;
+    }
+
+    function touchChat(jid, changes = {}) {
+        const chat = chats.get(jid) || {
+            id: jid,
+            isGroup: isGroup(jid),
+            name: null,
+            unreadCount: 0,
+            archived: false,
+            pinned: false,
+            lastMessageAt: null,
+            lastMessage: null
+        };
+        Object.assign(chat, changes, { updatedAt: new Date().toISOString() });
+        chats.set(jid, chat);
+        scheduleSave();
+        return chat;
+    }
+
+    function upsertContact(contact) {
+        if (!contact?.id) return;
+        const current = contacts.get(contact.id) || { id: contact.id, phone: isGroup(contact.id) ? null : jidToPhone(contact.id) };
+        for (const field of ['name', 'notify', 'verifiedName']) {
+            if (contact[field]) current[field] = contact[field];
+        }
+        current.updatedAt = new Date().toISOString();
+        contacts.set(contact.id, current);
+        scheduleSave();
+    }
+
+    function addMessage(msg) {
+        const revoked = msg.message?.protocolMessage;
+        if (revoked?.type === PROTOCOL_REVOKE && revoked.key?.id) {
+            updateMessage(revoked.key.id, { deleted: true, text: null });
+            return;
+        }
+
+        const message = normalizeMessage(msg);
+        if (!message || message.chat === 'status@broadcast') return;
+
+        const existing = messages.get(message.id);
+        const record = {
+            ...message,
+            // Suara yang sudah masuk tidak hilang kalau pesan poll di-upsert ulang
+            poll: message.poll && { ...message.poll, votes: existing?.poll?.votes || {} },
+            status: existing?.status || null,
+            deleted: existing?.deleted || false,
+            raw: JSON.stringify({ key: msg.key, message: msg.message, messageTimestamp: msg.messageTimestamp }, BufferJSON.replacer)
+        };
+
+        if (existing) {
+            Object.assign(existing, record);
+            persist(existing);
+        } else {
+            const dropped = insert(record);
+            persist(record);
+            for (const old of dropped) persist({ id: old.id, removed: true });
+        }
+
+        const chat = chats.get(message.chat);
+        if (!chat?.lastMessageAt || chat.lastMessageAt <= message.timestamp) {
+            touchChat(message.chat, { lastMessageAt: message.timestamp, lastMessage: preview(record) });
+        }
+        if (!message.fromMe && !message.isGroup && message.pushName) {
+            upsertContact({ id: message.chat, notify: message.pushName });
+        }
+    }
+
+    function updateMessage(id, changes) {
+        const record = messages.get(id);
+        if (!record) return null;
+        Object.assign(record, changes);
+        persist(record);
+        return record;
+    }
+
+    function removeMessage(id) {
+        const record = messages.get(id);
+        if (!record) return;
+        messages.delete(id);
+        const list = byChat.get(record.chat);
+        if (list) list.splice(list.indexOf(record), 1);
+        persist({ id, removed: true });
+    }
+
+    // chats.update mengirim unreadCount > 0 sebagai tambahan, bukan total
+    function applyChat(update, { incremental = false } = {}) {
+        const current = chats.get(update.id);
+        const changes = {};
+        if (update.name) changes.name = update.name;
+        if (update.subject) changes.name = update.subject;
+        if (typeof update.unreadCount === 'number') {
+            changes.unreadCount = incremental && update.unreadCount > 0
+                ? (current?.unreadCount || 0) + update.unreadCount
+                : Math.max(update.unreadCount, 0);
+        }
+        if (typeof update.archived === 'boolean') changes.archived = update.archived;
+        if (update.pinned !== undefined) changes.pinned = !!update.pinned;
+        const at = toIsoTimestamp(update.conversationTimestamp);
+        if (at && (!current?.lastMessageAt || current.lastMessageAt < at)) {
+            changes.lastMessageAt = at;
+        }
+        touchChat(update.id, changes);
+    }
+
+    function matches(value, search) {
+        return !!value && value.toLowerCase().includes(search);
+    }
+
+    function chatName(chat) {
+        const contact = contacts.get(chat.id);
+        return chat.name || contact?.name || contact?.notify || contact?.verifiedName || null;
+    }
+
+    const history = {
+        // Pasang ke socket baru setelah setiap (re)connect
+        bind(ev) {
+            ev.on('messaging-history.set', ({ chats: syncedChats = [], contacts: syncedContacts = [], messages: syncedMessages = [] }) => {
+                for (const contact of syncedContacts) upsertContact(contact);
+                for (const chat of syncedChats) applyChat(chat);
+                for (const msg of syncedMessages) addMessage(msg);
+            });
+            ev.on('chats.upsert', (list) => list.forEach(chat => applyChat(chat)));
+            ev.on('chats.update', (list) => list.forEach(chat => applyChat(chat, { incremental: true })));
+            ev.on('chats.delete', (ids) => {
+                for (const id of ids) {
+                    chats.delete(id);
+                    for (const record of [...(byChat.get(id) || [])]) removeMessage(record.id);
+                    byChat.delete(id);
+                }
+                scheduleSave();
+            });
+            ev.on('contacts.upsert', (list) => list.forEach(upsertContact));
+            ev.on('contacts.update', (list) => list.forEach(upsertContact));
+            ev.on('groups.update', (list) => list.forEach(group => group.subject && touchChat(group.id, { name: group.subject })));
+            ev.on('messages.upsert', ({ messages: list }) => list.forEach(addMessage));
+            ev.on('messages.delete', (item) => {
+                if ('keys' in item) {
+                    for (const key of item.keys) removeMessage(key.id);
+                } else if (item.all) {
+                    for (const record of [...(byChat.get(item.jid) || [])]) removeMessage(record.id);
+                }
+            });
+        },
+
+        // Pesan yang dikirim bot (hasil sock.sendMessage), dibutuhkan untuk retry
+        addMessage,
+
+        // Status pesan keluar dari messages.update (server_ack, delivered, read, ...)
+        setStatus(id, status) {
+            const record = messages.get(id);
+            if (!record || !status || record.status === status) return;
+            updateMessage(id, { status });
+        },
+
+        // Suara poll yang sudah didekripsi Baileys (messages.update -> pollUpdates).
+        // me: JID bot, untuk suara dari akun sendiri. Returns record poll atau null
+        applyPollUpdates(id, updates, me) {
+            const record = messages.get(id);
+            if (!record?.poll) return null;
+
+            const byHash = new Map(record.poll.options.map(option => [pollOptionHash(option), option]));
+            const votes = { ...record.poll.votes };
+            for (const { pollUpdateMessageKey: key, vote, senderTimestampMs } of updates) {
+                const voter = key?.fromMe ? me : key?.participant || key?.remoteJid;
+                if (!voter) continue;
+                const at = new Date(toNumber(senderTimestampMs) || Date.now()).toISOString();
+                // Suara terbaru per pemilih yang dipakai
+                if (votes[voter] && votes[voter].at > at) continue;
+
+                const options = (vote?.selectedOptions || [])
+                    .map(hash => byHash.get(Buffer.from(hash).toString('hex')))
+                    .filter(Boolean);
+                if (options.length === 0) delete votes[voter];
+                else votes[voter] = { options, at };
+            }
+            return toPublic(updateMessage(id, { poll: { ...record.poll, votes } }));
+        },
+
+        // Untuk getMessage di makeWASocket: Baileys butuh isi pesan asli untuk kirim ulang
+        // dan untuk mendekripsi suara poll
+        getMessage(key) {
+            return history.getRawMessage(key.id)?.message || undefined;
+        },
+
+        // WAMessage lengkap (key + message), mis. untuk quoted reply atau download media
+        getRawMessage(id) {
+            const record = messages.get(id);
+            if (!record) return null;
+            const raw = JSON.parse(record.raw, BufferJSON.reviver);
+            return { ...raw, message: raw.message ? proto.Message.fromObject(raw.message) : null };
+        },
+
+        // Chat terbaru duluan
+        listChats({ search, archived, limit = 50, offset = 0 } = {}) {
+            const needle = search?.toLowerCase();
+            const list = [...chats.values()]
+                .filter(chat => (!needle || matches(chatName(chat), needle) || matches(chat.id, needle)) &&
+                    (archived === undefined || chat.archived === archived))
+                .sort((a, b) => (b.lastMessageAt || '').localeCompare(a.lastMessageAt || ''));
+            return {
+                total: list.length,
+                chats: list.slice(offset, offset + limit).map(chat => ({ ...chat, name: chatName(chat) }))
+            };
+        },
+
+        getChat(jid) {
+            const chat = chats.get(jid);
+            return chat ? { ...chat, name: chatName(chat), messages: byChat.get(jid)?.length || 0 } : null;
+        },
+
+        // Pesan terbaru duluan; halaman berikutnya: before=<id pesan terakhir di halaman ini>
+        listMessages(jid, { before, limit = 50 } = {}) {
+            const list = byChat.get(jid) || [];
+            let end = list.length;
+            if (before) {
+                const index = list.findIndex(record => record.id === before);
+                if (index === -1) return null;
+                end = index;
+            }
+            const start = Math.max(end - limit, 0);
+            const page = list.slice(start, end).reverse().map(toPublic);
+            return {
+                messages: page,
+                hasMore: start > 0,
+                nextBefore: start > 0 ? page[page.length - 1].id : null
+            };
+        },
+
+        getMessageRecord(id) {
+            return toPublic(messages.get(id));
+        },
+
+        search(query, { chat, fromMe, limit = 50 } = {}) {
+            const needle = query.toLowerCase();
+            const results = [];
+            const lists = chat ? [byChat.get(chat) || []] : [...byChat.values()];
+            for (const list of lists) {
+                for (const record of list) {
+                    if (record.deleted || (fromMe !== undefined && record.fromMe !== fromMe)) continue;
+                    if (matches(record.text, needle)) results.push(record);
+                }
+            }
+            return results
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                .slice(0, limit)
+                .map(toPublic);
+        },
+
+        // Poll terbaru duluan (?fromMe=true untuk poll yang dikirim bot)
+        listPolls({ chat, fromMe, limit = 50 } = {}) {
+            return [...messages.values()]
+                .filter(record => record.poll && (!chat || record.chat === chat) && (fromMe === undefined || record.fromMe === fromMe))
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                .slice(0, limit)
+                .map(toPublic);
+        },
+
+        listContacts({ search, limit = 100, offset = 0 } = {}) {
+            const needle = search?.toLowerCase();
+            const list = [...contacts.values()]
+                .filter(contact => !needle || ['id', 'name', 'notify', 'verifiedName'].some(field => matches(contact[field], needle)))
+                .sort((a, b) => (a.name || a.notify || a.id).localeCompare(b.name || b.notify || b.id));
+            return { total: list.length, contacts: list.slice(offset, offset + limit) };
+        },
+
+        getContact(jid) {
+            return contacts.get(jid) || null;
+        },
+
+        stats() {
+            return { chats: chats.size, contacts: contacts.size, messages: messages.size, maxMessagesPerChat };
+        },
+
+        flush,
+
+        // Akun di-logout / di-clear: riwayat akun lama ikut dihapus
+        clear() {
+            chats.clear();
+            contacts.clear();
+            messages.clear();
+            byChat.clear();
+            flush();
+            compact();
+        },
+
+        remove() {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+
+    return history;
+}
@@ -0,0 +1,91 @@
+import { createHash } from 'crypto';
+import { readJsonLines, appendJsonLine, writeJsonLines } from './storage.js';
+import { sendError } from './errors.js';
+import { removeMedia } from './media.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// Request yang sama = path + body + file upload (nama & ukuran)
+function fingerprintOf(req) {
+    return createHash('sha256').update(JSON.stringify({
+        path: req.originalUrl.split('?')[0],
+        body: req.body,
+        file: req.file ? { name: req.file.originalname, size: req.file.size } : null
+    })).digest('hex');
+}
+
+// Header Idempotency-Key untuk endpoint kirim: retry dengan key + request yang sama
+// mendapat response pertama lagi, pesan tidak dikirim dua kali. Key berlaku per API key.
+// Response 5xx dan 429 tidak disimpan (boleh dicoba ulang). JSONL + compaction seperti audit log.
+export function createIdempotencyStore({ file, ttlMs = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 3600000 }) {
+    const entries = new Map(); // "<apiKeyId>:<key>" -> { id, fingerprint, status, body, at }
+    const inFlight = new Set();
+    const expired = (entry) => Date.now() - Date.parse(entry.at) > ttlMs;
+
+    for (const entry of readJsonLines(file)) {
+        if (!expired(entry)) entries.set(entry.id, entry);
+    }
+    let journalLines = entries.size;
+
+    function save(entry) {
+        entries.set(entry.id, entry);
+        appendJsonLine(file, entry);
+        journalLines++;
+
+        if (journalLines > Math.max(entries.size * 2, 1000)) {
+            for (const [id, existing] of entries) {
+                if (expired(existing)) entries.delete(id);
+            }
+            writeJsonLines(file, [...entries.values()]);
+            journalLines = entries.size;
+        }
+    }
+
+    return {
+        get size() {
+            return entries.size;
+        },
+
+        // Dipasang setelah validateBody (request invalid tidak memakai key)
+        middleware(req, res, next) {
+            const key = req.get('idempotency-key');
+            if (key === undefined) return next();
+
+            const reject = (code, message) => {
+                if (req.file) removeMedia(req.file.path);
+                sendError(res, code, message);
+            };
+            if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+                return reject('VALIDATION_FAILED', `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`);
+            }
+
+            const id = `${req.apiKey?.id || 'anonymous'}:${key}`;
+            const fingerprint = fingerprintOf(req);
+            const stored = entries.get(id);
+
+            if (stored && !expired(stored)) {
+                if (stored.fingerprint !== fingerprint) {
+                    return reject('IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for a different request');
+                }
+                if (req.file) removeMedia(req.file.path);
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(stored.status).json(stored.body);
+            }
+            if (inFlight.has(id)) {
+                return reject('IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still in progress');
+            }
+
+            inFlight.add(id);
+            res.on('close', () => inFlight.delete(id));
+
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode < 500 && res.statusCode !== 429) {
+                    save({ id, fingerprint, status: res.statusCode, body, at: new Date().toISOString() });
+                }
+                return json(body);
+            };
+            next();
+        }
+    };
+}
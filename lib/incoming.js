@@ -0,0 +1,104 @@
+// Normalisasi pesan masuk Baileys ke bentuk JSON yang stabil untuk webhook
+
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+const OTHER_TYPES = {
+    conversation: 'text',
+    extendedTextMessage: 'text',
+    locationMessage: 'location',
+    liveLocationMessage: 'location',
+    contactMessage: 'contact',
+    contactsArrayMessage: 'contact',
+    reactionMessage: 'reaction',
+    pollCreationMessage: 'poll',
+    pollCreationMessageV2: 'poll',
+    pollCreationMessageV3: 'poll',
+    buttonsResponseMessage: 'button_reply',
+    listResponseMessage: 'list_reply'
+};
+
+const IGNORED_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+// Suara poll terenkripsi; hasilnya datang lewat messages.update (pollUpdates)
+const SKIPPED_TYPES = ['protocolMessage', 'pollUpdateMessage'];
+
+// Buka pembungkus ephemeral / view-once / document-with-caption
+function unwrap(message) {
+    let current = message;
+    while (current) {
+        const inner = current.ephemeralMessage?.message
+            || current.viewOnceMessage?.message
+            || current.viewOnceMessageV2?.message
+            || current.documentWithCaptionMessage?.message;
+        if (!inner) break;
+        current = inner;
+    }
+    return current;
+}
+
+export function jidToPhone(jid) {
+    return jid ? jid.split('@')[0].split(':')[0] : null;
+}
+
+function toIsoTimestamp(value) {
+    // messageTimestamp bisa berupa number atau Long dari protobuf
+    const seconds = typeof value?.toNumber === 'function' ? value.toNumber() : Number(value);
+    return new Date((seconds || Date.now() / 1000) * 1000).toISOString();
+}
+
+// Returns null for messages that carry no user content (protocol, receipts, ...)
+export function normalizeMessage(msg) {
+    const content = unwrap(msg.message);
+    if (!content || !msg.key?.remoteJid) return null;
+
+    const contentKey = Object.keys(content).find(key => !IGNORED_KEYS.includes(key));
+    if (!contentKey || SKIPPED_TYPES.includes(contentKey)) return null;
+
+    const body = content[contentKey] || {};
+    const mediaType = MEDIA_TYPES[contentKey] || null;
+    const remoteJid = msg.key.remoteJid;
+    const isGroup = remoteJid.endsWith('@g.us');
+    const sender = isGroup ? (msg.key.participant || msg.participant) : remoteJid;
+
+    const text = content.conversation
+        || content.extendedTextMessage?.text
+        || body.caption
+        || body.selectedDisplayText
+        || body.text
+        || body.name
+        || null;
+    const isPoll = OTHER_TYPES[contentKey] === 'poll';
+
+    return {
+        id: msg.key.id,
+        chat: remoteJid,
+        sender,
+        phone: jidToPhone(sender),
+        pushName: msg.pushName || null,
+        fromMe: !!msg.key.fromMe,
+        isGroup,
+        type: mediaType || OTHER_TYPES[contentKey] || contentKey,
+        text,
+        media: mediaType ? {
+            type: mediaType,
+            mimetype: body.mimetype || null,
+            fileName: body.fileName || null,
+            fileLength: body.fileLength ? Number(body.fileLength) : null,
+            seconds: body.seconds || null,
+            voiceNote: mediaType === 'audio' ? !!body.ptt : undefined
+        } : null,
+        poll: isPoll ? {
+            name: body.name,
+            options: (body.options || []).map(option => option.optionName),
+            selectableCount: body.selectableOptionsCount || 0
+        } : null,
+        quotedMessageId: body.contextInfo?.stanzaId || null,
+        timestamp: toIsoTimestamp(msg.messageTimestamp)
+    };
+}
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+import { parsePhone, PhoneError } from './phone.js';
+import { ERROR_CODES } from './errors.js';
+
+// Batas dari WhatsApp
+export const POLL_MAX_OPTIONS = 12;
+const POLL_NAME_MAX = 255;
+const MAX_CONTACT_CARDS = 10;
+
+export class InteractiveError extends Error {
+    constructor(message, code = 'VALIDATION_FAILED') {
+        super(message);
+        this.code = code;
+        this.status = ERROR_CODES[code];
+    }
+}
+
+// { name, options: [...], selectableCount } -> konten poll Baileys.
+// selectableCount 0 = boleh pilih semua opsi
+export function buildPoll({ name, options, selectableCount = 1 }) {
+    if (!name || typeof name !== 'string' || name.length > POLL_NAME_MAX) {
+        throw new InteractiveError(`Poll name is required (max ${POLL_NAME_MAX} characters)`);
+    }
+    if (!Array.isArray(options) || options.length < 2 || options.length > POLL_MAX_OPTIONS) {
+        throw new InteractiveError(`A poll needs between 2 and ${POLL_MAX_OPTIONS} options`);
+    }
+    const values = options.map(option => String(option).trim());
+    if (values.some(value => !value)) {
+        throw new InteractiveError('Poll options must not be empty');
+    }
+    if (new Set(values).size !== values.length) {
+        throw new InteractiveError('Poll options must be unique');
+    }
+    const count = parseInt(selectableCount, 10);
+    if (Number.isNaN(count) || count < 0 || count > values.length) {
+        throw new InteractiveError(`selectableCount must be between 0 (any) and ${values.length}`);
+    }
+    return { poll: { name, values, selectableCount: count } };
+}
+
+export function buildLocation({ latitude, longitude, name, address }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude === undefined || latitude === '' || Number.isNaN(lat) || lat < -90 || lat > 90) {
+        throw new InteractiveError('Latitude must be a number between -90 and 90');
+    }
+    if (longitude === undefined || longitude === '' || Number.isNaN(lng) || lng < -180 || lng > 180) {
+        throw new InteractiveError('Longitude must be a number between -180 and 180');
+    }
+    return {
+        location: {
+            degreesLatitude: lat,
+            degreesLongitude: lng,
+            ...(name && { name: String(name) }),
+            ...(address && { address: String(address) })
+        }
+    };
+}
+
+function escapeVcard(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Kartu kontak (mis. teknisi): [{ name, phone, countryCode?, organization?, email? }]
+export function buildContactCards(contacts, { countryCode } = {}) {
+    if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > MAX_CONTACT_CARDS) {
+        throw new InteractiveError(`Contacts must be a list of 1 to ${MAX_CONTACT_CARDS} entries`);
+    }
+
+    const cards = contacts.map((contact, index) => {
+        if (!contact?.name || !contact.phone) {
+            throw new InteractiveError(`Contact ${index + 1} needs a name and a phone`);
+        }
+        let parsed;
+        try {
+            parsed = parsePhone(contact.phone, { countryCode: contact.countryCode || countryCode });
+        } catch (error) {
+            if (!(error instanceof PhoneError)) throw error;
+            throw new InteractiveError(`Contact ${index + 1} has an invalid phone: ${error.message}`);
+        }
+
+        const vcard = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escapeVcard(contact.name)}`,
+            contact.organization && `ORG:${escapeVcard(contact.organization)};`,
+            `TEL;type=CELL;type=VOICE;waid=${parsed.phone}:${parsed.e164}`,
+            contact.email && `EMAIL:${escapeVcard(contact.email)}`,
+            'END:VCARD'
+        ].filter(Boolean).join('\n');
+        return { displayName: contact.name, vcard };
+    });
+
+    return {
+        contacts: {
+            displayName: cards.length === 1 ? cards[0].displayName : `${cards.length} contacts`,
+            contacts: cards
+        }
+    };
+}
+
+// Reaksi ke pesan tersimpan; emoji kosong = hapus reaksi
+export function buildReaction(key, emoji = '') {
+    if (typeof emoji !== 'string' || [...emoji].length > 10) {
+        throw new InteractiveError('Emoji must be a single emoji, or empty to remove the reaction');
+    }
+    const { remoteJid, fromMe, id, participant } = key;
+    return { react: { text: emoji, key: { remoteJid, fromMe, id, ...(participant && { participant }) } } };
+}
+
+// Suara poll berisi SHA-256 dari nama opsi
+export function pollOptionHash(option) {
+    return createHash('sha256').update(Buffer.from(option)).digest('hex');
+}
+
+// poll: { name, options, selectableCount, votes: { voterJid: { options, at } } }
+export function pollResults(poll) {
+    const voters = Object.entries(poll.votes || {});
+    return {
+        name: poll.name,
+        selectableCount: poll.selectableCount,
+        totalVoters: voters.length,
+        results: poll.options.map(option => {
+            const optionVoters = voters.filter(([, vote]) => vote.options.includes(option)).map(([voter]) => voter);
+            return { option, votes: optionVoters.length, voters: optionVoters };
+        })
+    };
+}
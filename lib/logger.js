@@ -0,0 +1,18 @@
+import pino from 'pino';
+
+// JSON log ke stdout; untuk dibaca manusia: node bot.js | npx pino-pretty
+export const logger = pino({
+    level: process.env.LOG_LEVEL || 'info',
+    base: { service: 'whatsapp-bot' },
+    timestamp: pino.stdTimeFunctions.isoTime
+});
+
+// Logger per modul: createLogger('queue', { sessionId })
+export function createLogger(module, bindings = {}) {
+    return logger.child({ module, ...bindings });
+}
+
+// Log internal Baileys, default mati karena sangat ramai (BAILEYS_LOG_LEVEL=debug untuk debugging)
+export function createBaileysLogger(sessionId) {
+    return logger.child({ module: 'baileys', sessionId }, { level: process.env.BAILEYS_LOG_LEVEL || 'silent' });
+}
@@ -0,0 +1,75 @@
+// Cache hasil onWhatsApp per session supaya nomor yang sama tidak dicek berulang.
+// Nomor yang belum terdaftar di-cache lebih singkat (bisa saja baru daftar).
+const BATCH_SIZE = 50;
+
+export function createWhatsAppLookup({
+    ttlMs = parseInt(process.env.ONWHATSAPP_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+    negativeTtlMs = parseInt(process.env.ONWHATSAPP_NEGATIVE_TTL_MS, 10) || 60 * 60 * 1000,
+    maxEntries = 10000
+} = {}) {
+    const cache = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    function cached(jid, now) {
+        const entry = cache.get(jid);
+        if (!entry) return null;
+        if (entry.expiresAt <= now) {
+            cache.delete(jid);
+            return null;
+        }
+        return entry;
+    }
+
+    function store(jid, exists, now) {
+        cache.delete(jid);
+        cache.set(jid, { exists, checkedAt: new Date(now).toISOString(), expiresAt: now + (exists ? ttlMs : negativeTtlMs) });
+        // Map menyimpan urutan insert, yang paling lama dibuang duluan
+        while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    }
+
+    return {
+        // jids: ["628xx@s.whatsapp.net", ...] -> Map jid -> { exists, checkedAt, cached }
+        async check(sock, jids) {
+            const now = Date.now();
+            const results = new Map();
+            const pending = [];
+
+            for (const jid of new Set(jids)) {
+                const entry = cached(jid, now);
+                if (entry) {
+                    hits++;
+                    results.set(jid, { exists: entry.exists, checkedAt: entry.checkedAt, cached: true });
+                } else {
+                    misses++;
+                    pending.push(jid);
+                }
+            }
+
+            for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+                const batch = pending.slice(i, i + BATCH_SIZE);
+                // onWhatsApp hanya mengembalikan nomor yang dikenal server
+                const found = await sock.onWhatsApp(...batch);
+                const registered = new Set((found || []).filter(r => r.exists).map(r => r.jid));
+                for (const jid of batch) {
+                    store(jid, registered.has(jid), now);
+                    results.set(jid, { exists: registered.has(jid), checkedAt: new Date(now).toISOString(), cached: false });
+                }
+            }
+            return results;
+        },
+
+        async exists(sock, jid) {
+            const results = await this.check(sock, [jid]);
+            return results.get(jid).exists;
+        },
+
+        clear() {
+            cache.clear();
+        },
+
+        stats() {
+            return { size: cache.size, hits, misses, ttlMs, negativeTtlMs };
+        }
+    };
+}
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { extname, resolve, sep, basename } from 'path';
+import { dataPath, ensureDir } from './storage.js';
+import { ERROR_CODES } from './errors.js';
+
+export const MEDIA_TYPES = ['image', 'document', 'audio', 'video', 'sticker'];
+
+// Media disimpan di sini sampai pesan di queue terkirim
+export const mediaDir = ensureDir(resolve(dataPath('media')));
+
+const MB = 1024 * 1024;
+
+// Batas ukuran per tipe, mengikuti batas WhatsApp
+export const MEDIA_LIMITS = {
+    image: 16 * MB,
+    video: 64 * MB,
+    audio: 16 * MB,
+    document: 100 * MB,
+    sticker: 1 * MB
+};
+
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_LIMITS));
+
+const EXTENSIONS = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.mov': 'video/quicktime',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg; codecs=opus',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.zip': 'application/zip'
+};
+
+const MIME_EXTENSIONS = Object.fromEntries(
+    Object.entries(EXTENSIONS).reverse().map(([ext, mime]) => [mime.split(';')[0], ext])
+);
+
+export class MediaError extends Error {
+    constructor(message, code = 'INVALID_MEDIA') {
+        super(message);
+        this.code = code;
+        this.status = ERROR_CODES[code];
+    }
+}
+
+// Deteksi mimetype dari magic bytes, fallback ke ekstensi file
+export function detectMimetype(header, fileName) {
+    const hex = header.subarray(0, 12).toString('hex');
+    const ascii = header.subarray(0, 12).toString('latin1');
+
+    if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+    if (hex.startsWith('89504e47')) return 'image/png';
+    if (ascii.startsWith('GIF8')) return 'image/gif';
+    if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii.startsWith('%PDF')) return 'application/pdf';
+    if (ascii.startsWith('OggS')) return 'audio/ogg; codecs=opus';
+    if (ascii.startsWith('ID3') || hex.startsWith('fffb') || hex.startsWith('fff3')) return 'audio/mpeg';
+    if (ascii.slice(4, 8) === 'ftyp') {
+        const brand = ascii.slice(8, 12);
+        if (brand.startsWith('M4A')) return 'audio/mp4';
+        if (brand.startsWith('qt')) return 'video/quicktime';
+        if (brand.startsWith('3gp')) return 'video/3gpp';
+        return 'video/mp4';
+    }
+
+    return EXTENSIONS[extname(fileName || '').toLowerCase()] || null;
+}
+
+function readHeader(path) {
+    const fd = fs.openSync(path, 'r');
+    try {
+        const header = Buffer.alloc(12);
+        const bytes = fs.readSync(fd, header, 0, 12, 0);
+        return header.subarray(0, bytes);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+export function mediaExtension(mimetype, fileName) {
+    return extname(fileName || '') || MIME_EXTENSIONS[mimetype?.split(';')[0]] || '';
+}
+
+function storedPath(mimetype, fileName) {
+    return resolve(mediaDir, randomUUID() + mediaExtension(mimetype, fileName));
+}
+
+function checkType(type, mimetype) {
+    const family = mimetype?.split('/')[0];
+    if (type === 'sticker' && mimetype !== 'image/webp') {
+        throw new MediaError('Stickers must be image/webp');
+    }
+    if (['image', 'video', 'audio'].includes(type) && family !== type) {
+        throw new MediaError(`Expected ${type}/* media but got ${mimetype || 'unknown type'}`);
+    }
+}
+
+function checkSize(type, size) {
+    if (size === 0) throw new MediaError('Media file is empty');
+    if (size > MEDIA_LIMITS[type]) {
+        throw new MediaError(`${type} exceeds the ${MEDIA_LIMITS[type] / MB}MB limit`, 'PAYLOAD_TOO_LARGE');
+    }
+}
+
+export function uploadOptions() {
+    return {
+        storage: {
+            _handleFile(req, file, cb) {
+                const path = storedPath(file.mimetype, file.originalname);
+                const out = fs.createWriteStream(path);
+                file.stream.pipe(out);
+                out.on('error', cb);
+                out.on('finish', () => cb(null, { path, size: out.bytesWritten }));
+            },
+            _removeFile(req, file, cb) {
+                fs.unlink(file.path, () => cb(null));
+            }
+        },
+        limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+    };
+}
+
+// Terima multipart upload, base64 (boleh data URL) atau path lokal di bawah MEDIA_ROOT.
+// Hasilnya selalu file di mediaDir yang bisa dikirim ulang oleh queue.
+export function resolveMedia(type, { file, base64, path, fileName, mimetype }) {
+    let stored;
+    let name = fileName || file?.originalname || (path ? basename(path) : null);
+    let declared = mimetype || file?.mimetype || null;
+
+    if (file) {
+        stored = file.path;
+    } else if (base64) {
+        const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(base64);
+        if (match) declared = declared || match[1];
+        const buffer = Buffer.from(match ? match[2] : base64, 'base64');
+        checkSize(type, buffer.length);
+        stored = storedPath(declared, name);
+        fs.writeFileSync(stored, buffer);
+    } else if (path) {
+        const root = process.env.MEDIA_ROOT;
+        if (!root) {
+            throw new MediaError('Local file paths are disabled. Set MEDIA_ROOT to allow them.', 'FORBIDDEN');
+        }
+        const source = resolve(root, path);
+        if (!source.startsWith(resolve(root) + sep)) {
+            throw new MediaError('Path must be inside MEDIA_ROOT', 'FORBIDDEN');
+        }
+        if (!fs.existsSync(source) || !fs.statSync(source).isFile()) {
+            throw new MediaError('File not found', 'NOT_FOUND');
+        }
+        checkSize(type, fs.statSync(source).size);
+        stored = storedPath(declared, name);
+        fs.copyFileSync(source, stored);
+    } else {
+        throw new MediaError('Provide a multipart "file", a "base64" payload or a local "path"');
+    }
+
+    try {
+        const size = fs.statSync(stored).size;
+        checkSize(type, size);
+
+        const detected = detectMimetype(readHeader(stored), name);
+        const finalMimetype = detected || declared || 'application/octet-stream';
+        checkType(type, finalMimetype);
+
+        if (type === 'document' && !name) {
+            name = 'document' + (MIME_EXTENSIONS[finalMimetype.split(';')[0]] || '');
+        }
+
+        return { path: stored, mimetype: finalMimetype, fileName: name, size };
+    } catch (error) {
+        fs.unlink(stored, () => {});
+        throw error;
+    }
+}
+
+// Map ke tipe pesan Baileys; media dirujuk lewat path sehingga konten tetap JSON
+export function buildMediaContent(type, { path, mimetype, fileName, caption, ptt }) {
+    switch (type) {
+        case 'image':
+            return { image: { url: path }, mimetype, caption };
+        case 'video':
+            return { video: { url: path }, mimetype, caption };
+        case 'audio':
+            return { audio: { url: path }, mimetype, ptt: !!ptt };
+        case 'document':
+            return { document: { url: path }, mimetype, fileName, caption };
+        case 'sticker':
+            return { sticker: { url: path }, mimetype };
+        default:
+            throw new MediaError(`Unsupported media type: ${type}`);
+    }
+}
+
+export function removeMedia(path) {
+    if (path && path.startsWith(mediaDir)) {
+        fs.unlink(path, () => {});
+    }
+}
@@ -0,0 +1,118 @@
+import { readJsonLines, appendJsonLine, writeJsonLines } from './storage.js';
+
+// Urutan status; status tidak pernah turun (read lalu delivered diabaikan)
+export const MESSAGE_STATUSES = ['pending', 'server_ack', 'delivered', 'read', 'played'];
+
+const COMPACT_THRESHOLD = 1000;
+
+function rank(status) {
+    return MESSAGE_STATUSES.indexOf(status);
+}
+
+// History of outbound messages, keyed by queue id and indexed by WhatsApp
+// message id once the message has been sent. Same JSONL journal approach
+// as the queue: snapshots are appended and the last one per id wins.
+export function createMessageTracker({ file, retentionDays = 30, onChange = () => {} }) {
+    const records = new Map();
+    const byMessageId = new Map();
+    let journalLines = 0;
+
+    for (const record of readJsonLines(file)) {
+        records.set(record.id, record);
+        journalLines++;
+    }
+    compact();
+
+    function index(record) {
+        if (record.messageId) byMessageId.set(record.messageId, record);
+    }
+
+    function persist(record) {
+        appendJsonLine(file, record);
+        journalLines++;
+        if (journalLines > COMPACT_THRESHOLD && journalLines > records.size * 2) {
+            compact();
+        }
+    }
+
+    function compact() {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        for (const [id, record] of records) {
+            if (Date.parse(record.createdAt) < cutoff) records.delete(id);
+        }
+        byMessageId.clear();
+        for (const record of records.values()) index(record);
+        writeJsonLines(file, [...records.values()]);
+        journalLines = records.size;
+    }
+
+    function transition(record, status, at, details = {}) {
+        record.status = status;
+        record.updatedAt = at;
+        record.history.push({ status, at, ...details });
+        persist(record);
+        onChange(record);
+    }
+
+    return {
+        // Dipanggil setiap item queue berubah (enqueue, sent, dead)
+        trackQueueItem(sessionId, item) {
+            let record = records.get(item.id);
+            if (!record) {
+                record = {
+                    id: item.id,
+                    sessionId,
+                    messageId: null,
+                    to: item.to,
+                    jid: item.jid,
+                    type: Object.keys(item.content || {})[0] || 'text',
+                    status: 'pending',
+                    error: null,
+                    createdAt: item.createdAt,
+                    updatedAt: item.createdAt,
+                    history: [{ status: 'pending', at: item.createdAt }]
+                };
+                records.set(record.id, record);
+                persist(record);
+                return;
+            }
+
+            if (item.status === 'sent' && !record.messageId) {
+                record.messageId = item.messageId;
+                index(record);
+                persist(record);
+            } else if (item.status === 'dead' && record.status !== 'failed') {
+                record.error = item.lastError;
+                transition(record, 'failed', item.updatedAt, { error: item.lastError });
+            } else if (item.status === 'pending' && record.status === 'failed') {
+                // Dead-letter yang di-retry kembali pending
+                record.error = null;
+                transition(record, 'pending', item.updatedAt);
+            }
+        },
+
+        // Receipt dari Baileys; pesan yang tidak dikirim lewat API diabaikan
+        applyReceipt({ messageId, status, at, participant }) {
+            const record = byMessageId.get(messageId);
+            if (!record || !status) return;
+
+            if (status === 'failed') {
+                if (record.status !== 'failed') transition(record, 'failed', at);
+                return;
+            }
+            if (record.status === 'failed' || rank(status) <= rank(record.status)) return;
+            transition(record, status, at, participant ? { participant } : {});
+        },
+
+        get(id) {
+            return records.get(id) || byMessageId.get(id) || null;
+        },
+
+        list({ sessionId, to, status, limit = 50 } = {}) {
+            return [...records.values()]
+                .filter(r => (!sessionId || r.sessionId === sessionId) && (!to || r.to === to) && (!status || r.status === status))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit);
+        }
+    };
+}
@@ -0,0 +1,148 @@
+// Metrics dalam format teks Prometheus (GET /metrics), tanpa dependency.
+// Counter/histogram diisi saat kejadian, gauge dihitung ulang saat di-scrape.
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+export function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(metric, { replace = false } = {}) {
+        const index = metrics.findIndex(m => m.name === metric.name);
+        if (index !== -1 && !replace) throw new Error(`Metric ${metric.name} already registered`);
+        if (index !== -1) metrics.splice(index, 1);
+        metrics.push(metric);
+        return metric;
+    }
+
+    return {
+        counter(name, help, labelNames = []) {
+            const values = new Map();
+            return register({
+                name,
+                help,
+                type: 'counter',
+                inc(labels = {}, amount = 1) {
+                    const key = labelKey(labelNames, labels);
+                    const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                    entry.value += amount;
+                    values.set(key, entry);
+                },
+                lines() {
+                    return [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+                }
+            });
+        },
+
+        // collect() -> [{ labels, value }]; replace: gauge lama dengan nama sama diganti
+        gauge(name, help, collect, { replace = false } = {}) {
+            return register({
+                name,
+                help,
+                type: 'gauge',
+                lines() {
+                    return collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`);
+                }
+            }, { replace });
+        },
+
+        histogram(name, help, labelNames = [], buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+            const values = new Map();
+            return register({
+                name,
+                help,
+                type: 'histogram',
+                observe(labels = {}, value) {
+                    const key = labelKey(labelNames, labels);
+                    let entry = values.get(key);
+                    if (!entry) {
+                        entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                        values.set(key, entry);
+                    }
+                    buckets.forEach((bucket, i) => {
+                        if (value <= bucket) entry.counts[i]++;
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                },
+                lines() {
+                    const lines = [];
+                    for (const { labels, counts, sum, count } of values.values()) {
+                        buckets.forEach((bucket, i) => {
+                            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`);
+                        });
+                        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+                    }
+                    return lines;
+                }
+            });
+        },
+
+        // Hanya metric ini yang dilepas, bukan metric lain yang kebetulan bernama sama
+        unregister(metric) {
+            const index = metrics.indexOf(metric);
+            if (index !== -1) metrics.splice(index, 1);
+        },
+
+        render() {
+            return metrics.map(metric => [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.lines()
+            ].join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+export const metrics = createMetricsRegistry();
+
+export const messagesSent = metrics.counter('wab_messages_sent_total', 'Messages delivered to WhatsApp', ['session']);
+export const messagesFailed = metrics.counter('wab_messages_failed_total', 'Failed send attempts', ['session', 'reason']);
+export const messagesReceived = metrics.counter('wab_messages_received_total', 'Incoming messages', ['session', 'type']);
+export const reconnects = metrics.counter('wab_reconnects_total', 'Connection closes followed by a reconnect decision', ['session', 'reason', 'action']);
+export const sendDuration = metrics.histogram('wab_send_duration_seconds', 'Time to deliver one queued message (onWhatsApp check + send)', ['session']);
+
+// Gauge yang dibaca dari state session saat scrape. App yang dibuat belakangan
+// menggantikan gauge app sebelumnya; fungsi yang dikembalikan melepasnya (app.stop()).
+export function registerSessionMetrics(sessions) {
+    const gauge = (name, help, collect) => metrics.gauge(name, help, collect, { replace: true });
+    const gauges = [
+        gauge('wab_connected', 'Whether the session is connected to WhatsApp (1/0)', () =>
+            sessions.list().map(session => ({ labels: { session: session.id }, value: session.isConnected ? 1 : 0 }))),
+
+        gauge('wab_connection_uptime_seconds', 'Seconds since the session last connected (0 while disconnected)', () =>
+            sessions.list().map(session => ({
+                labels: { session: session.id },
+                value: session.isConnected && session.connectedAt ? Math.floor((Date.now() - Date.parse(session.connectedAt)) / 1000) : 0
+            }))),
+
+        gauge('wab_queue_depth', 'Outbound queue items by status', () =>
+            sessions.list().flatMap(session => Object.entries(session.queue.stats())
+                .map(([status, value]) => ({ labels: { session: session.id, status }, value })))),
+
+        gauge('process_uptime_seconds', 'Process uptime', () => [{ value: Math.floor(process.uptime()) }]),
+
+        gauge('process_resident_memory_bytes', 'Resident memory size', () => [{ value: process.memoryUsage().rss }])
+    ];
+
+    return () => {
+        for (const metric of gauges) metrics.unregister(metric);
+    };
+}
@@ -0,0 +1,542 @@
+import { fileURLToPath } from 'url';
+import { readJson } from './storage.js';
+import { ERROR_CODES, sendError } from './errors.js';
+import { validateSchema, formatSchemaError } from './schema.js';
+import { SCOPES, SESSION_COOKIE } from './api-keys.js';
+import { PARTICIPANT_ACTIONS } from './groups.js';
+import { MEDIA_TYPES, removeMedia } from './media.js';
+import { POLL_MAX_OPTIONS } from './interactive.js';
+import { QUEUE_STATUSES } from './queue.js';
+import { MESSAGE_STATUSES } from './message-status.js';
+import { SCHEDULE_STATUSES } from './scheduler.js';
+import { RECIPIENT_STATUSES } from './broadcasts.js';
+
+const pkg = readJson(fileURLToPath(new URL('../package.json', import.meta.url)), {});
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const phoneType = { type: ['string', 'integer'] };
+const stringList = { type: 'array', items: phoneType };
+
+// Request body schemas. Dipakai untuk dokumen /openapi.json sekaligus validasi
+// (validateBody). Varian "<Nama>Form" untuk multipart: semua field berupa string.
+export const SCHEMAS = {
+    Recipient: {
+        type: 'object',
+        description: 'Exactly one of phone, jid or groupId',
+        properties: {
+            phone: { ...phoneType, description: 'Phone number, e.g. "081234567890", "+60 12-345 6789" or "6281234567890"', example: '6281234567890' },
+            countryCode: { type: ['string', 'integer'], description: 'Country for numbers without "+": ISO code ("MY") or calling code ("60"). Defaults to DEFAULT_COUNTRY. Without it, a number valid both ways ("60123456789") is rejected as AMBIGUOUS' },
+            jid: { type: 'string', description: '"<number>@s.whatsapp.net" or a group JID' },
+            groupId: { type: 'string', description: 'Group id or JID', example: '120363012345678901@g.us' },
+            mentions: { type: ['array', 'string'], items: phoneType, description: 'Phones to mention in a group (list or comma separated)' },
+            session: { type: 'string', description: 'Session id when the /sessions/{sessionId} prefix is not used' }
+        },
+        anyOf: [{ required: ['phone'] }, { required: ['groupId'] }, { required: ['jid'] }]
+    },
+    Reply: {
+        type: 'object',
+        properties: {
+            quotedMessageId: { type: 'string', description: 'Reply to (quote) a message from the chat history' }
+        }
+    },
+    SendMessage: {
+        allOf: [ref('Recipient'), ref('Reply'), {
+            type: 'object',
+            properties: {
+                message: { type: 'string', minLength: 1, example: 'Hello from bot!' },
+                template: { type: 'string', description: 'Stored template name, used instead of "message"' },
+                variables: { type: 'object', description: 'Template variables' }
+            },
+            anyOf: [{ required: ['message'] }, { required: ['template'] }]
+        }]
+    },
+    SendMedia: {
+        allOf: [ref('Recipient'), ref('Reply'), {
+            type: 'object',
+            description: 'One of base64 or path (inside MEDIA_ROOT); use multipart/form-data to upload a file',
+            properties: {
+                base64: { type: 'string', description: 'Raw base64 or a data: URL' },
+                path: { type: 'string' },
+                fileName: { type: 'string' },
+                mimetype: { type: 'string' },
+                caption: { type: 'string' },
+                ptt: { type: ['boolean', 'string'], description: 'Send audio as a voice note' }
+            }
+        }]
+    },
+    SendMediaForm: {
+        allOf: [ref('Recipient'), ref('Reply'), {
+            type: 'object',
+            required: ['file'],
+            properties: {
+                file: { type: 'string', format: 'binary' },
+                fileName: { type: 'string' },
+                mimetype: { type: 'string' },
+                caption: { type: 'string' },
+                ptt: { type: 'string', enum: ['true', 'false'] }
+            }
+        }]
+    },
+    SendPoll: {
+        allOf: [ref('Recipient'), ref('Reply'), {
+            type: 'object',
+            required: ['name', 'options'],
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 255, example: 'Puas dengan servis?' },
+                options: { type: 'array', minItems: 2, maxItems: POLL_MAX_OPTIONS, items: { type: 'string', minLength: 1 } },
+                selectableCount: { type: 'integer', minimum: 0, description: '0 = any number of options, default 1' }
+            }
+        }]
+    },
+    SendLocation: {
+        allOf: [ref('Recipient'), ref('Reply'), {
+            type: 'object',
+            required: ['latitude', 'longitude'],
+            properties: {
+                latitude: { type: ['number', 'string'], minimum: -90, maximum: 90, example: -6.9175 },
+                longitude: { type: ['number', 'string'], minimum: -180, maximum: 180, example: 107.6191 },
+                name: { type: 'string' },
+                address: { type: 'string' }
+            }
+        }]
+    },
+    SendContact: {
+        allOf: [ref('Recipient'), ref('Reply'), {
+            type: 'object',
+            required: ['contacts'],
+            properties: {
+                contacts: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: 10,
+                    items: {
+                        type: 'object',
+                        required: ['name', 'phone'],
+                        properties: {
+                            name: { type: 'string' },
+                            phone: phoneType,
+                            countryCode: { type: ['string', 'integer'] },
+                            organization: { type: 'string' },
+                            email: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }]
+    },
+    SendReaction: {
+        allOf: [ref('Recipient'), {
+            type: 'object',
+            required: ['messageId'],
+            properties: {
+                messageId: { type: 'string', description: 'Message in the recipient\'s chat history' },
+                emoji: { type: 'string', description: 'Empty string removes the reaction', example: '👍' }
+            }
+        }]
+    },
+    Lookup: {
+        type: 'object',
+        required: ['phones'],
+        properties: {
+            phones: { ...stringList, minItems: 1, maxItems: 500 },
+            countryCode: { type: ['string', 'integer'] }
+        }
+    },
+    PairingCode: {
+        type: 'object',
+        required: ['phone'],
+        properties: {
+            phone: phoneType,
+            countryCode: { type: ['string', 'integer'] }
+        }
+    },
+    CreateSession: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,31}$', example: 'sales' }
+        }
+    },
+    CreateWebhook: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string', format: 'uri' },
+            events: { type: 'array', minItems: 1, items: { type: 'string' }, description: 'Default ["*"]' },
+            secret: { type: 'string', description: 'HMAC secret; generated when omitted' }
+        }
+    },
+    CreateApiKey: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: SCOPES } }
+        }
+    },
+    SaveTemplate: {
+        type: 'object',
+        required: ['body'],
+        properties: {
+            body: { type: 'string', minLength: 1, example: 'Halo {{ name | title }}, garansi berakhir {{ warranty_end | date }}' },
+            description: { type: 'string' },
+            required: { type: 'array', items: { type: 'string' }, description: 'Variables that must be provided' }
+        }
+    },
+    RenderTemplate: {
+        type: 'object',
+        required: ['body'],
+        properties: {
+            body: { type: 'string', minLength: 1 },
+            variables: { type: 'object' }
+        }
+    },
+    RenderStoredTemplate: {
+        type: 'object',
+        properties: {
+            variables: { type: 'object' }
+        }
+    },
+    CreateBroadcast: {
+        type: 'object',
+        description: 'recipients: phones, { phone, variables } or flat rows; or a "csv" string',
+        properties: {
+            message: { type: 'string', minLength: 1 },
+            template: { type: 'string' },
+            recipients: { type: 'array', minItems: 1, items: { type: ['string', 'integer', 'object'] } },
+            csv: { type: 'string' },
+            countryCode: { type: ['string', 'integer'] },
+            minDelayMs: { type: ['integer', 'string'] },
+            jitterMs: { type: ['integer', 'string'] },
+            session: { type: 'string' }
+        },
+        allOf: [
+            { anyOf: [{ required: ['message'] }, { required: ['template'] }] },
+            { anyOf: [{ required: ['recipients'] }, { required: ['csv'] }] }
+        ]
+    },
+    CreateBroadcastForm: {
+        type: 'object',
+        required: ['file'],
+        properties: {
+            file: { type: 'string', format: 'binary', description: 'CSV with a phone column' },
+            message: { type: 'string' },
+            template: { type: 'string' },
+            countryCode: { type: 'string' },
+            minDelayMs: { type: 'string' },
+            jitterMs: { type: 'string' },
+            session: { type: 'string' }
+        },
+        anyOf: [{ required: ['message'] }, { required: ['template'] }]
+    },
+    CreateSchedule: {
+        allOf: [ref('Recipient'), {
+            type: 'object',
+            description: 'One-off with sendAt or recurring with cron',
+            properties: {
+                message: { type: 'string', minLength: 1 },
+                template: { type: 'string' },
+                variables: { type: 'object' },
+                sendAt: { type: 'string', example: '2026-11-01 09:00' },
+                cron: { type: 'string', example: '0 9 * * 1' },
+                timezone: { type: 'string', example: 'Asia/Jakarta' },
+                endAt: { type: 'string' },
+                maxRuns: { type: ['integer', 'string'], minimum: 1 },
+                catchUp: { type: 'boolean' },
+                name: { type: 'string' }
+            },
+            anyOf: [{ required: ['message'] }, { required: ['template'] }]
+        }]
+    },
+    Reschedule: {
+        type: 'object',
+        properties: {
+            sendAt: { type: 'string' },
+            cron: { type: 'string' },
+            timezone: { type: 'string' },
+            endAt: { type: 'string' },
+            maxRuns: { type: ['integer', 'string'], minimum: 1 }
+        }
+    },
+    CreateGroup: {
+        type: 'object',
+        required: ['subject', 'participants'],
+        properties: {
+            subject: { type: 'string', minLength: 1, maxLength: 100 },
+            participants: { ...stringList, minItems: 1 },
+            countryCode: { type: ['string', 'integer'] }
+        }
+    },
+    UpdateGroup: {
+        type: 'object',
+        properties: {
+            subject: { type: 'string', minLength: 1, maxLength: 100 },
+            description: { type: 'string', description: 'Empty string clears the description' }
+        }
+    },
+    GroupParticipants: {
+        type: 'object',
+        required: ['action', 'participants'],
+        properties: {
+            action: { type: 'string', enum: PARTICIPANT_ACTIONS },
+            participants: { ...stringList, minItems: 1 },
+            countryCode: { type: ['string', 'integer'] }
+        }
+    },
+    CommandsConfig: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            groups: { type: 'boolean', description: 'Also answer in groups' },
+            prefix: { type: 'string', minLength: 1, maxLength: 3 },
+            cooldownMs: { type: 'integer', minimum: 0 },
+            allow: stringList,
+            deny: stringList
+        }
+    },
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'code'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', description: 'Human readable message, may change' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code' },
+            reason: { type: 'string', description: 'INVALID_PHONE detail, e.g. TOO_SHORT, INVALID_COUNTRY or AMBIGUOUS' },
+            errors: {
+                type: 'array',
+                description: 'VALIDATION_FAILED: every failing field',
+                items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+            },
+            retryAfter: { type: 'integer', description: 'RATE_LIMITED: seconds until the next attempt' }
+        }
+    },
+    SendResult: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            sessionId: { type: 'string' },
+            to: { type: 'string' },
+            messageId: { type: 'string', description: 'Set once sent (200)' },
+            queueId: { type: 'string' },
+            queued: { type: 'boolean', description: 'true while waiting in the queue (202)' },
+            status: { type: 'string', enum: QUEUE_STATUSES },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    Success: {
+        type: 'object',
+        properties: { success: { type: 'boolean', enum: [true] } },
+        additionalProperties: true
+    }
+};
+
+// Middleware: validasi req.body dengan schema di atas -> 400 VALIDATION_FAILED.
+// Multipart memakai varian "<name>Form" kalau ada.
+export function validateBody(name) {
+    if (!SCHEMAS[name]) throw new Error(`Unknown schema "${name}"`);
+    return (req, res, next) => {
+        const form = req.is('multipart/form-data') && SCHEMAS[`${name}Form`] ? `${name}Form` : name;
+        const body = form === name ? req.body : { ...req.body, ...(req.file && { file: req.file.originalname }) };
+        const errors = validateSchema(SCHEMAS[form], body ?? {}, { definitions: SCHEMAS });
+        if (errors.length === 0) return next();
+
+        if (req.file) removeMedia(req.file.path);
+        sendError(res, 'VALIDATION_FAILED', formatSchemaError(errors[0]), { errors });
+    };
+}
+
+const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema });
+const limitQuery = (max) => query('limit', `Max ${max}`, { type: 'integer', minimum: 1, maximum: max });
+
+// Endpoint yang didokumentasikan. perSession: juga tersedia di /sessions/{sessionId}/...;
+// idempotent: menerima header Idempotency-Key. scope "public" = tanpa API key.
+const OPERATIONS = [
+    { method: 'get', path: '/health', id: 'health', tag: 'Server', scope: 'public', summary: 'Health check' },
+    { method: 'get', path: '/openapi.json', id: 'openapi', tag: 'Server', scope: 'public', summary: 'This OpenAPI document' },
+    { method: 'get', path: '/metrics', id: 'metrics', tag: 'Server', scope: 'read', summary: 'Prometheus metrics', produces: 'text/plain' },
+    { method: 'get', path: '/events', id: 'events', tag: 'Server', scope: 'read', summary: 'Server-sent events (qr.updated, connection.updated, message.received, message.receipt, message.status, poll.updated, outbound.updated)', produces: 'text/event-stream', query: [query('types', 'Comma separated event types'), query('session', 'Only events of this session')] },
+    { method: 'get', path: '/audit', id: 'listAudit', tag: 'Server', scope: 'admin', summary: 'Audit trail of admin actions', query: ['action', 'actor', 'session', 'since', 'until'].map(name => query(name)).concat([query('success', 'true or false'), limitQuery(1000), query('offset', null, { type: 'integer' })]) },
+
+    { method: 'get', path: '/status', id: 'getStatus', tag: 'Session', scope: 'read', perSession: true, summary: 'Connection status, reconnect history, queue and send limit usage' },
+    { method: 'get', path: '/qr', id: 'getQr', tag: 'Session', scope: 'admin', perSession: true, summary: 'Current QR code data' },
+    { method: 'get', path: '/qr.png', id: 'getQrImage', tag: 'Session', scope: 'admin', perSession: true, summary: 'Current QR code as PNG', produces: 'image/png', query: [query('size', 'Width in pixels (128-1024)', { type: 'integer' })] },
+    { method: 'post', path: '/pairing-code', id: 'requestPairingCode', tag: 'Session', scope: 'admin', perSession: true, body: 'PairingCode', summary: 'Link with a phone number instead of the QR code' },
+    { method: 'post', path: '/reconnect', id: 'reconnect', tag: 'Session', scope: 'admin', perSession: true, summary: 'Reconnect without clearing auth' },
+    { method: 'post', path: '/clear-auth', id: 'clearAuth', tag: 'Session', scope: 'admin', perSession: true, summary: 'Clear authentication and restart' },
+    { method: 'get', path: '/sessions', id: 'listSessions', tag: 'Session', scope: 'read', summary: 'List sessions' },
+    { method: 'post', path: '/sessions', id: 'createSession', tag: 'Session', scope: 'admin', body: 'CreateSession', status: 201, summary: 'Create a session (another WhatsApp number)' },
+    { method: 'get', path: '/sessions/:sessionId', id: 'getSession', tag: 'Session', scope: 'read', summary: 'Get one session' },
+    { method: 'delete', path: '/sessions/:sessionId', id: 'deleteSession', tag: 'Session', scope: 'admin', summary: 'Log out and delete a session with its data directory' },
+
+    { method: 'post', path: '/send-message', id: 'sendMessage', tag: 'Messages', scope: 'send', perSession: true, send: true, body: 'SendMessage', summary: 'Send a text message (or stored template)' },
+    ...MEDIA_TYPES.map(type => ({
+        method: 'post', path: `/send-${type}`, id: `send${type[0].toUpperCase()}${type.slice(1)}`, tag: 'Messages', scope: 'send', perSession: true, send: true, body: 'SendMedia', form: 'SendMediaForm', summary: `Send ${type === 'image' ? 'an' : 'a'} ${type}`
+    })),
+    { method: 'post', path: '/send-poll', id: 'sendPoll', tag: 'Messages', scope: 'send', perSession: true, send: true, body: 'SendPoll', summary: 'Send a poll' },
+    { method: 'post', path: '/send-location', id: 'sendLocation', tag: 'Messages', scope: 'send', perSession: true, send: true, body: 'SendLocation', summary: 'Send a location pin' },
+    { method: 'post', path: '/send-contact', id: 'sendContact', tag: 'Messages', scope: 'send', perSession: true, send: true, body: 'SendContact', summary: 'Send vCard contact(s)' },
+    { method: 'post', path: '/send-reaction', id: 'sendReaction', tag: 'Messages', scope: 'send', perSession: true, send: true, body: 'SendReaction', summary: 'React to a message' },
+    { method: 'post', path: '/lookup', id: 'lookup', tag: 'Messages', scope: 'read', perSession: true, body: 'Lookup', summary: 'Check which numbers are on WhatsApp' },
+    { method: 'get', path: '/messages', id: 'listMessages', tag: 'Messages', scope: 'read', summary: 'Outbound message history', query: [query('session'), query('to'), query('status', null, { type: 'string', enum: [...MESSAGE_STATUSES, 'failed'] }), limitQuery(500)] },
+    { method: 'get', path: '/messages/:id', id: 'getMessage', tag: 'Messages', scope: 'read', summary: 'Delivery status of a message (messageId or queueId)' },
+    { method: 'get', path: '/polls', id: 'listPolls', tag: 'Messages', scope: 'read', perSession: true, summary: 'Polls with their results', query: [query('chat'), query('fromMe', 'true or false'), limitQuery(500)] },
+    { method: 'get', path: '/polls/:messageId', id: 'getPoll', tag: 'Messages', scope: 'read', perSession: true, summary: 'Vote results of one poll' },
+
+    { method: 'get', path: '/queue', id: 'listQueue', tag: 'Queue', scope: 'read', perSession: true, summary: 'Queued, sent and dead-lettered messages', query: [query('status', null, { type: 'string', enum: QUEUE_STATUSES }), limitQuery(1000)] },
+    { method: 'get', path: '/queue/:id', id: 'getQueueItem', tag: 'Queue', scope: 'read', perSession: true, summary: 'One queued message' },
+    { method: 'post', path: '/queue/:id/retry', id: 'retryQueueItem', tag: 'Queue', scope: 'admin', perSession: true, summary: 'Retry a dead-lettered message' },
+    { method: 'delete', path: '/queue/:id', id: 'deleteQueueItem', tag: 'Queue', scope: 'admin', perSession: true, summary: 'Remove a message from the queue' },
+
+    { method: 'get', path: '/chats', id: 'listChats', tag: 'History', scope: 'read', perSession: true, summary: 'Chats, latest activity first', query: [query('search'), query('archived', 'true or false'), limitQuery(500), query('offset', null, { type: 'integer' })] },
+    { method: 'get', path: '/chats/:jid', id: 'getChat', tag: 'History', scope: 'read', perSession: true, summary: 'One chat (jid or phone)' },
+    { method: 'get', path: '/chats/:jid/messages', id: 'listChatMessages', tag: 'History', scope: 'read', perSession: true, summary: 'Messages of a chat, newest first', query: [query('before', 'nextBefore of the previous page'), limitQuery(500)] },
+    { method: 'get', path: '/search', id: 'searchMessages', tag: 'History', scope: 'read', perSession: true, summary: 'Search stored messages', query: [query('q', 'At least 2 characters'), query('chat'), query('fromMe', 'true or false'), limitQuery(500)] },
+    { method: 'get', path: '/contacts', id: 'listContacts', tag: 'History', scope: 'read', perSession: true, summary: 'Contacts', query: [query('search'), limitQuery(1000), query('offset', null, { type: 'integer' })] },
+    { method: 'get', path: '/contacts/:jid', id: 'getContact', tag: 'History', scope: 'read', perSession: true, summary: 'Contact info, with profile picture and about when online' },
+
+    { method: 'get', path: '/groups', id: 'listGroups', tag: 'Groups', scope: 'read', perSession: true, summary: 'Groups the bot is a member of' },
+    { method: 'post', path: '/groups', id: 'createGroup', tag: 'Groups', scope: 'admin', perSession: true, body: 'CreateGroup', status: 201, summary: 'Create a group' },
+    { method: 'get', path: '/groups/:groupId', id: 'getGroup', tag: 'Groups', scope: 'read', perSession: true, summary: 'Group metadata and participants' },
+    { method: 'put', path: '/groups/:groupId', id: 'updateGroup', tag: 'Groups', scope: 'admin', perSession: true, body: 'UpdateGroup', summary: 'Update subject and/or description' },
+    { method: 'post', path: '/groups/:groupId/participants', id: 'updateGroupParticipants', tag: 'Groups', scope: 'admin', perSession: true, body: 'GroupParticipants', summary: 'Add, remove, promote or demote participants', responses: { 207: 'Some participants failed, see results[].success', 422: 'PARTICIPANT_UPDATE_FAILED: no participant could be updated, see results' } },
+    { method: 'get', path: '/groups/:groupId/invite', id: 'getGroupInvite', tag: 'Groups', scope: 'admin', perSession: true, summary: 'Invite link' },
+    { method: 'post', path: '/groups/:groupId/invite/revoke', id: 'revokeGroupInvite', tag: 'Groups', scope: 'admin', perSession: true, summary: 'Revoke the invite link' },
+
+    { method: 'get', path: '/templates', id: 'listTemplates', tag: 'Templates', scope: 'read', summary: 'List templates' },
+    { method: 'post', path: '/templates/render', id: 'previewTemplate', tag: 'Templates', scope: 'read', body: 'RenderTemplate', summary: 'Preview an unsaved template' },
+    { method: 'get', path: '/templates/:name', id: 'getTemplate', tag: 'Templates', scope: 'read', summary: 'Get a template' },
+    { method: 'put', path: '/templates/:name', id: 'saveTemplate', tag: 'Templates', scope: 'admin', body: 'SaveTemplate', summary: 'Create or update a template' },
+    { method: 'post', path: '/templates/:name/render', id: 'renderTemplate', tag: 'Templates', scope: 'read', body: 'RenderStoredTemplate', summary: 'Preview a stored template' },
+    { method: 'delete', path: '/templates/:name', id: 'deleteTemplate', tag: 'Templates', scope: 'admin', summary: 'Delete a template' },
+
+    { method: 'post', path: '/broadcasts', id: 'createBroadcast', tag: 'Broadcasts', scope: 'send', send: true, body: 'CreateBroadcast', form: 'CreateBroadcastForm', status: 202, summary: 'Start a throttled bulk send' },
+    { method: 'get', path: '/broadcasts', id: 'listBroadcasts', tag: 'Broadcasts', scope: 'read', summary: 'List broadcasts' },
+    { method: 'get', path: '/broadcasts/:id', id: 'getBroadcast', tag: 'Broadcasts', scope: 'read', summary: 'Broadcast progress' },
+    { method: 'get', path: '/broadcasts/:id/report', id: 'getBroadcastReport', tag: 'Broadcasts', scope: 'read', summary: 'Per-recipient report', query: [query('status', null, { type: 'string', enum: RECIPIENT_STATUSES }), query('format', 'csv for a CSV file', { type: 'string', enum: ['json', 'csv'] })] },
+    { method: 'post', path: '/broadcasts/:id/cancel', id: 'cancelBroadcast', tag: 'Broadcasts', scope: 'send', summary: 'Cancel a running broadcast' },
+
+    { method: 'post', path: '/schedules', id: 'createSchedule', tag: 'Schedules', scope: 'send', send: true, body: 'CreateSchedule', status: 201, summary: 'Schedule a one-off or recurring message' },
+    { method: 'get', path: '/schedules', id: 'listSchedules', tag: 'Schedules', scope: 'read', summary: 'List schedules', query: [query('status', null, { type: 'string', enum: SCHEDULE_STATUSES }), query('session'), query('to')] },
+    { method: 'get', path: '/schedules/:id', id: 'getSchedule', tag: 'Schedules', scope: 'read', summary: 'Get a schedule' },
+    { method: 'post', path: '/schedules/:id/reschedule', id: 'reschedule', tag: 'Schedules', scope: 'send', body: 'Reschedule', summary: 'Move a schedule' },
+    { method: 'post', path: '/schedules/:id/cancel', id: 'cancelSchedule', tag: 'Schedules', scope: 'send', summary: 'Cancel a schedule' },
+
+    { method: 'get', path: '/commands', id: 'listCommands', tag: 'Automation', scope: 'read', summary: 'Auto-reply commands and config' },
+    { method: 'put', path: '/commands/config', id: 'updateCommandsConfig', tag: 'Automation', scope: 'admin', body: 'CommandsConfig', summary: 'Update auto-reply config' },
+    { method: 'get', path: '/flows', id: 'listFlows', tag: 'Automation', scope: 'read', summary: 'Conversation flows' },
+    { method: 'get', path: '/conversations', id: 'listConversations', tag: 'Automation', scope: 'read', summary: 'Active conversations', query: [query('session')] },
+    { method: 'delete', path: '/conversations/:id', id: 'cancelConversation', tag: 'Automation', scope: 'admin', summary: 'Stop a conversation' },
+    { method: 'get', path: '/submissions', id: 'listSubmissions', tag: 'Automation', scope: 'read', summary: 'Completed flows (e.g. warranty claims)', query: [query('flow'), query('phone'), limitQuery(500)] },
+    { method: 'get', path: '/submissions/:id', id: 'getSubmission', tag: 'Automation', scope: 'read', summary: 'One submission' },
+    { method: 'get', path: '/submissions/:id/media/:step', id: 'getSubmissionMedia', tag: 'Automation', scope: 'read', summary: 'Media collected by a flow step', produces: 'application/octet-stream' },
+
+    { method: 'get', path: '/webhooks', id: 'listWebhooks', tag: 'Admin', scope: 'admin', summary: 'List webhooks' },
+    { method: 'post', path: '/webhooks', id: 'createWebhook', tag: 'Admin', scope: 'admin', body: 'CreateWebhook', status: 201, summary: 'Register a webhook (secret is shown once)' },
+    { method: 'get', path: '/webhooks/deliveries', id: 'listWebhookDeliveries', tag: 'Admin', scope: 'admin', summary: 'Recent webhook deliveries', query: [query('webhookId'), query('status'), limitQuery(200)] },
+    { method: 'post', path: '/webhooks/:id/test', id: 'testWebhook', tag: 'Admin', scope: 'admin', summary: 'Send a test event' },
+    { method: 'delete', path: '/webhooks/:id', id: 'deleteWebhook', tag: 'Admin', scope: 'admin', summary: 'Remove a webhook' },
+    { method: 'get', path: '/api-keys', id: 'listApiKeys', tag: 'Admin', scope: 'admin', summary: 'List API keys' },
+    { method: 'post', path: '/api-keys', id: 'createApiKey', tag: 'Admin', scope: 'admin', body: 'CreateApiKey', status: 201, summary: 'Create an API key (shown once)' },
+    { method: 'delete', path: '/api-keys/:id', id: 'revokeApiKey', tag: 'Admin', scope: 'admin', summary: 'Revoke an API key' }
+];
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+function buildOperation(operation, { sessionPrefix }) {
+    const pathParams = [...operation.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+    if (sessionPrefix) pathParams.unshift('sessionId');
+
+    const success = { description: 'OK', content: { [operation.produces || 'application/json']: { schema: operation.produces ? { type: 'string' } : ref(operation.send ? 'SendResult' : 'Success') } } };
+    const responses = { [operation.status || 200]: success };
+    if (operation.send && !operation.status) {
+        responses[202] = { description: 'Queued; still waiting to be sent', content: { 'application/json': { schema: ref('SendResult') } } };
+        responses[404] = errorResponse('NOT_ON_WHATSAPP, MESSAGE_NOT_FOUND (quoted message) or GROUP_NOT_FOUND');
+    }
+    if (operation.body) responses[400] = errorResponse('VALIDATION_FAILED, INVALID_PHONE, ...');
+    if (operation.scope !== 'public') {
+        responses[401] = errorResponse('UNAUTHORIZED');
+        responses[403] = errorResponse('FORBIDDEN: the API key lacks the scope');
+    }
+    if (operation.send) {
+        responses[409] = errorResponse('IDEMPOTENCY_KEY_IN_USE: a request with this key is still running');
+        responses[422] = errorResponse('IDEMPOTENCY_KEY_REUSED: the key was used with a different request');
+        responses[429] = errorResponse('RATE_LIMITED, see the Retry-After header');
+    }
+    for (const [status, description] of Object.entries(operation.responses || {})) {
+        responses[status] = status < 400 ? { ...success, description } : errorResponse(description);
+    }
+    responses.default = errorResponse('Error');
+
+    const body = operation.body && {
+        required: true,
+        content: {
+            'application/json': { schema: ref(operation.body) },
+            ...(operation.form && { 'multipart/form-data': { schema: ref(operation.form) } })
+        }
+    };
+
+    return {
+        operationId: sessionPrefix ? `${operation.id}ForSession` : operation.id,
+        summary: operation.summary,
+        tags: [operation.tag],
+        ...(operation.scope === 'public' ? { security: [] } : { 'x-scope': operation.scope }),
+        parameters: [
+            ...pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+            ...(operation.send ? [{ $ref: '#/components/parameters/IdempotencyKey' }] : []),
+            ...(operation.query || [])
+        ],
+        ...(body && { requestBody: body }),
+        responses
+    };
+}
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Dokumen OpenAPI 3.1 untuk GET /openapi.json
+export function buildOpenApiDocument() {
+    const paths = {};
+    const add = (path, method, operation) => {
+        paths[path] = { ...paths[path], [method]: operation };
+    };
+
+    for (const operation of OPERATIONS) {
+        add(toOpenApiPath(operation.path), operation.method, buildOperation(operation, { sessionPrefix: false }));
+        if (operation.perSession) {
+            add(`/sessions/{sessionId}${toOpenApiPath(operation.path)}`, operation.method, buildOperation(operation, { sessionPrefix: true }));
+        }
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'WhatsApp Bot API',
+            version: pkg.version || '1.0.0',
+            description: [
+                'Routes without the /sessions/{sessionId} prefix use the "default" session.',
+                'Errors always look like { "success": false, "error": "<message>", "code": "<CODE>" }; match on "code".',
+                'Send endpoints accept an Idempotency-Key header: a retry with the same key and body returns the first response instead of sending again.'
+            ].join('\n\n')
+        },
+        servers: [{ url: '/' }],
+        security: [{ bearerAuth: [] }, { adminCookie: [] }],
+        tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key; required scope per operation in x-scope (admin implies all)' },
+                adminCookie: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Dashboard login session' }
+            },
+            parameters: {
+                IdempotencyKey: {
+                    name: 'Idempotency-Key',
+                    in: 'header',
+                    required: false,
+                    description: 'Unique key per logical send (max 255 chars), kept for IDEMPOTENCY_TTL_HOURS (default 24)',
+                    schema: { type: 'string', maxLength: 255 }
+                }
+            },
+            schemas: SCHEMAS
+        }
+    };
+}
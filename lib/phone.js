@@ -0,0 +1,118 @@
+import {
+    parsePhoneNumberWithError, validatePhoneNumberLength, isSupportedCountry, getCountryCallingCode, ParseError
+} from 'libphonenumber-js';
+
+// Negara default untuk nomor tanpa kode negara (ISO 3166 alpha-2)
+export const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'ID').toUpperCase();
+
+const REASONS = {
+    EMPTY: 'Phone number is required',
+    NOT_A_NUMBER: 'Phone number must contain digits',
+    INVALID_COUNTRY: 'Unknown or missing country code',
+    TOO_SHORT: 'Phone number is too short',
+    TOO_LONG: 'Phone number is too long',
+    INVALID_LENGTH: 'Phone number has an invalid length',
+    INVALID_NUMBER: 'Phone number is not valid for its country',
+    AMBIGUOUS: 'Phone number is valid in more than one country; add "+" and the country code or pass countryCode'
+};
+
+export class PhoneError extends Error {
+    constructor(reason, input, detail) {
+        super(detail || REASONS[reason] || reason);
+        this.code = 'INVALID_PHONE';
+        this.reason = reason;
+        this.input = input;
+        this.status = 400;
+    }
+}
+
+// countryCode: ISO ("MY") atau kode panggil ("60" / "+60")
+function resolveCountry(countryCode = DEFAULT_COUNTRY) {
+    const value = String(countryCode).trim().toUpperCase();
+    if (/^[A-Z]{2}$/.test(value) && isSupportedCountry(value)) {
+        return { defaultCountry: value, callingCode: getCountryCallingCode(value) };
+    }
+    const digits = value.replace(/^\+/, '');
+    if (/^\d{1,3}$/.test(digits)) {
+        return { defaultCallingCode: digits, callingCode: digits };
+    }
+    throw new PhoneError('INVALID_COUNTRY', countryCode, `Unknown country code "${countryCode}"`);
+}
+
+function tryParse(text, options) {
+    try {
+        const number = parsePhoneNumberWithError(text, options);
+        if (number.isValid()) return { number };
+        const length = validatePhoneNumberLength(text, options);
+        return { reason: length || 'INVALID_NUMBER' };
+    } catch (error) {
+        if (error instanceof ParseError) return { reason: error.message };
+        throw error;
+    }
+}
+
+// "+60 12-345 6789", "0060123456789", "081234567890", "6281234567890" -> E.164.
+// Nomor tanpa "+" dibaca sebagai nomor nasional negara default/countryCode,
+// kecuali sudah diawali kode negaranya (format lama "628xx"). Tanpa countryCode,
+// nomor yang valid di dua negara ("60123456789": +62 atau +60?) ditolak.
+export function parsePhone(input, { countryCode } = {}) {
+    const text = String(input ?? '').trim();
+    if (!text) throw new PhoneError('EMPTY', input);
+    if (!/\d/.test(text)) throw new PhoneError('NOT_A_NUMBER', input);
+
+    const country = resolveCountry(countryCode || DEFAULT_COUNTRY);
+    const digits = text.replace(/\D/g, '');
+    let candidates;
+    let checkAmbiguous = false;
+
+    if (text.startsWith('+')) {
+        candidates = [['+' + digits, {}]];
+    } else if (digits.startsWith('00')) {
+        candidates = [['+' + digits.slice(2), {}]];
+    } else if (digits.startsWith('0') || !digits.startsWith(country.callingCode)) {
+        candidates = [[digits, country], ['+' + digits, {}]];
+        checkAmbiguous = !digits.startsWith('0') && !countryCode;
+    } else {
+        candidates = [['+' + digits, {}], [digits, country]];
+    }
+
+    let firstReason = null;
+    for (const [candidate, options] of candidates) {
+        const { number, reason } = tryParse(candidate, options);
+        if (number) {
+            if (checkAmbiguous) {
+                const other = tryParse(candidates[1][0], candidates[1][1]).number;
+                if (other && other.countryCallingCode !== number.countryCallingCode) {
+                    throw new PhoneError('AMBIGUOUS', input);
+                }
+            }
+            return describe(number);
+        }
+        firstReason = firstReason || reason;
+    }
+    throw new PhoneError(firstReason, input);
+}
+
+function describe(number) {
+    const phone = number.number.slice(1);
+    return {
+        phone,
+        e164: number.number,
+        country: number.country || null,
+        countryCallingCode: number.countryCallingCode,
+        nationalNumber: number.nationalNumber,
+        jid: `${phone}@s.whatsapp.net`
+    };
+}
+
+// Nomor dalam format yang dipakai WhatsApp (digit E.164 tanpa "+").
+// Throws PhoneError kalau nomor tidak valid.
+export function formatPhoneNumber(phone, options) {
+    return parsePhone(phone, options).phone;
+}
+
+// "6281234567890@s.whatsapp.net" -> "6281234567890"; null kalau bukan JID pribadi
+export function userJidToPhone(jid) {
+    const match = /^(\d{6,15})(?::\d+)?@s\.whatsapp\.net$/.exec(String(jid || '').trim());
+    return match ? match[1] : null;
+}
@@ -0,0 +1,261 @@
+import { randomUUID } from 'crypto';
+import { readJsonLines, appendJsonLine, writeJsonLines } from './storage.js';
+import { createLogger } from './logger.js';
+
+// Status: pending -> sending -> sent | pending (retry) | dead
+export const QUEUE_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+const COMPACT_THRESHOLD = 500;
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Durable outbound queue backed by an append-only JSONL journal.
+// Every state change is appended as a full snapshot; on load the last
+// snapshot per id wins, and the journal is compacted once it grows.
+export function createMessageQueue({
+    file,
+    send,
+    isReady,
+    maxAttempts = 5,
+    baseDelayMs = 5000,
+    maxDelayMs = 5 * 60 * 1000,
+    onRemove = () => {},
+    onUpdate = () => {},
+    log = createLogger('queue')
+}) {
+    const items = new Map();
+    const waiters = new Map();
+    let journalLines = 0;
+    let timer = null;
+    let draining = null;
+    let stopped = false;
+    // Rate limit global: semua pengiriman ditahan sampai waktu ini
+    let pausedUntil = 0;
+
+    for (const record of readJsonLines(file)) {
+        items.set(record.id, record);
+        journalLines++;
+    }
+
+    // Pesan yang sedang dikirim saat proses mati dikirim ulang
+    for (const item of items.values()) {
+        if (item.status === 'sending') {
+            item.status = 'pending';
+            item.nextAttemptAt = Date.now();
+        }
+    }
+    compact();
+
+    function persist(item) {
+        appendJsonLine(file, item);
+        journalLines++;
+        if (journalLines > COMPACT_THRESHOLD && journalLines > items.size * 2) {
+            compact();
+        }
+    }
+
+    function compact() {
+        const cutoff = Date.now() - SENT_RETENTION_MS;
+        for (const [id, item] of items) {
+            if (item.status === 'sent' && new Date(item.sentAt).getTime() < cutoff) {
+                items.delete(id);
+                onRemove(item);
+            }
+        }
+        writeJsonLines(file, [...items.values()]);
+        journalLines = items.size;
+    }
+
+    function update(item, changes) {
+        Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+        persist(item);
+        onUpdate(item);
+        return item;
+    }
+
+    function backoff(attempts) {
+        return Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    }
+
+    function nextDue() {
+        const now = Date.now();
+        let next = null;
+        for (const item of items.values()) {
+            if (item.status !== 'pending' || item.nextAttemptAt > now) continue;
+            if (!next || item.nextAttemptAt < next.nextAttemptAt) next = item;
+        }
+        return next;
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = null;
+        if (stopped || !isReady()) return;
+
+        let earliest = Infinity;
+        for (const item of items.values()) {
+            if (item.status === 'pending') earliest = Math.min(earliest, item.nextAttemptAt);
+        }
+        if (earliest === Infinity) return;
+
+        timer = setTimeout(drain, Math.max(0, earliest - Date.now(), pausedUntil - Date.now()));
+        timer.unref?.();
+    }
+
+    function settle(item) {
+        const resolvers = waiters.get(item.id);
+        if (!resolvers) return;
+        waiters.delete(item.id);
+        for (const resolve of resolvers) resolve(item);
+    }
+
+    async function attempt(item) {
+        update(item, { status: 'sending', attempts: item.attempts + 1 });
+
+        try {
+            const result = await send(item);
+            update(item, {
+                status: 'sent',
+                messageId: result?.key?.id || null,
+                sentAt: new Date().toISOString(),
+                lastError: null,
+                errorCode: null
+            });
+            log.info({ queueId: item.id, to: item.to, attempts: item.attempts }, 'Queued message sent');
+        } catch (error) {
+            const failure = { lastError: error.message, errorCode: error.code || null };
+
+            if (error.retryAfterMs) {
+                // Ditahan rate limit: bukan kegagalan, tidak dihitung sebagai percobaan
+                update(item, { ...failure, status: 'pending', attempts: item.attempts - 1, nextAttemptAt: Date.now() + error.retryAfterMs });
+                if (error.global) pausedUntil = Date.now() + error.retryAfterMs;
+                log.info({ queueId: item.id, to: item.to, limit: error.limit, retryInMs: error.retryAfterMs }, 'Message held back by rate limit');
+            } else if (error.permanent || item.attempts >= maxAttempts) {
+                update(item, { ...failure, status: 'dead', deadAt: new Date().toISOString() });
+                log.error({ queueId: item.id, to: item.to, errorCode: failure.errorCode, err: error.message }, 'Message moved to dead-letter');
+            } else if (!isReady()) {
+                // Socket putus di tengah pengiriman, jangan dihitung sebagai percobaan
+                update(item, { ...failure, status: 'pending', attempts: item.attempts - 1, nextAttemptAt: Date.now() });
+            } else {
+                const delay = backoff(item.attempts);
+                update(item, { ...failure, status: 'pending', nextAttemptAt: Date.now() + delay });
+                log.warn({ queueId: item.id, to: item.to, attempts: item.attempts, maxAttempts, retryInMs: delay, err: error.message }, 'Message failed, retrying');
+            }
+        }
+
+        settle(item);
+    }
+
+    function drain() {
+        if (draining) return draining;
+
+        draining = (async () => {
+            while (!stopped && isReady() && Date.now() >= pausedUntil) {
+                const item = nextDue();
+                if (!item) break;
+                await attempt(item);
+            }
+        })().finally(() => {
+            draining = null;
+            schedule();
+        });
+
+        return draining;
+    }
+
+    return {
+        enqueue(data) {
+            const now = new Date().toISOString();
+            const item = {
+                ...data,
+                id: randomUUID(),
+                status: 'pending',
+                attempts: 0,
+                maxAttempts,
+                nextAttemptAt: Date.now(),
+                lastError: null,
+                errorCode: null,
+                messageId: null,
+                createdAt: now,
+                updatedAt: now
+            };
+            items.set(item.id, item);
+            persist(item);
+            onUpdate(item);
+            drain();
+            return item;
+        },
+
+        get(id) {
+            return items.get(id) || null;
+        },
+
+        list({ status, jid, limit = 100 } = {}) {
+            return [...items.values()]
+                .filter(item => (!status || item.status === status) && (!jid || item.jid === jid))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit);
+        },
+
+        stats() {
+            const counts = Object.fromEntries(QUEUE_STATUSES.map(s => [s, 0]));
+            for (const item of items.values()) counts[item.status]++;
+            return counts;
+        },
+
+        // Resolves with the item after its next send attempt, or null on timeout
+        waitForAttempt(id, timeoutMs) {
+            return new Promise((resolve) => {
+                const timeout = setTimeout(() => {
+                    const list = waiters.get(id) || [];
+                    waiters.set(id, list.filter(r => r !== done));
+                    resolve(null);
+                }, timeoutMs);
+                const done = (item) => {
+                    clearTimeout(timeout);
+                    resolve(item);
+                };
+                waiters.set(id, [...(waiters.get(id) || []), done]);
+            });
+        },
+
+        retry(id) {
+            const item = items.get(id);
+            if (!item || item.status !== 'dead') return null;
+            update(item, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), deadAt: null });
+            drain();
+            return item;
+        },
+
+        remove(id) {
+            const item = items.get(id);
+            if (!item || item.status === 'sending') return false;
+            items.delete(id);
+            onRemove(item);
+            compact();
+            return true;
+        },
+
+        // Semua item dibuang (session dihapus); media-nya dilepas lewat onRemove
+        clear() {
+            for (const item of items.values()) onRemove(item);
+            items.clear();
+            compact();
+        },
+
+        resume() {
+            stopped = false;
+            return drain();
+        },
+
+        // Yang masih menunggu percobaan kirim langsung dilepas dengan null
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            timer = null;
+            for (const resolvers of waiters.values()) {
+                for (const resolve of resolvers) resolve(null);
+            }
+            waiters.clear();
+        }
+    };
+}
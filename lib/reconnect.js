@@ -0,0 +1,108 @@
+import { DisconnectReason } from '@whiskeysockets/baileys';
+
+// Apa yang dilakukan untuk tiap alasan putus:
+//   restart - langsung sambung lagi (bukan error)
+//   backoff - gangguan sementara, coba lagi dengan exponential backoff
+//   logout  - benar-benar logout, hapus kredensial lalu minta QR baru
+//   stop    - jangan sambung otomatis (mis. nomor dipakai di server lain)
+// badSession (data sesi rusak) dicoba ulang dengan backoff, tapi setelah
+// badSessionAttempts kali berturut-turut jadi stop: perlu POST /reconnect atau /clear-auth
+const ACTIONS = {
+    [DisconnectReason.restartRequired]: 'restart',
+    [DisconnectReason.loggedOut]: 'logout',
+    [DisconnectReason.badSession]: 'stop',
+    [DisconnectReason.connectionReplaced]: 'stop',
+    [DisconnectReason.forbidden]: 'stop'
+};
+
+// connectionLost dan timedOut sama-sama 408; enum TS juga berisi mapping balik (408 -> nama)
+const REASON_NAMES = {};
+for (const [name, code] of Object.entries(DisconnectReason)) {
+    if (typeof code !== 'number') continue;
+    REASON_NAMES[code] = REASON_NAMES[code] ? `${REASON_NAMES[code]}/${name}` : name;
+}
+
+const HISTORY_SIZE = 50;
+
+export function describeDisconnect(statusCode) {
+    return {
+        statusCode: statusCode ?? null,
+        reason: REASON_NAMES[statusCode] || (statusCode ? 'unknown' : 'error'),
+        action: ACTIONS[statusCode] || 'backoff'
+    };
+}
+
+// Backoff tanpa batas jumlah percobaan: base * 2^(n-1), maksimal maxDelayMs,
+// lalu diacak 50-100% supaya banyak session tidak reconnect bersamaan
+export function createReconnectSupervisor({
+    baseDelayMs = parseInt(process.env.RECONNECT_BASE_MS, 10) || 2000,
+    maxDelayMs = parseInt(process.env.RECONNECT_MAX_MS, 10) || 5 * 60 * 1000,
+    badSessionAttempts = parseInt(process.env.RECONNECT_BAD_SESSION_ATTEMPTS, 10) || 3
+} = {}) {
+    const history = [];
+    let failures = 0;
+    let badSessions = 0;
+    let nextAttemptAt = null;
+    let stopped = null;
+
+    function nextDelay() {
+        const capped = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.min(failures - 1, 30));
+        return Math.round(capped * (0.5 + Math.random() * 0.5));
+    }
+
+    return {
+        // Catat alasan putus; hasilnya { action, delayMs } untuk session
+        disconnected(statusCode, message = null) {
+            let { reason, action } = describeDisconnect(statusCode);
+            let delayMs = null;
+
+            if (statusCode === DisconnectReason.badSession) {
+                badSessions++;
+                if (badSessions < badSessionAttempts) action = 'backoff';
+            } else {
+                badSessions = 0;
+            }
+
+            if (action === 'restart') {
+                delayMs = 0;
+            } else if (action === 'logout') {
+                failures = 0;
+                delayMs = 2000;
+            } else if (action === 'backoff') {
+                failures++;
+                delayMs = nextDelay();
+            }
+
+            stopped = action === 'stop' ? reason : null;
+            nextAttemptAt = delayMs === null ? null : new Date(Date.now() + delayMs).toISOString();
+
+            history.unshift({ at: new Date().toISOString(), statusCode: statusCode ?? null, reason, action, delayMs, message });
+            history.length = Math.min(history.length, HISTORY_SIZE);
+
+            return { reason, action, delayMs };
+        },
+
+        connected() {
+            failures = 0;
+            badSessions = 0;
+            nextAttemptAt = null;
+            stopped = null;
+        },
+
+        reset() {
+            failures = 0;
+            badSessions = 0;
+            nextAttemptAt = null;
+            stopped = null;
+        },
+
+        status() {
+            return {
+                consecutiveFailures: failures,
+                nextAttemptAt,
+                stopped,
+                history
+            };
+        }
+    };
+}
@@ -0,0 +1,258 @@
+import { randomUUID } from 'crypto';
+import { readJson, writeJson } from './storage.js';
+import { renderTemplate } from './templates.js';
+import { parseCron, nextCronRun, isValidTimezone, zonedTimeToDate } from './cron.js';
+import { createLogger } from './logger.js';
+import { ERROR_CODES } from './errors.js';
+
+export const SCHEDULE_STATUSES = ['scheduled', 'completed', 'cancelled', 'failed'];
+
+export const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'Asia/Jakarta';
+
+const log = createLogger('scheduler');
+
+const TICK_MS = 15000;
+const HISTORY_SIZE = 20;
+
+export class ScheduleError extends Error {
+    constructor(message, code = 'VALIDATION_FAILED') {
+        super(message);
+        this.code = code;
+        this.status = ERROR_CODES[code];
+    }
+}
+
+// "2026-11-01T09:00:00+07:00" apa adanya; "2026-11-01 09:00" dibaca di zona waktu job,
+// tanggal saja ("2026-11-01") berarti jam 09:00
+export function parseSendAt(value, timezone) {
+    const text = String(value || '').trim();
+    if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) throw new ScheduleError(`Invalid sendAt "${value}"`);
+        return date;
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (!match) throw new ScheduleError('sendAt must look like "2026-11-01 09:00" or an ISO timestamp');
+    const [year, month, day, hour = 9, minute = 0, second = 0] = match.slice(1).map(v => (v === undefined ? undefined : Number(v)));
+    return zonedTimeToDate({ year, month, day, hour, minute, second }, timezone);
+}
+
+// Validasi sendAt / cron + timezone, hasilnya { schedule, nextRunAt }
+export function buildSchedule({ sendAt, cron, timezone = DEFAULT_TIMEZONE, endAt }, now = new Date()) {
+    if (!isValidTimezone(timezone)) throw new ScheduleError(`Unknown timezone "${timezone}"`);
+    if (!sendAt === !cron) throw new ScheduleError('Provide either sendAt (one-off) or cron (recurring)');
+
+    const end = endAt ? parseSendAt(endAt, timezone) : null;
+
+    if (sendAt) {
+        const at = parseSendAt(sendAt, timezone);
+        if (at.getTime() < now.getTime() - 60000) throw new ScheduleError('sendAt is in the past');
+        return { schedule: { type: 'once', sendAt: at.toISOString(), timezone }, nextRunAt: at.toISOString() };
+    }
+
+    try {
+        parseCron(cron);
+    } catch (error) {
+        throw new ScheduleError(error.message);
+    }
+    const next = nextCronRun(cron, now, timezone);
+    if (!next || (end && next > end)) throw new ScheduleError('Cron expression never runs before endAt');
+    return {
+        schedule: { type: 'cron', cron, timezone, endAt: end ? end.toISOString() : null },
+        nextRunAt: next.toISOString()
+    };
+}
+
+// Scheduled one-off and recurring (cron) messages persisted in one JSON file.
+// Jobs only enqueue into the session queue, so a job that fires while the
+// bot is offline is delivered on reconnect; runs missed while the process
+// was down are caught up once on start (unless catchUp is false).
+export function createScheduler({ file, sessions, templates }) {
+    const jobs = new Map(readJson(file, []).map(job => [job.id, job]));
+    let timer = null;
+
+    function save() {
+        writeJson(file, [...jobs.values()]);
+    }
+
+    function record(job, entry) {
+        job.history.unshift(entry);
+        job.history.length = Math.min(job.history.length, HISTORY_SIZE);
+    }
+
+    function render(job) {
+        const variables = { phone: job.to, ...job.variables };
+        return job.template ? templates.render(job.template, variables) : renderTemplate(job.message, variables);
+    }
+
+    // Jadwal berikutnya setelah run; null = selesai
+    function advance(job, now) {
+        if (job.schedule.type === 'once') return null;
+        if (job.maxRuns && job.runs >= job.maxRuns) return null;
+        const next = nextCronRun(job.schedule.cron, now, job.schedule.timezone);
+        if (!next || (job.schedule.endAt && next.toISOString() > job.schedule.endAt)) return null;
+        return next.toISOString();
+    }
+
+    function fire(job, now, { late = false, skipped = 0 } = {}) {
+        const session = sessions.get(job.sessionId);
+        const entry = { at: now.toISOString(), scheduledFor: job.nextRunAt, late, skipped, queueId: null, error: null };
+
+        try {
+            if (!session) throw new Error(`Session "${job.sessionId}" not found`);
+            const text = render(job);
+            const item = session.queue.enqueue({
+                to: job.to,
+                jid: job.jid,
+                content: { text, ...(job.mentions && { mentions: job.mentions }) },
+                scheduleId: job.id
+            });
+            entry.queueId = item.id;
+            job.runs++;
+            job.lastRunAt = entry.at;
+            log.info({ scheduleId: job.id, to: job.to, queueId: item.id, late, skipped }, 'Schedule fired');
+        } catch (error) {
+            entry.error = error.message;
+            log.error({ scheduleId: job.id, to: job.to, err: error.message }, 'Schedule failed');
+        }
+        record(job, entry);
+
+        const next = advance(job, now);
+        job.nextRunAt = next;
+        if (!next) {
+            job.status = job.schedule.type === 'once' && entry.error ? 'failed' : 'completed';
+        }
+        job.updatedAt = now.toISOString();
+    }
+
+    // Job yang terlewat karena proses mati: kirim sekali, sisanya dilewati
+    function catchUp(job, now) {
+        if (job.schedule.type === 'cron') {
+            let skipped = 0;
+            let next = nextCronRun(job.schedule.cron, new Date(job.nextRunAt), job.schedule.timezone);
+            while (next && next <= now && skipped < 10000) {
+                skipped++;
+                next = nextCronRun(job.schedule.cron, next, job.schedule.timezone);
+            }
+            if (job.catchUp === false) {
+                record(job, { at: now.toISOString(), scheduledFor: job.nextRunAt, late: true, skipped: skipped + 1, queueId: null, error: 'Missed while offline, catch-up disabled' });
+                job.nextRunAt = advance(job, now);
+                if (!job.nextRunAt) job.status = 'completed';
+                job.updatedAt = now.toISOString();
+                return;
+            }
+            fire(job, now, { late: true, skipped });
+            return;
+        }
+
+        if (job.catchUp === false) {
+            record(job, { at: now.toISOString(), scheduledFor: job.nextRunAt, late: true, skipped: 1, queueId: null, error: 'Missed while offline, catch-up disabled' });
+            job.status = 'failed';
+            job.nextRunAt = null;
+            job.updatedAt = now.toISOString();
+            return;
+        }
+        fire(job, now, { late: true });
+    }
+
+    function tick(initial = false) {
+        const now = new Date();
+        let changed = false;
+        for (const job of jobs.values()) {
+            if (job.status !== 'scheduled' || !job.nextRunAt || Date.parse(job.nextRunAt) > now.getTime()) continue;
+            // Saat start, job yang sudah lewat lebih dari satu tick dianggap terlewat
+            if (initial && now.getTime() - Date.parse(job.nextRunAt) > TICK_MS) {
+                catchUp(job, now);
+            } else {
+                fire(job, now);
+            }
+            changed = true;
+        }
+        if (changed) save();
+    }
+
+    return {
+        // spec: { sessionId, to, jid, mentions, message | template, variables, sendAt | cron, timezone, endAt, maxRuns, catchUp, name }
+        create(spec) {
+            const now = new Date();
+            const { schedule, nextRunAt } = buildSchedule(spec, now);
+            const job = {
+                id: randomUUID(),
+                name: spec.name || null,
+                sessionId: spec.sessionId,
+                to: spec.to,
+                jid: spec.jid,
+                mentions: spec.mentions || null,
+                message: spec.template ? null : spec.message,
+                template: spec.template || null,
+                variables: spec.variables || {},
+                schedule,
+                maxRuns: spec.maxRuns || null,
+                catchUp: spec.catchUp !== false,
+                status: 'scheduled',
+                nextRunAt,
+                lastRunAt: null,
+                runs: 0,
+                history: [],
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString()
+            };
+            // Template/variabel yang salah ketahuan sekarang, bukan saat jadwal tiba
+            render(job);
+
+            jobs.set(job.id, job);
+            save();
+            log.info({ scheduleId: job.id, to: job.to, nextRunAt }, 'Schedule created');
+            return job;
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        list({ status, sessionId, to } = {}) {
+            return [...jobs.values()]
+                .filter(j => (!status || j.status === status) && (!sessionId || j.sessionId === sessionId) && (!to || j.to === to))
+                .sort((a, b) => (a.nextRunAt || '9999').localeCompare(b.nextRunAt || '9999'));
+        },
+
+        cancel(id) {
+            const job = jobs.get(id);
+            if (!job || job.status !== 'scheduled') return null;
+            job.status = 'cancelled';
+            job.nextRunAt = null;
+            job.updatedAt = new Date().toISOString();
+            save();
+            log.info({ scheduleId: id }, 'Schedule cancelled');
+            return job;
+        },
+
+        // Ganti waktu (sendAt / cron / timezone); job selesai/batal bisa dijadwalkan lagi
+        reschedule(id, spec) {
+            const job = jobs.get(id);
+            if (!job) return null;
+
+            const now = new Date();
+            const timezone = spec.timezone || job.schedule.timezone;
+            const { schedule, nextRunAt } = buildSchedule({ ...spec, timezone }, now);
+            job.schedule = schedule;
+            job.nextRunAt = nextRunAt;
+            job.status = 'scheduled';
+            if (spec.maxRuns !== undefined) job.maxRuns = spec.maxRuns || null;
+            job.updatedAt = now.toISOString();
+            save();
+            log.info({ scheduleId: id, nextRunAt }, 'Schedule rescheduled');
+            return job;
+        },
+
+        start() {
+            tick(true);
+            timer = setInterval(() => tick(), TICK_MS);
+        },
+
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
@@ -0,0 +1,108 @@
+// Validator untuk subset JSON Schema yang dipakai di dokumen OpenAPI:
+// type, required, properties, items, enum, minLength/maxLength, pattern,
+// format (uri), minimum/maximum, minItems/maxItems, anyOf, allOf dan
+// $ref ke "#/components/schemas/<nama>" (dicari di definitions).
+// Hasilnya daftar { path, message }; kosong = valid.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isUri(value) {
+    try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol);
+    } catch {
+        return false;
+    }
+}
+
+// "must include one of: phone, groupId, jid" untuk anyOf yang hanya berisi required
+function describeAnyOf(branches) {
+    const fields = branches.map(branch => (Object.keys(branch).length === 1 && branch.required?.length === 1 ? branch.required[0] : null));
+    return fields.every(Boolean)
+        ? `must include one of: ${fields.join(', ')}`
+        : 'does not match any of the allowed forms';
+}
+
+export function validateSchema(schema, value, { definitions = {}, path = '' } = {}) {
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        if (!definitions[name]) throw new Error(`Unknown schema reference ${schema.$ref}`);
+        return validateSchema(definitions[name], value, { definitions, path });
+    }
+
+    const child = (childSchema, childValue, childPath) => validateSchema(childSchema, childValue, { definitions, path: childPath });
+    const errors = [];
+    const fail = (message) => errors.push({ path: path || 'body', message });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+        if (schema.format === 'uri' && !isUri(value)) fail('must be a valid http(s) URL');
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...child(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined || value[field] === null || value[field] === '') {
+                errors.push({ path: path ? `${path}.${field}` : field, message: 'is required' });
+            }
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            // null diperlakukan sama dengan field yang tidak dikirim
+            if (value[field] === undefined || value[field] === null) continue;
+            errors.push(...child(fieldSchema, value[field], path ? `${path}.${field}` : field));
+        }
+    }
+
+    for (const branch of schema.allOf || []) {
+        errors.push(...child(branch, value, path));
+    }
+    if (schema.anyOf && !schema.anyOf.some(branch => child(branch, value, path).length === 0)) {
+        fail(describeAnyOf(schema.anyOf));
+    }
+
+    return errors;
+}
+
+export function formatSchemaError({ path, message }) {
+    return `${path} ${message}`;
+}
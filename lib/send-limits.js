@@ -0,0 +1,180 @@
+import { readJson, writeJson } from './storage.js';
+import { zonedParts, zonedTimeToDate } from './cron.js';
+import { DEFAULT_TIMEZONE } from './scheduler.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Batas kirim per session (nomor WhatsApp); 0 = tidak dibatasi
+export function defaultSendLimits() {
+    return {
+        perMinute: envInt('SEND_LIMIT_PER_MINUTE', 20),
+        perRecipientPerHour: envInt('SEND_LIMIT_PER_RECIPIENT_PER_HOUR', 15),
+        dailyQuota: envInt('SEND_DAILY_QUOTA', 1000),
+        newContactGapMs: envInt('NEW_CONTACT_GAP_MS', 30000),
+        typing: process.env.TYPING_SIMULATION === 'true',
+        typingMinMs: envInt('TYPING_MIN_MS', 1000),
+        typingMaxMs: envInt('TYPING_MAX_MS', 5000)
+    };
+}
+
+export class RateLimitError extends Error {
+    constructor({ limit, retryAfterMs, message, global }) {
+        super(message);
+        this.code = 'RATE_LIMITED';
+        this.limit = limit;
+        this.retryAfterMs = retryAfterMs;
+        // true = berlaku untuk semua penerima, queue sebaiknya berhenti sementara
+        this.global = global;
+    }
+}
+
+const isGroup = (jid) => jid.endsWith('@g.us');
+
+// Anti-ban: batas per menit, per penerima per jam, kuota harian dan jeda
+// minimum antar pesan ke kontak baru (yang belum pernah chat dengan bot).
+// Dihitung dari pesan yang benar-benar terkirim, disimpan supaya tahan restart.
+export function createSendLimiter({ file, limits = defaultSendLimits(), timezone = DEFAULT_TIMEZONE }) {
+    const state = {
+        day: null,
+        dailyCount: 0,
+        lastNewContactAt: 0,
+        recent: [],
+        contacts: {},
+        ...readJson(file, {})
+    };
+
+    function save() {
+        writeJson(file, state);
+    }
+
+    function dayKey(now) {
+        const { year, month, day } = zonedParts(new Date(now), timezone);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    function nextMidnight(now) {
+        const { year, month, day } = zonedParts(new Date(now), timezone);
+        return zonedTimeToDate({ year, month, day: day + 1 }, timezone).getTime();
+    }
+
+    function refresh(now) {
+        state.recent = state.recent.filter(entry => entry.at > now - HOUR_MS);
+        const today = dayKey(now);
+        if (state.day !== today) {
+            state.day = today;
+            state.dailyCount = 0;
+        }
+    }
+
+    // Kapan slot berikutnya kosong kalau "used" (+ pending) sudah mencapai batas
+    function windowRetry(times, pending, max, windowMs, now) {
+        const index = times.length + pending - max;
+        return index < times.length ? times[index] + windowMs - now : windowMs;
+    }
+
+    const limiter = {
+        limits,
+
+        isKnown(jid) {
+            return isGroup(jid) || !!state.contacts[jid];
+        },
+
+        // Kontak yang pernah chat duluan tidak dianggap kontak baru
+        markKnown(jid) {
+            if (limiter.isKnown(jid)) return;
+            state.contacts[jid] = new Date().toISOString();
+            save();
+        },
+
+        // Returns null kalau boleh kirim, atau RateLimitError.
+        // pending / pendingForRecipient: pesan di queue yang belum terkirim (untuk cek di API)
+        check(jid, { pending = 0, pendingForRecipient = 0 } = {}, now = Date.now()) {
+            refresh(now);
+
+            if (limits.dailyQuota && state.dailyCount + pending >= limits.dailyQuota) {
+                return new RateLimitError({
+                    limit: 'daily_quota',
+                    global: true,
+                    retryAfterMs: nextMidnight(now) - now,
+                    message: `Daily quota of ${limits.dailyQuota} messages reached`
+                });
+            }
+
+            const lastMinute = state.recent.filter(entry => entry.at > now - MINUTE_MS).map(entry => entry.at);
+            if (limits.perMinute && lastMinute.length + pending >= limits.perMinute) {
+                return new RateLimitError({
+                    limit: 'per_minute',
+                    global: true,
+                    retryAfterMs: windowRetry(lastMinute, pending, limits.perMinute, MINUTE_MS, now),
+                    message: `Limit of ${limits.perMinute} messages per minute reached`
+                });
+            }
+
+            const toRecipient = state.recent.filter(entry => entry.jid === jid).map(entry => entry.at);
+            if (limits.perRecipientPerHour && toRecipient.length + pendingForRecipient >= limits.perRecipientPerHour) {
+                return new RateLimitError({
+                    limit: 'per_recipient',
+                    global: false,
+                    retryAfterMs: windowRetry(toRecipient, pendingForRecipient, limits.perRecipientPerHour, HOUR_MS, now),
+                    message: `Limit of ${limits.perRecipientPerHour} messages per hour to this recipient reached`
+                });
+            }
+
+            const gapEndsAt = state.lastNewContactAt + limits.newContactGapMs;
+            if (limits.newContactGapMs && !limiter.isKnown(jid) && gapEndsAt > now) {
+                return new RateLimitError({
+                    limit: 'new_contact_gap',
+                    global: false,
+                    retryAfterMs: gapEndsAt - now,
+                    message: `Messages to new contacts must be at least ${limits.newContactGapMs / 1000}s apart`
+                });
+            }
+            return null;
+        },
+
+        // Dipanggil setelah pesan benar-benar terkirim
+        record(jid, now = Date.now()) {
+            refresh(now);
+            state.recent.push({ jid, at: now });
+            state.dailyCount++;
+            if (!limiter.isKnown(jid)) {
+                state.lastNewContactAt = now;
+                state.contacts[jid] = new Date(now).toISOString();
+            }
+            save();
+        },
+
+        // Lama "mengetik" sebelum kirim, sebanding dengan panjang teks
+        typingDelay(content) {
+            const text = content.text || content.caption || '';
+            return Math.min(Math.max(text.length * 50, limits.typingMinMs), limits.typingMaxMs);
+        },
+
+        usage(now = Date.now()) {
+            refresh(now);
+            return {
+                limits,
+                minute: { used: state.recent.filter(entry => entry.at > now - MINUTE_MS).length, limit: limits.perMinute || null },
+                today: {
+                    date: state.day,
+                    used: state.dailyCount,
+                    quota: limits.dailyQuota || null,
+                    remaining: limits.dailyQuota ? Math.max(limits.dailyQuota - state.dailyCount, 0) : null,
+                    resetsAt: new Date(nextMidnight(now)).toISOString()
+                },
+                nextNewContactAt: state.lastNewContactAt + limits.newContactGapMs > now
+                    ? new Date(state.lastNewContactAt + limits.newContactGapMs).toISOString()
+                    : null,
+                knownContacts: Object.keys(state.contacts).length
+            };
+        }
+    };
+
+    return limiter;
+}
@@ -0,0 +1,473 @@
+import { default as makeWASocket, fetchLatestBaileysVersion, downloadMediaMessage } from '@whiskeysockets/baileys';
+import qrcode from 'qrcode-terminal';
+import fs from 'fs';
+import { createMessageQueue } from './queue.js';
+import { events } from './events.js';
+import { normalizeMessage } from './incoming.js';
+import { removeMedia } from './media.js';
+import { useStoreAuthState } from './auth-state.js';
+import { createReconnectSupervisor } from './reconnect.js';
+import { createWhatsAppLookup } from './lookup.js';
+import { createSendLimiter } from './send-limits.js';
+import { createHistoryStore } from './history.js';
+import { ApiError } from './errors.js';
+import { pollResults } from './interactive.js';
+import { createLogger, createBaileysLogger } from './logger.js';
+import { messagesSent, messagesFailed, messagesReceived, reconnects, sendDuration } from './metrics.js';
+
+// proto.WebMessageInfo.Status -> nama status
+const RECEIPT_STATUSES = ['failed', 'pending', 'server_ack', 'delivered', 'read', 'played'];
+
+const PAIRING_READY_TIMEOUT_MS = 20000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Socket WhatsApp sungguhan. Bisa diganti lewat createSession({ socketFactory }),
+// mis. fake socket di test; hasilnya harus punya .ev dan method Baileys yang dipakai.
+export async function baileysSocketFactory({ sessionId, state, getMessage, log }) {
+    // Fetch latest version for compatibility
+    const { version, isLatest } = await fetchLatestBaileysVersion();
+    log.info({ version: version.join('.'), isLatest }, 'Using Baileys version');
+
+    return makeWASocket({
+        version,
+        auth: state,
+        logger: createBaileysLogger(sessionId),
+        browser: ['Warranty Bot', 'Chrome', '4.0.0'],
+        connectTimeoutMs: 60000,
+        defaultQueryTimeoutMs: 0,
+        keepAliveIntervalMs: 10000,
+        emitOwnEvents: true,
+        getMessage
+    });
+}
+
+// One WhatsApp number: its socket, QR lifecycle, reconnect state and outbound queue.
+// auth is a scoped auth store from openAuthBackend().
+export function createSession({ id, auth, queueFile, limitsFile, historyDir, socketFactory = baileysSocketFactory }) {
+    const log = createLogger('session', { sessionId: id });
+
+    let reconnectTimer = null;
+    let destroyed = false;
+    const supervisor = createReconnectSupervisor();
+
+    const session = {
+        id,
+        log,
+        authLocation: auth.location,
+        sock: null,
+        qrGenerated: false,
+        isConnected: false,
+        currentQR: null,
+        pairing: null,
+        connectedAt: null,
+        connectionAttempts: 0,
+        createdAt: new Date().toISOString(),
+        queue: null,
+        lookup: createWhatsAppLookup(),
+        limiter: createSendLimiter({ file: limitsFile }),
+        history: createHistoryStore({ dir: historyDir })
+    };
+
+    // Outbound queue - pesan tetap diterima walau socket sedang reconnect
+    session.queue = createMessageQueue({
+        file: queueFile,
+        send: deliverQueuedMessage,
+        isReady: () => session.isConnected && !!session.sock,
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5,
+        baseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || 5000,
+        maxDelayMs: parseInt(process.env.QUEUE_RETRY_MAX_MS, 10) || 5 * 60 * 1000,
+        onRemove: (item) => removeMedia(item.mediaPath),
+        onUpdate: (item) => events.emit('outbound.updated', { sessionId: id, item }),
+        log: createLogger('queue', { sessionId: id })
+    });
+
+    async function deliverQueuedMessage(item) {
+        // Melebihi batas kirim: item ditahan di queue, bukan gagal
+        const limited = session.limiter.check(item.jid);
+        if (limited) throw limited;
+
+        const startedAt = process.hrtime.bigint();
+        let typingNs = 0n;
+        try {
+            // Grup tidak bisa dicek dengan onWhatsApp
+            const exists = item.jid.endsWith('@g.us') || await session.lookup.exists(session.sock, item.jid);
+            if (!exists) {
+                const error = new Error('Phone number not registered on WhatsApp');
+                error.code = 'NOT_ON_WHATSAPP';
+                error.permanent = true;
+                throw error;
+            }
+            if (session.limiter.limits.typing && !item.content.react) {
+                const typingStart = process.hrtime.bigint();
+                await simulateTyping(item);
+                typingNs = process.hrtime.bigint() - typingStart;
+            }
+            const result = await session.sock.sendMessage(item.jid, item.content, sendOptions(item));
+            session.limiter.record(item.jid);
+            if (result) session.history.addMessage(result);
+            removeMedia(item.mediaPath);
+            messagesSent.inc({ session: id });
+            sendDuration.observe({ session: id }, Number(process.hrtime.bigint() - startedAt - typingNs) / 1e9);
+            return result;
+        } catch (error) {
+            messagesFailed.inc({ session: id, reason: error.code || 'SEND_ERROR' });
+            throw error;
+        }
+    }
+
+    // Balasan (quote) ke pesan yang tersimpan di history
+    function sendOptions(item) {
+        if (!item.quotedId) return undefined;
+        const quoted = session.history.getRawMessage(item.quotedId);
+        if (!quoted) {
+            log.warn({ queueId: item.id, quotedId: item.quotedId }, 'Quoted message no longer in history, sending without quote');
+            return undefined;
+        }
+        return { quoted };
+    }
+
+    // "sedang mengetik..." sebelum pesan dikirim (TYPING_SIMULATION=true)
+    async function simulateTyping(item) {
+        try {
+            await session.sock.presenceSubscribe(item.jid);
+            await session.sock.sendPresenceUpdate('composing', item.jid);
+            await sleep(session.limiter.typingDelay(item.content));
+            await session.sock.sendPresenceUpdate('paused', item.jid);
+        } catch (error) {
+            log.debug({ err: error.message, to: item.to }, 'Typing presence failed');
+        }
+    }
+
+    // Suara poll yang masuk, hasil terbaru dikirim ke webhook / event stream
+    function emitPollUpdate(key, pollUpdates) {
+        const me = session.sock?.user?.id ? `${session.sock.user.id.split(':')[0]}@s.whatsapp.net` : null;
+        const record = session.history.applyPollUpdates(key.id, pollUpdates, me);
+        if (!record) return;
+
+        log.info({ messageId: key.id, votes: pollUpdates.length }, 'Poll vote received');
+        events.emit('poll.updated', {
+            sessionId: id,
+            messageId: record.id,
+            chat: record.chat,
+            ...pollResults(record.poll),
+            at: new Date().toISOString()
+        });
+    }
+
+    // Status koneksi/login untuk event stream (GET /events)
+    function emitConnection() {
+        events.emit('connection.updated', {
+            sessionId: id,
+            connected: session.isConnected,
+            ...session.login(),
+            botNumber: session.isConnected && session.sock?.user ? session.sock.user.id.split(':')[0] : null,
+            at: new Date().toISOString()
+        });
+    }
+
+    function scheduleReconnect(delay) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(() => connect(), delay);
+    }
+
+    // Setup WhatsApp Connection with better error handling
+    async function connect() {
+        if (destroyed) return;
+
+        try {
+            session.connectionAttempts++;
+            log.info({ attempt: session.connectionAttempts }, 'Connection attempt');
+
+            const { state, saveCreds } = await useStoreAuthState(auth);
+
+            const sock = await socketFactory({
+                sessionId: id,
+                state,
+                log,
+                // Dipakai Baileys untuk kirim ulang pesan yang gagal didekripsi penerima
+                getMessage: async (key) => session.history.getMessage(key)
+            });
+            session.sock = sock;
+            session.history.bind(sock.ev);
+
+            sock.ev.on('connection.update', async (update) => {
+                // Abaikan event dari socket lama setelah clear-auth / reconnect
+                if (session.sock !== sock) return;
+
+                const { connection, lastDisconnect, qr } = update;
+
+                if (qr) {
+                    // QR tetap diperbarui walau login lewat pairing code, supaya dua cara bisa dipakai
+                    if (!session.pairing) {
+                        log.info({ length: qr.length }, 'QR code generated');
+
+                        // QR di terminal hanya kalau log info aktif (tidak saat LOG_LEVEL=silent, mis. di test)
+                        if (log.isLevelEnabled('info')) qrcode.generate(qr, { small: true });
+                    }
+
+                    session.currentQR = qr;
+                    session.qrGenerated = true;
+                    session.isConnected = false;
+                    session.connectionAttempts = 0;
+                    supervisor.reset();
+
+                    events.emit('qr.updated', { sessionId: id, qr, at: new Date().toISOString() });
+                    emitConnection();
+                }
+
+                if (connection === 'close') {
+                    const statusCode = lastDisconnect?.error?.output?.statusCode;
+                    const { reason, action, delayMs } = supervisor.disconnected(statusCode, lastDisconnect?.error?.message);
+
+                    log.warn({ reason, statusCode, action, delayMs }, 'Connection closed');
+                    reconnects.inc({ session: id, reason, action });
+                    session.isConnected = false;
+                    session.connectedAt = null;
+                    session.pairing = null;
+
+                    // Kredensial hanya dihapus kalau benar-benar logout
+                    if (action === 'logout') {
+                        log.warn('Logged out, clearing auth');
+                        session.currentQR = null;
+                        session.qrGenerated = false;
+                        session.history.clear();
+                        try {
+                            await auth.clear();
+                            log.info('Auth state cleared');
+                        } catch (err) {
+                            log.error({ err }, 'Error clearing auth');
+                        }
+                    }
+
+                    emitConnection();
+
+                    if (action === 'stop') {
+                        log.warn({ reason }, reason === 'badSession'
+                            ? 'Session data looks corrupt, not reconnecting. Use POST /reconnect to try again or POST /clear-auth to link again'
+                            : 'Not reconnecting, use POST /reconnect to connect again');
+                        return;
+                    }
+
+                    log.info({ delayMs }, delayMs > 0 ? 'Reconnecting' : 'Restarting connection');
+                    scheduleReconnect(delayMs);
+                } else if (connection === 'open') {
+                    log.info({ botNumber: sock.user.id.split(':')[0], botName: sock.user.name || null }, 'WhatsApp connected');
+                    session.connectedAt = new Date().toISOString();
+                    session.currentQR = null;
+                    session.qrGenerated = false;
+                    session.pairing = null;
+                    session.isConnected = true;
+                    session.connectionAttempts = 0;
+                    supervisor.connected();
+                    emitConnection();
+
+                    const { pending } = session.queue.stats();
+                    if (pending > 0) {
+                        log.info({ pending }, 'Flushing queued messages');
+                    }
+                    session.queue.resume();
+                } else if (connection === 'connecting') {
+                    log.info('Connecting to WhatsApp');
+                    emitConnection();
+                }
+            });
+
+            sock.ev.on('creds.update', () => {
+                saveCreds().catch(err => log.error({ err }, 'Failed to save auth credentials'));
+            });
+
+            sock.ev.on('messages.upsert', async ({ messages, type }) => {
+                // 'append' = history sync, hanya 'notify' yang pesan baru
+                if (type !== 'notify') return;
+
+                for (const msg of messages) {
+                    if (msg.key.fromMe || msg.key.remoteJid === 'status@broadcast') continue;
+
+                    const message = normalizeMessage(msg);
+                    if (!message) continue;
+
+                    log.info({ phone: message.phone, type: message.type, messageId: message.id }, 'Message received');
+                    if (!message.isGroup) session.limiter.markKnown(message.chat);
+                    messagesReceived.inc({ session: id, type: message.type });
+                    events.emit('message.received', { sessionId: id, ...message });
+                }
+            });
+
+            // Status pesan keluar: server ack, delivered, read, played
+            sock.ev.on('messages.update', (updates) => {
+                for (const { key, update } of updates) {
+                    if (update.pollUpdates) emitPollUpdate(key, update.pollUpdates);
+                    if (!key.fromMe || update.status === undefined || update.status === null) continue;
+                    const status = RECEIPT_STATUSES[update.status] || null;
+                    session.history.setStatus(key.id, status);
+                    events.emit('message.receipt', {
+                        sessionId: id,
+                        messageId: key.id,
+                        remoteJid: key.remoteJid,
+                        status,
+                        at: new Date().toISOString()
+                    });
+                }
+            });
+
+            // Receipt per peserta (grup) dengan timestamp dari WhatsApp
+            sock.ev.on('message-receipt.update', (receipts) => {
+                for (const { key, receipt } of receipts) {
+                    if (!key.fromMe) continue;
+                    const [status, timestamp] = receipt.playedTimestamp ? ['played', receipt.playedTimestamp]
+                        : receipt.readTimestamp ? ['read', receipt.readTimestamp]
+                        : ['delivered', receipt.receiptTimestamp];
+                    events.emit('message.receipt', {
+                        sessionId: id,
+                        messageId: key.id,
+                        remoteJid: key.remoteJid,
+                        participant: receipt.userJid,
+                        status,
+                        at: new Date(Number(timestamp) * 1000 || Date.now()).toISOString()
+                    });
+                }
+            });
+
+        } catch (error) {
+            const { delayMs } = supervisor.disconnected(null, error.message);
+            log.error({ err: error.message, delayMs }, 'Connection failed, retrying');
+            scheduleReconnect(delayMs);
+        }
+    }
+
+    function closeSocket() {
+        const sock = session.sock;
+        session.sock = null;
+        session.isConnected = false;
+        session.connectedAt = null;
+        if (sock) {
+            try {
+                sock.end();
+            } catch (err) {
+                log.error({ err }, 'Error closing socket');
+            }
+            emitConnection();
+        }
+    }
+
+    session.connect = connect;
+
+    // Hapus kredensial lalu minta QR baru
+    session.clearAuth = async () => {
+        log.info('Clearing auth state');
+        await auth.clear();
+        session.lookup.clear();
+        session.history.clear();
+
+        session.currentQR = null;
+        session.qrGenerated = false;
+        session.pairing = null;
+        session.connectionAttempts = 0;
+        supervisor.reset();
+        closeSocket();
+
+        log.info('Auth cleared, reconnecting');
+        scheduleReconnect(2000);
+    };
+
+    // Login dengan nomor HP: WhatsApp -> Linked Devices -> Link with phone number.
+    // Socket harus sudah di tahap login (QR pertama sudah keluar).
+    session.requestPairingCode = async (phone) => {
+        const deadline = Date.now() + PAIRING_READY_TIMEOUT_MS;
+        while (!session.isConnected && !session.currentQR) {
+            if (Date.now() > deadline) {
+                throw new ApiError('NOT_CONNECTED', 'Socket is not ready for login yet, try again in a few seconds');
+            }
+            await sleep(250);
+        }
+        if (session.isConnected || session.sock?.authState?.creds?.registered) {
+            throw new ApiError('CONFLICT', 'Session is already linked to a WhatsApp account');
+        }
+
+        const code = await session.sock.requestPairingCode(phone);
+        session.pairing = {
+            phone,
+            code: code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code,
+            requestedAt: new Date().toISOString()
+        };
+        log.info({ phone, pairingCode: session.pairing.code }, 'Pairing code requested');
+        emitConnection();
+        return session.pairing;
+    };
+
+    // Status login bersama untuk QR dan pairing code
+    session.login = () => ({
+        state: session.isConnected ? 'connected'
+            : session.pairing ? 'waiting_for_pairing'
+            : session.currentQR ? 'waiting_for_scan'
+            : session.sock ? 'connecting' : 'disconnected',
+        method: session.pairing ? 'pairing_code' : session.currentQR ? 'qr' : null,
+        pairingPhone: session.pairing?.phone || null,
+        pairingRequestedAt: session.pairing?.requestedAt || null
+    });
+
+    // Sambung ulang manual, mis. setelah connectionReplaced
+    session.reconnect = () => {
+        log.info('Manual reconnect requested');
+        supervisor.reset();
+        closeSocket();
+        scheduleReconnect(0);
+    };
+
+    // Buffer media dari pesan yang tersimpan di history (null kalau tidak ada)
+    session.downloadMedia = async (messageId) => {
+        if (!session.history.getMessageRecord(messageId)?.media || !session.sock) return null;
+        const msg = session.history.getRawMessage(messageId);
+        return downloadMediaMessage(msg, 'buffer', {}, {
+            logger: createBaileysLogger(id),
+            reuploadRequest: session.sock.updateMediaMessage
+        });
+    };
+
+    session.end = () => {
+        clearTimeout(reconnectTimer);
+        session.queue.stop();
+        session.history.flush();
+        closeSocket();
+    };
+
+    // Stop for good: logout dari WhatsApp dan hapus semua data session
+    session.destroy = async () => {
+        destroyed = true;
+        if (session.sock && session.isConnected) {
+            try {
+                await session.sock.logout();
+            } catch (err) {
+                log.error({ err: err.message }, 'Error logging out');
+            }
+        }
+        session.end();
+        await auth.clear();
+        // Media antrean ada di data/media (global), bukan di folder session
+        session.queue.clear();
+        fs.rmSync(queueFile, { force: true });
+        fs.rmSync(limitsFile, { force: true });
+        session.history.remove();
+    };
+
+    session.status = () => ({
+        sessionId: id,
+        connected: session.isConnected,
+        status: session.isConnected ? 'connected' : 'disconnected',
+        qrRequired: session.qrGenerated,
+        qrAvailable: !!session.currentQR,
+        login: session.login(),
+        botNumber: session.sock?.user?.id ? session.sock.user.id.split(':')[0] : null,
+        botName: session.sock?.user?.name || null,
+        connectedAt: session.connectedAt,
+        connectionAttempts: session.connectionAttempts,
+        reconnect: supervisor.status(),
+        queue: session.queue.stats(),
+        lookupCache: session.lookup.stats(),
+        rateLimit: session.limiter.usage(),
+        history: session.history.stats()
+    });
+
+    return session;
+}
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createSession } from './session.js';
+import { dataPath, readJson, writeJson } from './storage.js';
+import { createLogger } from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const log = createLogger('sessions');
+
+// Route tanpa session ID memakai session ini
+export const DEFAULT_SESSION = 'default';
+
+// Huruf kecil saja: "Default" dan "default" tidak boleh jadi dua session (dan dua folder
+// yang bentrok di filesystem yang case-insensitive)
+export const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Session "default" tetap memakai lokasi lama supaya login yang ada tidak hilang.
+// authFolder hanya dipakai oleh auth store "fs".
+export function sessionPaths(id) {
+    if (id === DEFAULT_SESSION) {
+        return {
+            authFolder: join(__dirname, '..', 'auth_info_baileys'),
+            queueFile: dataPath('queue.jsonl'),
+            limitsFile: dataPath('send-limits.json'),
+            historyDir: dataPath('history')
+        };
+    }
+    return {
+        authFolder: dataPath('sessions', id, 'auth'),
+        queueFile: dataPath('sessions', id, 'queue.jsonl'),
+        limitsFile: dataPath('sessions', id, 'send-limits.json'),
+        historyDir: dataPath('sessions', id, 'history')
+    };
+}
+
+export function createSessionManager({ file, authBackend, socketFactory }) {
+    const sessions = new Map();
+    let records = readJson(file, []);
+
+    if (!records.some(record => record.id === DEFAULT_SESSION)) {
+        records.unshift({ id: DEFAULT_SESSION, createdAt: new Date().toISOString() });
+        writeJson(file, records);
+    }
+
+    function open(record) {
+        const { authFolder, queueFile, limitsFile, historyDir } = sessionPaths(record.id);
+        const auth = authBackend.scope({ id: record.id, folder: authFolder });
+        const session = createSession({ id: record.id, auth, queueFile, limitsFile, historyDir, socketFactory });
+        session.createdAt = record.createdAt;
+        sessions.set(record.id, session);
+        return session;
+    }
+
+    for (const record of records) open(record);
+
+    return {
+        get(id) {
+            return sessions.get(id) || null;
+        },
+
+        list() {
+            return [...sessions.values()];
+        },
+
+        create(id) {
+            const record = { id, createdAt: new Date().toISOString() };
+            records.push(record);
+            writeJson(file, records);
+
+            const session = open(record);
+            log.info({ sessionId: id }, 'Session created');
+            session.connect();
+            return session;
+        },
+
+        async remove(id) {
+            const session = sessions.get(id);
+            if (!session) return false;
+
+            sessions.delete(id);
+            records = records.filter(record => record.id !== id);
+            writeJson(file, records);
+
+            await session.destroy();
+            // Sisa data session (media, file lain di sessions/<id>) ikut dihapus
+            fs.rmSync(dataPath('sessions', id), { recursive: true, force: true });
+            log.info({ sessionId: id }, 'Session deleted');
+            return true;
+        },
+
+        connectAll() {
+            for (const session of sessions.values()) session.connect();
+        },
+
+        endAll() {
+            for (const session of sessions.values()) session.end();
+        }
+    };
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('storage');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Semua data lokal (queue, log, config) disimpan di sini
+export const dataDir = process.env.DATA_DIR || join(__dirname, '..', 'data');
+
+export function dataPath(...parts) {
+    return join(dataDir, ...parts);
+}
+
+export function ensureDir(dir) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+// Read a JSON file, falling back when it does not exist yet
+export function readJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            log.error({ file, err: err.message }, 'Failed to read file');
+        }
+        return fallback;
+    }
+}
+
+// Write via temp file + rename so a crash never leaves half a file behind
+export function writeJson(file, data) {
+    ensureDir(dirname(file));
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+export function appendJsonLine(file, record) {
+    ensureDir(dirname(file));
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+// Read an append-only JSONL file, skipping a torn last line after a crash
+export function readJsonLines(file) {
+    let raw;
+    try {
+        raw = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            log.error({ file, err: err.message }, 'Failed to read file');
+        }
+        return [];
+    }
+
+    const records = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            log.warn({ file }, 'Skipping corrupt line');
+        }
+    }
+    return records;
+}
+
+export function writeJsonLines(file, records) {
+    ensureDir(dirname(file));
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmp, file);
+}
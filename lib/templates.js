@@ -0,0 +1,182 @@
+import { readJson, writeJson } from './storage.js';
+
+export const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const TIMEZONE = process.env.TIMEZONE || 'Asia/Jakarta';
+const LOCALE = process.env.LOCALE || 'id-ID';
+
+// {{ name }}, {{ warranty_end | date }}, {{ price | currency:USD }}, {{ name | default:"Pelanggan" }}
+const PLACEHOLDER = /\{\{\s*([\w.]+)((?:\s*\|\s*[\w]+(?::(?:"[^"]*"|[^|}\s]+))?)*)\s*\}\}/g;
+
+// code: INVALID_TEMPLATE | MISSING_VARIABLES | TEMPLATE_NOT_FOUND
+export class TemplateError extends Error {
+    constructor(message, { code = 'INVALID_TEMPLATE', missing = [] } = {}) {
+        super(message);
+        this.code = code;
+        this.missing = missing;
+    }
+}
+
+// Hanya property milik objek sendiri: nama seperti "constructor" / "toString" tidak ikut dari prototype
+function own(object, key) {
+    return Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) throw new TemplateError(`"${value}" is not a valid date`);
+    return date;
+}
+
+// Kode ISO 4217 (3 huruf); kode lain membuat Intl.NumberFormat melempar RangeError
+function currencyCode(code) {
+    if (!/^[a-z]{3}$/i.test(code)) throw new TemplateError(`"${code}" is not a valid currency code`);
+    return code.toUpperCase();
+}
+
+// Helper format yang bisa dipakai setelah "|"
+export const FILTERS = {
+    date(value, style = 'long') {
+        const date = toDate(value);
+        if (style === 'iso') return date.toLocaleDateString('sv-SE', { timeZone: TIMEZONE });
+        const options = style === 'short'
+            ? { day: '2-digit', month: '2-digit', year: 'numeric' }
+            : { day: 'numeric', month: 'long', year: 'numeric' };
+        return date.toLocaleDateString(LOCALE, { ...options, timeZone: TIMEZONE });
+    },
+    datetime(value) {
+        return toDate(value).toLocaleString(LOCALE, { dateStyle: 'long', timeStyle: 'short', timeZone: TIMEZONE });
+    },
+    currency(value, code = 'IDR') {
+        const currency = currencyCode(code);
+        return new Intl.NumberFormat(LOCALE, { style: 'currency', currency, maximumFractionDigits: currency === 'IDR' ? 0 : 2 })
+            .format(Number(value));
+    },
+    number(value) {
+        return new Intl.NumberFormat(LOCALE).format(Number(value));
+    },
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    title: value => String(value).toLowerCase().replace(/(^|\s)\S/g, char => char.toUpperCase()),
+    trim: value => String(value).trim(),
+    default: value => value
+};
+
+function parseFilters(raw) {
+    return raw.split('|').map(part => part.trim()).filter(Boolean).map((part) => {
+        const index = part.indexOf(':');
+        if (index === -1) return { name: part, arg: undefined };
+        return { name: part.slice(0, index), arg: part.slice(index + 1).replace(/^"(.*)"$/, '$1') };
+    });
+}
+
+function lookup(variables, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : own(value, key)), variables);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Variabel yang dipakai template; yang punya filter "default" tidak wajib
+export function extractVariables(body) {
+    const variables = new Map();
+    for (const [, name, rawFilters] of body.matchAll(PLACEHOLDER)) {
+        const hasDefault = parseFilters(rawFilters).some(filter => filter.name === 'default');
+        variables.set(name, (variables.get(name) ?? true) && !hasDefault);
+    }
+    return {
+        variables: [...variables.keys()],
+        required: [...variables].filter(([, required]) => required).map(([name]) => name)
+    };
+}
+
+// Check filter names (and currency codes) up front so a typo fails when saving, not when sending
+export function validateTemplate(body) {
+    for (const [, , rawFilters] of body.matchAll(PLACEHOLDER)) {
+        for (const { name, arg } of parseFilters(rawFilters)) {
+            if (!own(FILTERS, name)) throw new TemplateError(`Unknown filter "${name}"`);
+            if (name === 'currency' && arg !== undefined) currencyCode(arg);
+        }
+    }
+}
+
+export function renderTemplate(body, variables = {}, { required = [] } = {}) {
+    const missing = [...new Set([...extractVariables(body).required, ...required])]
+        .filter(name => isEmpty(lookup(variables, name)));
+    if (missing.length > 0) {
+        throw new TemplateError(`Missing required variables: ${missing.join(', ')}`, { code: 'MISSING_VARIABLES', missing });
+    }
+
+    return body.replace(PLACEHOLDER, (match, name, rawFilters) => {
+        let value = lookup(variables, name);
+        for (const { name: filter, arg } of parseFilters(rawFilters)) {
+            if (!own(FILTERS, filter)) throw new TemplateError(`Unknown filter "${filter}"`);
+            if (filter === 'default') {
+                if (isEmpty(value)) value = arg ?? '';
+                continue;
+            }
+            if (isEmpty(value)) continue;
+            value = FILTERS[filter](value, arg);
+        }
+        return isEmpty(value) ? '' : String(value);
+    });
+}
+
+// Named templates stored in a local JSON file
+export function createTemplateStore({ file }) {
+    let templates = readJson(file, {});
+
+    function describe(template) {
+        const { variables, required } = extractVariables(template.body);
+        return {
+            ...template,
+            variables,
+            required: [...new Set([...required, ...(template.required || [])])]
+        };
+    }
+
+    return {
+        list() {
+            return Object.values(templates).map(describe);
+        },
+
+        get(name) {
+            const template = own(templates, name);
+            return template ? describe(template) : null;
+        },
+
+        save(name, { body, description = null, required = [] }) {
+            validateTemplate(body);
+            const now = new Date().toISOString();
+            const existing = own(templates, name);
+            templates = {
+                ...templates,
+                [name]: {
+                    name,
+                    body,
+                    description,
+                    required,
+                    createdAt: existing?.createdAt || now,
+                    updatedAt: now
+                }
+            };
+            writeJson(file, templates);
+            return { template: describe(templates[name]), created: !existing };
+        },
+
+        remove(name) {
+            if (!own(templates, name)) return false;
+            const { [name]: removed, ...rest } = templates;
+            templates = rest;
+            writeJson(file, templates);
+            return true;
+        },
+
+        render(name, variables) {
+            const template = own(templates, name);
+            if (!template) throw new TemplateError(`Template "${name}" not found`, { code: 'TEMPLATE_NOT_FOUND' });
+            return renderTemplate(template.body, variables, { required: template.required });
+        }
+    };
+}
@@ -0,0 +1,184 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { readJson, writeJson, readJsonLines, writeJsonLines, appendJsonLine } from './storage.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhooks');
+
+const RECENT_DELIVERIES = 200;
+const LOG_RETENTION_LINES = 2000;
+
+// Signature covers "<timestamp>.<body>" so receivers can reject replays
+export function signPayload(secret, timestamp, body) {
+    return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function matches(hook, event) {
+    return hook.enabled !== false && (hook.events.includes('*') || hook.events.includes(event));
+}
+
+// Webhooks from WEBHOOK_URLS are read-only; the rest live in the config file
+function envWebhooks() {
+    return (process.env.WEBHOOK_URLS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean)
+        .map((url, index) => ({
+            id: `env-${index + 1}`,
+            url,
+            secret: process.env.WEBHOOK_SECRET || null,
+            events: ['*'],
+            enabled: true,
+            readOnly: true
+        }));
+}
+
+export function createWebhookDispatcher({
+    file,
+    logFile,
+    maxAttempts = 5,
+    baseDelayMs = 2000,
+    timeoutMs = 10000
+}) {
+    let hooks = readJson(file, []);
+
+    // Log dipangkas saat startup supaya tidak tumbuh tanpa batas
+    const logged = readJsonLines(logFile).slice(-LOG_RETENTION_LINES);
+    writeJsonLines(logFile, logged);
+    const recent = logged.slice(-RECENT_DELIVERIES);
+    const retryTimers = new Set();
+    let stopped = false;
+
+    function all() {
+        return [...envWebhooks(), ...hooks];
+    }
+
+    function record(delivery) {
+        appendJsonLine(logFile, delivery);
+        const index = recent.findIndex(d => d.id === delivery.id);
+        if (index !== -1) recent.splice(index, 1);
+        recent.push({ ...delivery });
+        if (recent.length > RECENT_DELIVERIES) recent.shift();
+    }
+
+    async function attempt(hook, delivery, body) {
+        delivery.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'warranty-whatsapp-bot',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (hook.secret) {
+            headers['X-Webhook-Signature'] = signPayload(hook.secret, timestamp, body);
+        }
+
+        try {
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            delivery.responseStatus = response.status;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            delivery.status = 'delivered';
+            delivery.error = null;
+        } catch (error) {
+            delivery.error = error.message;
+            delivery.status = delivery.attempts >= maxAttempts ? 'failed' : 'retrying';
+        }
+
+        delivery.updatedAt = new Date().toISOString();
+        record(delivery);
+
+        if (delivery.status === 'retrying' && !stopped) {
+            const delay = baseDelayMs * 2 ** (delivery.attempts - 1);
+            const timer = setTimeout(() => {
+                retryTimers.delete(timer);
+                attempt(hook, delivery, body);
+            }, delay);
+            timer.unref?.();
+            retryTimers.add(timer);
+        } else if (delivery.status === 'failed') {
+            log.error({ webhookId: hook.id, url: hook.url, event: delivery.event, attempts: delivery.attempts, err: delivery.error }, 'Webhook delivery failed');
+        }
+
+        return delivery;
+    }
+
+    return {
+        list() {
+            return all();
+        },
+
+        add({ url, events = ['*'], secret }) {
+            const hook = {
+                id: randomUUID(),
+                url,
+                secret: secret || randomBytes(24).toString('hex'),
+                events,
+                enabled: true,
+                createdAt: new Date().toISOString()
+            };
+            hooks.push(hook);
+            writeJson(file, hooks);
+            return hook;
+        },
+
+        remove(id) {
+            const before = hooks.length;
+            hooks = hooks.filter(hook => hook.id !== id);
+            if (hooks.length === before) return false;
+            writeJson(file, hooks);
+            return true;
+        },
+
+        get(id) {
+            return all().find(hook => hook.id === id) || null;
+        },
+
+        deliveries({ webhookId, status, limit = 50 } = {}) {
+            return recent
+                .filter(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+                .slice(-limit)
+                .reverse();
+        },
+
+        // Fire-and-forget: each matching webhook gets its own delivery + retries
+        dispatch(event, data, { only } = {}) {
+            if (stopped) return [];
+            const payload = { id: randomUUID(), event, timestamp: new Date().toISOString(), data };
+            const body = JSON.stringify(payload);
+
+            return all()
+                .filter(hook => (only ? hook.id === only : matches(hook, event)))
+                .map((hook) => {
+                    const delivery = {
+                        id: randomUUID(),
+                        webhookId: hook.id,
+                        url: hook.url,
+                        event,
+                        payloadId: payload.id,
+                        status: 'pending',
+                        attempts: 0,
+                        responseStatus: null,
+                        error: null,
+                        createdAt: payload.timestamp,
+                        updatedAt: payload.timestamp
+                    };
+                    attempt(hook, delivery, body);
+                    return delivery;
+                });
+        },
+
+        // Retry yang belum jalan dibatalkan; delivery yang sedang berjalan tetap selesai
+        stop() {
+            stopped = true;
+            for (const timer of retryTimers) clearTimeout(timer);
+            retryTimers.clear();
+        }
+    };
+}
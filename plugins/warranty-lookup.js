@@ -0,0 +1,57 @@
+import { FILTERS } from '../lib/templates.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('warranty-lookup');
+
+// Cek status garansi lewat backend: "cek garansi SN123" atau "!garansi SN123".
+// Backend menjawab GET {WARRANTY_API_URL}/warranties/:serial?phone=...
+// dengan { serial, product, status: 'active' | 'expired', warranty_end }.
+const API_URL = (process.env.WARRANTY_API_URL || '').replace(/\/$/, '');
+const API_TOKEN = process.env.WARRANTY_API_TOKEN;
+
+const STATUS_LABELS = {
+    active: '✅ Aktif',
+    expired: '❌ Sudah berakhir',
+    claimed: '🛠️ Sedang diklaim'
+};
+
+export default function warrantyLookup(commands) {
+    if (!API_URL) {
+        log.info('WARRANTY_API_URL not set, warranty-lookup plugin disabled');
+        return;
+    }
+
+    commands.register({
+        name: 'warranty-lookup',
+        commands: ['garansi'],
+        keywords: ['cek garansi'],
+        description: 'Cek status garansi, contoh: cek garansi SN123456',
+        handler: async ({ args, message }) => {
+            const serial = args[0];
+            if (!serial) {
+                return 'Kirim nomor seri produk, contoh: *cek garansi SN123456*';
+            }
+
+            const url = `${API_URL}/warranties/${encodeURIComponent(serial)}?phone=${message.phone}`;
+            const response = await fetch(url, {
+                headers: API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {},
+                signal: AbortSignal.timeout(10000)
+            });
+
+            if (response.status === 404) {
+                return `Nomor seri *${serial}* tidak ditemukan. Pastikan nomor seri sudah benar.`;
+            }
+            if (!response.ok) {
+                throw new Error(`Warranty API returned HTTP ${response.status}`);
+            }
+
+            const warranty = await response.json();
+            return [
+                `*Status Garansi ${warranty.serial || serial}*`,
+                warranty.product ? `Produk: ${warranty.product}` : null,
+                `Status: ${STATUS_LABELS[warranty.status] || warranty.status}`,
+                warranty.warranty_end ? `Berlaku sampai: ${FILTERS.date(warranty.warranty_end)}` : null
+            ].filter(Boolean).join('\n');
+        }
+    });
+}
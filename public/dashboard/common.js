@@ -0,0 +1,127 @@
+// Helper bersama untuk halaman admin. Semua request memakai cookie sesi admin.
+
+export const { session: sessionId, apiBase } = document.body.dataset;
+
+export const $ = (selector) => document.querySelector(selector);
+
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+export function badge(status) {
+    return `<span class="badge ${escapeHtml(status)}">${escapeHtml(status || '-')}</span>`;
+}
+
+export function emptyRow(columns, text = 'Belum ada data') {
+    return `<tr><td class="empty" colspan="${columns}">${text}</td></tr>`;
+}
+
+// fetch JSON; error API ({ success: false, error }) dilempar sebagai Error
+export async function api(path, { method = 'GET', body, form } = {}) {
+    const response = await fetch(path, {
+        method,
+        credentials: 'same-origin',
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: form || (body && JSON.stringify(body))
+    });
+    if (response.status === 401) {
+        window.location.reload();
+        throw new Error('Login expired');
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+    return data;
+}
+
+export function notify(message, type = 'success-box') {
+    let container = $('#toast');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'toast';
+        document.body.appendChild(container);
+    }
+    const item = document.createElement('div');
+    item.className = type;
+    item.textContent = message;
+    container.appendChild(item);
+    setTimeout(() => item.remove(), 5000);
+}
+
+export function notifyError(error) {
+    notify(error.message, 'error');
+}
+
+// Tombol dinonaktifkan selama action berjalan
+export async function withButton(button, action) {
+    button.disabled = true;
+    try {
+        return await action();
+    } catch (error) {
+        notifyError(error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Banner saat event stream putus; EventSource menyambung ulang sendiri
+function showStreamState(connected) {
+    let banner = $('#stream-state');
+    if (!banner) {
+        if (connected) return;
+        banner = document.createElement('div');
+        banner.id = 'stream-state';
+        banner.className = 'warning';
+        banner.setAttribute('role', 'status');
+        banner.textContent = '⚠️ Live updates disconnected, reconnecting...';
+        $('#page').before(banner);
+    }
+    banner.hidden = connected;
+}
+
+// SSE dari GET /events untuk session ini; handlers: { 'qr.updated': fn, ... }.
+// onReconnect dipanggil setelah stream tersambung lagi (event selama putus terlewat).
+export function subscribe(handlers, { onReconnect } = {}) {
+    const types = Object.keys(handlers).join(',');
+    const stream = new EventSource(`/events?session=${encodeURIComponent(sessionId)}&types=${types}`);
+    for (const [type, handler] of Object.entries(handlers)) {
+        stream.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+    }
+
+    let disconnected = false;
+    stream.onopen = () => {
+        showStreamState(true);
+        if (disconnected) onReconnect?.();
+        disconnected = false;
+    };
+    stream.onerror = () => {
+        disconnected = true;
+        showStreamState(false);
+    };
+    return stream;
+}
+
+// Kumpulkan burst event jadi satu refresh
+export function debounce(ms, refresh) {
+    let pending = null;
+    return () => {
+        if (pending) return;
+        pending = setTimeout(() => {
+            pending = null;
+            refresh();
+        }, ms);
+    };
+}
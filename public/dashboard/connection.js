@@ -0,0 +1,177 @@
+import {
+    $, api, apiBase, sessionId, escapeHtml, formatTime, notify, notifyError, withButton, subscribe, emptyRow
+} from './common.js';
+
+const page = $('#page');
+
+page.innerHTML = `
+    <div id="status" class="status disconnected">…</div>
+    <div id="login"></div>
+    <div class="info card" id="info"></div>
+    <div class="actions">
+        <button id="reconnect">🔄 Reconnect</button>
+        <button id="clear-auth" class="btn-danger">🗑️ Clear Auth &amp; Restart</button>
+    </div>
+
+    <div class="card">
+        <h2>🗂️ Sessions</h2>
+        <table>
+            <thead><tr><th>Session</th><th>Status</th><th>Number</th><th>Queue</th><th></th></tr></thead>
+            <tbody id="sessions"></tbody>
+        </table>
+        <form class="inline-form" id="new-session">
+            <input name="id" placeholder="New session id, e.g. sales" pattern="[a-z0-9][a-z0-9_-]{0,31}" required>
+            <button type="submit">➕ Create session</button>
+        </form>
+    </div>`;
+
+function renderStatus(status) {
+    const { login } = status;
+    const label = status.connected ? '✅ Connected'
+        : login.state === 'waiting_for_scan' || login.state === 'waiting_for_pairing' ? '🔄 Waiting for scan'
+        : '❌ Disconnected';
+    const box = $('#status');
+    box.className = `status ${status.connected ? 'connected' : status.qrRequired ? 'connecting' : 'disconnected'}`;
+    box.textContent = label;
+
+    const [lastDisconnect] = status.reconnect.history;
+    $('#info').innerHTML = `
+        <p><strong>🗂️ Session:</strong> ${escapeHtml(status.sessionId)}</p>
+        <p><strong>🔗 Bot Number:</strong> ${escapeHtml(status.botNumber || 'Not connected')}</p>
+        <p><strong>📛 Bot Name:</strong> ${escapeHtml(status.botName || 'N/A')}</p>
+        <p><strong>⏰ Uptime:</strong> ${status.uptime} seconds</p>
+        <p><strong>🔄 Attempts:</strong> ${status.connectionAttempts}</p>
+        <p><strong>📦 Queue:</strong> ${status.queue.pending} pending · ${status.queue.dead} dead</p>
+        ${lastDisconnect ? `<p><strong>⚠️ Last disconnect:</strong> ${escapeHtml(lastDisconnect.reason)} (${lastDisconnect.statusCode ?? '-'}) · ${formatTime(lastDisconnect.at)}</p>` : ''}`;
+
+    renderLogin(status);
+}
+
+// QR/pairing hanya di-render ulang saat state login berubah, supaya input tidak hilang
+let loginState = null;
+
+function renderLogin(status) {
+    const state = status.connected ? 'connected' : status.qrAvailable ? 'login' : 'waiting';
+    if (state === loginState) return;
+    loginState = state;
+    const target = $('#login');
+
+    if (status.connected) {
+        target.innerHTML = `
+            <div class="success-box">
+                <strong>🎉 Bot berhasil terhubung!</strong>
+                <p>Sekarang kamu bisa mengirim pesan via API</p>
+            </div>`;
+        return;
+    }
+
+    if (!status.qrAvailable) {
+        target.innerHTML = `
+            <div class="warning">
+                <div class="pulse">
+                    <h3>⏳ Menunggu QR Code...</h3>
+                    <p>Sedang connecting ke WhatsApp servers... Jika QR tidak muncul dalam 30 detik, gunakan Clear Auth &amp; Restart.</p>
+                </div>
+            </div>`;
+        return;
+    }
+
+    target.innerHTML = `
+        <div class="qr-section">
+            <h3>📱 Scan QR Code dengan WhatsApp</h3>
+            <p>Buka WhatsApp → Settings → Linked Devices → Link a Device</p>
+            <img id="qr" alt="WhatsApp QR code">
+            <div style="border-top: 1px solid #bbf7d0; padding-top: 20px;">
+                <h3>📞 Link with phone number</h3>
+                <p>Tidak bisa scan? Masukkan nomor WhatsApp bot, lalu di HP: Linked Devices → Link a Device → <em>Link with phone number instead</em></p>
+                <div id="pairing">${status.login.pairingPhone ? `<p>Pairing code sudah diminta untuk ${escapeHtml(status.login.pairingPhone)}.</p>` : ''}</div>
+                <form class="inline-form" id="pairing-form">
+                    <input name="phone" type="tel" placeholder="6281234567890" value="${escapeHtml(status.login.pairingPhone || '')}" required>
+                    <button type="submit">🔢 Get pairing code</button>
+                </form>
+            </div>
+        </div>`;
+    refreshQR();
+
+    $('#pairing-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        const form = event.target;
+        withButton(form.querySelector('button'), async () => {
+            const data = await api(`${apiBase}/pairing-code`, { method: 'POST', body: { phone: form.elements.phone.value } });
+            $('#pairing').innerHTML = `<p>Kode untuk ${escapeHtml(data.phone)}:</p><div class="pairing-code">${escapeHtml(data.pairingCode)}</div>`;
+        });
+    });
+}
+
+// PNG di-render server (GET /qr.png); timestamp mencegah cache
+function refreshQR() {
+    const image = $('#qr');
+    if (image) image.src = `${apiBase}/qr.png?size=300&ts=${Date.now()}`;
+}
+
+async function refreshStatus() {
+    try {
+        renderStatus(await api(`${apiBase}/status`));
+    } catch (error) {
+        notifyError(error);
+    }
+}
+
+async function refreshSessions() {
+    const { sessions } = await api('/sessions');
+    $('#sessions').innerHTML = sessions.map(s => `
+        <tr>
+            <td><a href="/?session=${encodeURIComponent(s.sessionId)}">${escapeHtml(s.sessionId)}</a></td>
+            <td>${s.connected ? '🟢 connected' : `🔴 ${escapeHtml(s.login.state)}`}</td>
+            <td>${escapeHtml(s.botNumber || '-')}</td>
+            <td>${s.queue.pending} pending · ${s.queue.dead} dead</td>
+            <td>${s.sessionId === 'default' ? '' : `<button class="small btn-danger" data-delete="${escapeHtml(s.sessionId)}">Delete</button>`}</td>
+        </tr>`).join('') || emptyRow(5);
+}
+
+$('#reconnect').addEventListener('click', (event) => withButton(event.target, async () => {
+    const data = await api(`${apiBase}/reconnect`, { method: 'POST' });
+    notify(data.message);
+}));
+
+$('#clear-auth').addEventListener('click', (event) => {
+    if (!confirm('Clear authentication dan restart bot?')) return;
+    withButton(event.target, async () => {
+        const data = await api(`${apiBase}/clear-auth`, { method: 'POST' });
+        notify(data.message);
+        loginState = null;
+        setTimeout(refreshStatus, 2000);
+    });
+});
+
+$('#new-session').addEventListener('submit', (event) => {
+    event.preventDefault();
+    const form = event.target;
+    withButton(form.querySelector('button'), async () => {
+        const { session } = await api('/sessions', { method: 'POST', body: { id: form.elements.id.value } });
+        window.location.href = `/?session=${encodeURIComponent(session.sessionId)}`;
+    });
+});
+
+$('#sessions').addEventListener('click', (event) => {
+    const id = event.target.dataset.delete;
+    if (!id || !confirm(`Delete session "${id}"? Auth, queue and history are removed.`)) return;
+    withButton(event.target, async () => {
+        const data = await api(`/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        notify(data.message);
+        if (id === sessionId) window.location.href = '/';
+        refreshSessions();
+    });
+});
+
+// Real-time update lewat SSE, tidak perlu polling /status
+subscribe({
+    'qr.updated': () => ($('#qr') ? refreshQR() : refreshStatus()),
+    'connection.updated': () => {
+        refreshStatus();
+        refreshSessions().catch(notifyError);
+    }
+});
+
+refreshStatus();
+refreshSessions().catch(notifyError);
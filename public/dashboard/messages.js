@@ -0,0 +1,106 @@
+import { $, api, apiBase, sessionId, escapeHtml, formatTime, badge, emptyRow, notifyError, subscribe, debounce } from './common.js';
+
+$('#page').innerHTML = `
+    <div class="card">
+        <h2>📤 Outbound messages</h2>
+        <form class="inline-form" id="outbound-filter" style="margin: 0 0 15px;">
+            <input name="to" placeholder="Filter by phone">
+            <select name="status">
+                <option value="">All statuses</option>
+                ${['pending', 'server_ack', 'delivered', 'read', 'played', 'failed'].map(s => `<option>${s}</option>`).join('')}
+            </select>
+            <button type="submit">Filter</button>
+        </form>
+        <table>
+            <thead><tr><th>Created</th><th>To</th><th>Type</th><th>Status</th><th>Message id</th></tr></thead>
+            <tbody id="outbound"></tbody>
+        </table>
+    </div>
+
+    <div class="split">
+        <div class="card">
+            <h2>💬 Chats</h2>
+            <table>
+                <thead><tr><th>Chat</th><th>Last message</th><th>Unread</th></tr></thead>
+                <tbody id="chats"></tbody>
+            </table>
+        </div>
+        <div class="card">
+            <h2 id="chat-title">Select a chat</h2>
+            <div id="chat-messages"></div>
+        </div>
+    </div>`;
+
+let selectedChat = null;
+
+function previewText(message) {
+    if (!message) return '';
+    return `${message.fromMe ? '➡️ ' : ''}${message.text || `[${message.type}]`}`;
+}
+
+async function refreshOutbound() {
+    const filter = $('#outbound-filter').elements;
+    const query = new URLSearchParams({ session: sessionId, limit: 50 });
+    if (filter.to.value) query.set('to', filter.to.value);
+    if (filter.status.value) query.set('status', filter.status.value);
+
+    const { messages } = await api(`/messages?${query}`);
+    $('#outbound').innerHTML = messages.map(m => `
+        <tr>
+            <td>${formatTime(m.createdAt)}</td>
+            <td>${escapeHtml(m.to)}</td>
+            <td>${escapeHtml(m.type)}</td>
+            <td>${badge(m.status)}${m.error ? `<div class="muted">${escapeHtml(m.error)}</div>` : ''}</td>
+            <td class="truncate muted">${escapeHtml(m.messageId || m.id)}</td>
+        </tr>`).join('') || emptyRow(5);
+}
+
+async function refreshChats() {
+    const { chats } = await api(`${apiBase}/chats?limit=50`);
+    $('#chats').innerHTML = chats.map(chat => `
+        <tr class="clickable ${chat.id === selectedChat ? 'selected' : ''}" data-chat="${escapeHtml(chat.id)}">
+            <td>${escapeHtml(chat.name || chat.id)}<div class="muted">${formatTime(chat.lastMessageAt)}</div></td>
+            <td class="truncate">${escapeHtml(previewText(chat.lastMessage))}</td>
+            <td>${chat.unreadCount || ''}</td>
+        </tr>`).join('') || emptyRow(3, 'Belum ada chat tersimpan');
+}
+
+async function showChat(jid) {
+    selectedChat = jid;
+    const { messages } = await api(`${apiBase}/chats/${encodeURIComponent(jid)}/messages?limit=50`);
+    $('#chat-title').textContent = jid;
+    // API mengembalikan terbaru dulu; tampilkan kronologis
+    $('#chat-messages').innerHTML = messages.reverse().map(m => `
+        <div class="bubble ${m.fromMe ? 'me' : ''}">
+            ${m.isGroup && !m.fromMe ? `<div class="muted">${escapeHtml(m.pushName || m.phone || m.sender)}</div>` : ''}
+            ${m.deleted ? '<em class="muted">Message deleted</em>' : escapeHtml(m.text || `[${m.type}]`)}
+            <div class="muted">${formatTime(m.timestamp)} ${m.fromMe && m.status ? badge(m.status) : ''}</div>
+        </div>`).join('') || '<p class="muted">No messages</p>';
+}
+
+$('#outbound-filter').addEventListener('submit', (event) => {
+    event.preventDefault();
+    refreshOutbound().catch(notifyError);
+});
+
+$('#chats').addEventListener('click', (event) => {
+    const row = event.target.closest('tr[data-chat]');
+    if (!row) return;
+    showChat(row.dataset.chat).then(refreshChats).catch(notifyError);
+});
+
+function refresh() {
+    refreshOutbound().catch(notifyError);
+    refreshChats().catch(notifyError);
+    if (selectedChat) showChat(selectedChat).catch(notifyError);
+}
+
+// Refresh dibatasi supaya burst event tidak membanjiri API
+const scheduleRefresh = debounce(1000, refresh);
+
+subscribe({
+    'message.received': scheduleRefresh,
+    'message.status': scheduleRefresh
+}, { onReconnect: refresh });
+
+refresh();
@@ -0,0 +1,113 @@
+import {
+    $, api, apiBase, sessionId, escapeHtml, formatTime, badge, emptyRow, notify, notifyError, withButton, subscribe, debounce
+} from './common.js';
+
+const REFRESH_DELAY_MS = 500;
+
+$('#page').innerHTML = `
+    <div class="card">
+        <h2>📦 Queue</h2>
+        <div class="stats" id="queue-stats"></div>
+        <form class="inline-form" id="queue-filter" style="margin: 0 0 15px;">
+            <select name="status">
+                <option value="">All statuses</option>
+                <option>pending</option>
+                <option>sending</option>
+                <option>sent</option>
+                <option>dead</option>
+            </select>
+        </form>
+        <table>
+            <thead><tr><th>Created</th><th>To</th><th>Status</th><th>Attempts</th><th>Error</th><th></th></tr></thead>
+            <tbody id="queue"></tbody>
+        </table>
+    </div>
+
+    <div class="card">
+        <h2>📣 Broadcasts</h2>
+        <div id="broadcasts"></div>
+    </div>`;
+
+async function refreshQueue() {
+    const status = $('#queue-filter').elements.status.value;
+    const { stats, items } = await api(`${apiBase}/queue?limit=100${status ? `&status=${status}` : ''}`);
+
+    $('#queue-stats').innerHTML = Object.entries(stats)
+        .map(([name, count]) => `<div class="stat"><strong>${count}</strong>${badge(name)}</div>`)
+        .join('');
+    $('#queue').innerHTML = items.map(item => `
+        <tr>
+            <td>${formatTime(item.createdAt)}</td>
+            <td>${escapeHtml(item.to)}</td>
+            <td>${badge(item.status)}</td>
+            <td>${item.attempts}/${item.maxAttempts}</td>
+            <td class="truncate" title="${escapeHtml(item.lastError || '')}">${escapeHtml(item.lastError || '')}</td>
+            <td>
+                ${item.status === 'dead' ? `<button class="small" data-retry="${item.id}">Retry</button>` : ''}
+                ${item.status !== 'sending' ? `<button class="small btn-danger" data-delete="${item.id}">Delete</button>` : ''}
+            </td>
+        </tr>`).join('') || emptyRow(6);
+}
+
+async function refreshBroadcasts() {
+    const { broadcasts } = await api('/broadcasts');
+    const own = broadcasts.filter(job => job.sessionId === sessionId);
+
+    $('#broadcasts').innerHTML = own.map(job => `
+        <div class="endpoint">
+            <strong>${escapeHtml(job.template ? `Template "${job.template}"` : job.message)}</strong> ${badge(job.status)}
+            <div class="progress"><div style="width: ${job.progress}%"></div></div>
+            <p class="muted">
+                ${job.progress}% of ${job.total} ·
+                ${Object.entries(job.counts).filter(([, count]) => count > 0).map(([name, count]) => `${escapeHtml(name)}: ${count}`).join(' · ')} ·
+                started ${formatTime(job.createdAt)}
+            </p>
+            <div class="actions">
+                <a href="/broadcasts/${job.id}/report?format=csv">⬇️ Report (CSV)</a>
+                ${job.status === 'running' ? `<button class="small btn-danger" data-cancel="${job.id}">Cancel</button>` : ''}
+            </div>
+        </div>`).join('') || '<p class="muted">Belum ada broadcast untuk session ini</p>';
+}
+
+function refresh() {
+    refreshQueue().catch(notifyError);
+    refreshBroadcasts().catch(notifyError);
+}
+
+$('#queue-filter').addEventListener('change', refresh);
+
+$('#queue').addEventListener('click', (event) => {
+    const { retry, delete: remove } = event.target.dataset;
+    if (retry) {
+        withButton(event.target, async () => {
+            await api(`${apiBase}/queue/${retry}/retry`, { method: 'POST' });
+            notify('Message queued for retry');
+            refresh();
+        });
+    } else if (remove && confirm('Remove this message from the queue?')) {
+        withButton(event.target, async () => {
+            const data = await api(`${apiBase}/queue/${remove}`, { method: 'DELETE' });
+            notify(data.message);
+            refresh();
+        });
+    }
+});
+
+$('#broadcasts').addEventListener('click', (event) => {
+    const id = event.target.dataset.cancel;
+    if (!id || !confirm('Cancel this broadcast? Recipients not yet queued are skipped.')) return;
+    withButton(event.target, async () => {
+        const data = await api(`/broadcasts/${id}/cancel`, { method: 'POST' });
+        notify(data.message);
+        refresh();
+    });
+});
+
+// Real-time lewat SSE: item queue berubah (termasuk broadcast) atau status pesan berubah
+const scheduleRefresh = debounce(REFRESH_DELAY_MS, refresh);
+subscribe({
+    'outbound.updated': scheduleRefresh,
+    'message.status': scheduleRefresh
+}, { onReconnect: refresh });
+
+refresh();
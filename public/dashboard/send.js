@@ -0,0 +1,98 @@
+import { $, api, apiBase, withButton } from './common.js';
+
+const MEDIA_TYPES = ['image', 'document', 'audio', 'video', 'sticker'];
+
+$('#page').innerHTML = `
+    <div class="card">
+        <h2>✉️ Send a test message</h2>
+        <form class="form" id="send">
+            <label>Type
+                <select name="type">
+                    <option value="message">Text</option>
+                    ${MEDIA_TYPES.map(type => `<option value="${type}">${type[0].toUpperCase()}${type.slice(1)}</option>`).join('')}
+                </select>
+            </label>
+            <label>Recipient (phone, or group id ending in @g.us)
+                <input name="recipient" placeholder="6281234567890" required>
+            </label>
+            <label>Country code (for numbers without "+")
+                <input name="countryCode" placeholder="ID" maxlength="2">
+            </label>
+            <label id="text-field">Message
+                <textarea name="message" rows="4" placeholder="Hello from bot!"></textarea>
+            </label>
+            <div id="media-fields" hidden>
+                <label>File <input name="file" type="file"></label>
+                <label>Caption <input name="caption"></label>
+            </div>
+            <label>Reply to message id (optional)
+                <input name="quotedMessageId" placeholder="3EB0C431...">
+            </label>
+            <div class="actions">
+                <button type="submit">📤 Send</button>
+                <button type="button" class="btn-secondary" id="lookup">🔍 Check on WhatsApp</button>
+            </div>
+        </form>
+        <pre class="result" id="result" hidden></pre>
+    </div>`;
+
+const form = $('#send');
+const fields = form.elements;
+
+function showResult(data) {
+    const result = $('#result');
+    result.hidden = false;
+    result.textContent = JSON.stringify(data, null, 2);
+}
+
+// Response error (mis. 429 dengan retryAfter) juga ditampilkan apa adanya
+async function request(path, options) {
+    try {
+        showResult(await api(path, options));
+    } catch (error) {
+        if (error.data) showResult(error.data);
+        throw error;
+    }
+}
+
+// Grup dikirim sebagai groupId, selain itu phone (+ countryCode)
+function recipient() {
+    const value = fields.recipient.value.trim();
+    return value.endsWith('@g.us')
+        ? { groupId: value }
+        : { phone: value, ...(fields.countryCode.value && { countryCode: fields.countryCode.value.toUpperCase() }) };
+}
+
+fields.type.addEventListener('change', () => {
+    const isText = fields.type.value === 'message';
+    $('#text-field').hidden = !isText;
+    $('#media-fields').hidden = isText;
+});
+
+form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const type = fields.type.value;
+    const quoted = fields.quotedMessageId.value.trim();
+
+    withButton(form.querySelector('button[type=submit]'), async () => {
+        if (type === 'message') {
+            if (!fields.message.value) throw new Error('Message is required');
+            const body = { ...recipient(), message: fields.message.value, ...(quoted && { quotedMessageId: quoted }) };
+            return request(`${apiBase}/send-message`, { method: 'POST', body });
+        }
+
+        if (!fields.file.files[0]) throw new Error('Choose a file to send');
+        const data = new FormData();
+        for (const [key, value] of Object.entries(recipient())) data.append(key, value);
+        data.append('file', fields.file.files[0]);
+        if (fields.caption.value) data.append('caption', fields.caption.value);
+        if (quoted) data.append('quotedMessageId', quoted);
+        await request(`${apiBase}/send-${type}`, { method: 'POST', form: data });
+    });
+});
+
+$('#lookup').addEventListener('click', (event) => withButton(event.target, async () => {
+    const { phone, groupId, countryCode } = recipient();
+    if (groupId) throw new Error('Lookup only works for phone numbers');
+    await request(`${apiBase}/lookup`, { method: 'POST', body: { phones: [phone], countryCode } });
+}));
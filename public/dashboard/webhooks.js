@@ -0,0 +1,110 @@
+import { $, api, escapeHtml, formatTime, badge, emptyRow, notify, notifyError, withButton } from './common.js';
+
+const EVENTS = ['message.received', 'message.status', 'poll.updated', 'flow.completed'];
+
+$('#page').innerHTML = `
+    <div class="card">
+        <h2>🔔 Webhooks</h2>
+        <table>
+            <thead><tr><th>URL</th><th>Events</th><th>Secret</th><th>Created</th><th></th></tr></thead>
+            <tbody id="webhooks"></tbody>
+        </table>
+    </div>
+
+    <div class="card">
+        <h2>➕ Add webhook</h2>
+        <form class="form" id="add-webhook">
+            <label>URL <input name="url" type="url" placeholder="https://example.com/hook" required></label>
+            <p style="font-weight: 500; margin-bottom: 6px;">Events (none selected = all events)</p>
+            <p style="margin-bottom: 12px;">
+                ${EVENTS.map(event => `<label class="check"><input type="checkbox" name="events" value="${event}"> ${event}</label>`).join('')}
+            </p>
+            <label>Secret (optional, generated when empty) <input name="secret" autocomplete="off"></label>
+            <button type="submit">Add webhook</button>
+        </form>
+        <div id="created"></div>
+    </div>
+
+    <div class="card">
+        <h2>📬 Recent deliveries</h2>
+        <table>
+            <thead><tr><th>Time</th><th>Event</th><th>URL</th><th>Status</th><th>Attempts</th><th>Response</th></tr></thead>
+            <tbody id="deliveries"></tbody>
+        </table>
+    </div>`;
+
+async function refreshWebhooks() {
+    const { webhooks } = await api('/webhooks');
+    $('#webhooks').innerHTML = webhooks.map(hook => `
+        <tr>
+            <td class="truncate" title="${escapeHtml(hook.url)}">${escapeHtml(hook.url)}</td>
+            <td>${hook.events.map(escapeHtml).join(', ')}</td>
+            <td><code class="inline">${escapeHtml(hook.secret || '-')}</code></td>
+            <td>${hook.readOnly ? '<span class="muted">WEBHOOK_URLS</span>' : formatTime(hook.createdAt)}</td>
+            <td>
+                <button class="small" data-test="${hook.id}">Test</button>
+                ${hook.readOnly ? '' : `<button class="small btn-danger" data-delete="${hook.id}">Delete</button>`}
+            </td>
+        </tr>`).join('') || emptyRow(5, 'Belum ada webhook');
+}
+
+async function refreshDeliveries() {
+    const { deliveries } = await api('/webhooks/deliveries?limit=20');
+    $('#deliveries').innerHTML = deliveries.map(d => `
+        <tr>
+            <td>${formatTime(d.updatedAt)}</td>
+            <td>${escapeHtml(d.event)}</td>
+            <td class="truncate">${escapeHtml(d.url)}</td>
+            <td>${badge(d.status)}</td>
+            <td>${d.attempts}</td>
+            <td>${escapeHtml(d.responseStatus ?? d.error ?? '')}</td>
+        </tr>`).join('') || emptyRow(6);
+}
+
+function refresh() {
+    refreshWebhooks().catch(notifyError);
+    refreshDeliveries().catch(notifyError);
+}
+
+$('#add-webhook').addEventListener('submit', (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const events = [...form.querySelectorAll('input[name=events]:checked')].map(input => input.value);
+
+    withButton(form.querySelector('button'), async () => {
+        const { webhook } = await api('/webhooks', {
+            method: 'POST',
+            body: {
+                url: form.elements.url.value,
+                ...(events.length > 0 && { events }),
+                ...(form.elements.secret.value && { secret: form.elements.secret.value })
+            }
+        });
+        // Secret hanya dikembalikan sekali saat dibuat
+        $('#created').innerHTML = `
+            <div class="success-box">
+                Webhook added. Signing secret (shown once): <code class="inline">${escapeHtml(webhook.secret)}</code>
+            </div>`;
+        form.reset();
+        refresh();
+    });
+});
+
+$('#webhooks').addEventListener('click', (event) => {
+    const { test, delete: remove } = event.target.dataset;
+    if (test) {
+        withButton(event.target, async () => {
+            await api(`/webhooks/${test}/test`, { method: 'POST' });
+            notify('Test event sent');
+            setTimeout(() => refreshDeliveries().catch(notifyError), 2000);
+        });
+    } else if (remove && confirm('Remove this webhook?')) {
+        withButton(event.target, async () => {
+            const data = await api(`/webhooks/${remove}`, { method: 'DELETE' });
+            notify(data.message);
+            refresh();
+        });
+    }
+});
+
+refresh();
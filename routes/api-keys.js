@@ -0,0 +1,40 @@
+import express from 'express';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+
+export default function apiKeyRoutes({ apiKeys, requireScope, audited }) {
+    const router = express.Router();
+    router.use('/api-keys', requireScope('admin'));
+
+    // API: List API keys (hashes are never returned)
+    router.get('/api-keys', (req, res) => {
+        res.json({ success: true, keys: apiKeys.list() });
+    });
+
+    // API: Create an API key
+    router.post('/api-keys', audited('api_key.create', (req, res) => ({ name: req.body.name, scopes: req.body.scopes, id: res.locals.apiKeyId })), validateBody('CreateApiKey'), (req, res) => {
+        const { name, scopes } = req.body;
+        const { key, record } = apiKeys.create({ name, scopes });
+        res.locals.apiKeyId = record.id;
+
+        res.status(201).json({
+            success: true,
+            message: 'Store this key now - it will not be shown again',
+            key,
+            apiKey: record
+        });
+    });
+
+    // API: Revoke an API key
+    router.delete('/api-keys/:id', audited('api_key.revoke'), (req, res) => {
+        if (req.params.id === req.apiKey.id) {
+            return sendError(res, 'CONFLICT', 'You cannot revoke the key you are using');
+        }
+        if (!apiKeys.revoke(req.params.id)) {
+            return sendError(res, 'NOT_FOUND', 'API key not found (keys from ADMIN_API_KEY cannot be revoked)');
+        }
+        res.json({ success: true, message: 'API key revoked' });
+    });
+
+    return router;
+}
@@ -0,0 +1,33 @@
+import express from 'express';
+import { sendError } from '../lib/errors.js';
+
+export default function auditRoutes({ audit, requireScope }) {
+    const router = express.Router();
+
+    // API: Audit trail (?action=session. ?actor= ?session= ?success= ?since= ?until= ?limit= ?offset=)
+    router.get('/audit', requireScope('admin'), (req, res) => {
+        const { action, actor, session, success, since, until } = req.query;
+        for (const [name, value] of Object.entries({ since, until })) {
+            if (value && Number.isNaN(Date.parse(value))) {
+                return sendError(res, 'VALIDATION_FAILED', `${name} must be an ISO timestamp`);
+            }
+        }
+        if (success !== undefined && !['true', 'false'].includes(success)) {
+            return sendError(res, 'VALIDATION_FAILED', 'success must be true or false');
+        }
+
+        const result = audit.query({
+            action,
+            actor,
+            sessionId: session,
+            success: success === undefined ? undefined : success === 'true',
+            since: since && new Date(since).toISOString(),
+            until: until && new Date(until).toISOString(),
+            limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+            offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+        });
+        res.json({ success: true, ...result });
+    });
+
+    return router;
+}
@@ -0,0 +1,189 @@
+import express from 'express';
+import multer from 'multer';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { parsePhone, PhoneError } from '../lib/phone.js';
+import { summarize, RECIPIENT_STATUSES } from '../lib/broadcasts.js';
+import { renderTemplate, validateTemplate } from '../lib/templates.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { respondError } from './helpers.js';
+
+const MAX_RECIPIENTS = parseInt(process.env.BROADCAST_MAX_RECIPIENTS, 10) || 5000;
+const DEFAULT_MIN_DELAY_MS = parseInt(process.env.BROADCAST_MIN_DELAY_MS, 10) || 3000;
+const DEFAULT_JITTER_MS = parseInt(process.env.BROADCAST_JITTER_MS, 10) || 4000;
+
+// Jeda minimum antar pesan tidak boleh lebih kecil dari ini
+const MIN_DELAY_FLOOR_MS = 1000;
+
+const PHONE_COLUMNS = ['phone', 'nomor', 'number', 'no_hp', 'whatsapp'];
+const COUNTRY_COLUMNS = ['countryCode', 'country'];
+
+// "0812..." atau { phone, variables } atau baris CSV { phone, name, ... };
+// kolom countryCode / country opsional per baris
+function toRecipient(entry) {
+    if (typeof entry === 'string' || typeof entry === 'number') {
+        return { phone: String(entry), variables: {} };
+    }
+    if (!entry || typeof entry !== 'object') return { phone: null, variables: {} };
+
+    const phoneKey = PHONE_COLUMNS.find(key => entry[key]);
+    const phone = phoneKey ? String(entry[phoneKey]) : null;
+    const countryKey = COUNTRY_COLUMNS.find(key => entry[key]);
+    const countryCode = countryKey ? String(entry[countryKey]) : undefined;
+    if (entry.variables && typeof entry.variables === 'object') {
+        return { phone, countryCode, variables: entry.variables };
+    }
+    const variables = { ...entry };
+    if (phoneKey) delete variables[phoneKey];
+    if (countryKey) delete variables[countryKey];
+    return { phone, countryCode, variables };
+}
+
+// Penerima yang variabelnya kurang langsung dicatat gagal, tidak ikut dikirim
+function parseRecipients(entries, body, required, defaultCountry) {
+    const recipients = [];
+    const invalid = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+        const { phone, countryCode, variables } = toRecipient(entry);
+        let to;
+        try {
+            to = parsePhone(phone, { countryCode: countryCode || defaultCountry }).phone;
+        } catch (error) {
+            if (!(error instanceof PhoneError)) throw error;
+            invalid.push({ phone, to: null, variables, reason: `Invalid phone number: ${error.message}`, code: error.reason });
+            continue;
+        }
+        if (seen.has(to)) continue;
+        seen.add(to);
+
+        try {
+            renderTemplate(body, { phone: to, ...variables }, { required });
+            recipients.push({ phone, to, variables });
+        } catch (error) {
+            invalid.push({ phone, to, variables, reason: error.message });
+        }
+    }
+    return { recipients, invalid };
+}
+
+export default function broadcastRoutes({ broadcasts, templates, requireScope, withSession, idempotent }) {
+    const router = express.Router();
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024, files: 1 } }).single('file');
+
+    function handleUpload(req, res, next) {
+        if (!req.is('multipart/form-data')) return next();
+        upload(req, res, (err) => {
+            if (!err) return next();
+            sendError(res, err.code === 'LIMIT_FILE_SIZE' ? 'PAYLOAD_TOO_LARGE' : 'VALIDATION_FAILED', err.message);
+        });
+    }
+
+    // API: Start a broadcast (JSON recipients, "csv" string or multipart CSV "file").
+    // Pesan berupa "message" atau nama "template" yang tersimpan.
+    router.post('/broadcasts', requireScope('send'), handleUpload, withSession, validateBody('CreateBroadcast'), idempotent, (req, res) => {
+        const { template, countryCode } = req.body;
+        let { message } = req.body;
+        let required = [];
+        let entries = req.body.recipients;
+
+        if (req.file) {
+            entries = parseCsv(req.file.buffer.toString('utf8'));
+        } else if (typeof req.body.csv === 'string') {
+            entries = parseCsv(req.body.csv);
+        }
+
+        if (template) {
+            const stored = templates.get(template);
+            if (!stored) {
+                return sendError(res, 'TEMPLATE_NOT_FOUND', `Template "${template}" not found`);
+            }
+            message = stored.body;
+            required = stored.required;
+        }
+
+        // CSV bisa saja tanpa baris data
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return sendError(res, 'VALIDATION_FAILED', 'Recipients list (or CSV) must not be empty');
+        }
+
+        try {
+            validateTemplate(message);
+        } catch (error) {
+            return respondError(res, error);
+        }
+        if (entries.length > MAX_RECIPIENTS) {
+            return sendError(res, 'VALIDATION_FAILED', `A broadcast can have at most ${MAX_RECIPIENTS} recipients`);
+        }
+
+        const { recipients, invalid } = parseRecipients(entries, message, required, countryCode);
+        if (recipients.length === 0) {
+            return sendError(res, 'INVALID_PHONE', 'No valid phone numbers in recipients', { invalid });
+        }
+
+        const minDelayMs = Math.max(parseInt(req.body.minDelayMs, 10) || DEFAULT_MIN_DELAY_MS, MIN_DELAY_FLOOR_MS);
+        const jitterMs = Math.max(parseInt(req.body.jitterMs, 10) || DEFAULT_JITTER_MS, 0);
+
+        const job = broadcasts.create({
+            sessionId: req.waSession.id,
+            message,
+            template: template || null,
+            required,
+            recipients,
+            invalid,
+            options: { minDelayMs, jitterMs }
+        });
+
+        res.status(202).json({ success: true, message: 'Broadcast started', broadcast: summarize(job) });
+    });
+
+    // API: List broadcasts
+    router.get('/broadcasts', requireScope('read'), (req, res) => {
+        res.json({ success: true, broadcasts: broadcasts.list().map(summarize) });
+    });
+
+    // API: Broadcast progress
+    router.get('/broadcasts/:id', requireScope('read'), (req, res) => {
+        const job = broadcasts.get(req.params.id);
+        if (!job) {
+            return sendError(res, 'NOT_FOUND', 'Broadcast not found');
+        }
+        res.json({ success: true, broadcast: summarize(job) });
+    });
+
+    // API: Per-recipient report (?status=failed, ?format=csv)
+    router.get('/broadcasts/:id/report', requireScope('read'), (req, res) => {
+        const job = broadcasts.get(req.params.id);
+        if (!job) {
+            return sendError(res, 'NOT_FOUND', 'Broadcast not found');
+        }
+
+        const { status, format } = req.query;
+        if (status && !RECIPIENT_STATUSES.includes(status)) {
+            return sendError(res, 'VALIDATION_FAILED', `Status must be one of: ${RECIPIENT_STATUSES.join(', ')}`);
+        }
+
+        const recipients = job.recipients
+            .filter(r => !status || r.status === status)
+            .map(({ phone, to, status, reason, messageId, sentAt }) => ({ phone, to, status, reason, messageId, sentAt }));
+
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.attachment(`broadcast-${job.id}.csv`);
+            return res.send(toCsv(recipients, ['phone', 'to', 'status', 'reason', 'messageId', 'sentAt']));
+        }
+        res.json({ success: true, broadcastId: job.id, recipients });
+    });
+
+    // API: Cancel a running broadcast
+    router.post('/broadcasts/:id/cancel', requireScope('send'), (req, res) => {
+        const job = broadcasts.cancel(req.params.id);
+        if (!job) {
+            return sendError(res, 'NOT_FOUND', 'No running broadcast with that id');
+        }
+        res.json({ success: true, message: 'Broadcast cancelled', broadcast: summarize(job) });
+    });
+
+    return router;
+}
@@ -0,0 +1,37 @@
+import express from 'express';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { parsePhoneList } from './helpers.js';
+
+export default function commandRoutes({ commands, requireScope, audited }) {
+    const router = express.Router();
+
+    // API: Registered commands + auto-reply config
+    router.get('/commands', requireScope('read'), (req, res) => {
+        res.json({ success: true, config: commands.getConfig(), commands: commands.list() });
+    });
+
+    // API: Update auto-reply config (enabled, prefix, cooldownMs, allow, deny, groups)
+    router.put('/commands/config', requireScope('admin'), audited('commands.config', req => ({ fields: Object.keys(req.body) })), validateBody('CommandsConfig'), (req, res) => {
+        const { enabled, prefix, cooldownMs, allow, deny, groups } = req.body;
+        const changes = {};
+
+        // Tipe sudah dicek schema CommandsConfig; null = tidak diubah
+        for (const [key, value] of Object.entries({ enabled, groups, prefix, cooldownMs })) {
+            if (value !== undefined && value !== null) changes[key] = value;
+        }
+
+        for (const [key, list] of Object.entries({ allow, deny })) {
+            if (list === undefined || list === null) continue;
+            const { jids, invalid } = parsePhoneList(list);
+            if (invalid.length > 0) {
+                return sendError(res, 'INVALID_PHONE', `Invalid phone number(s) in ${key}: ${invalid.map(i => i.phone).join(', ')}`, { invalid });
+            }
+            changes[key] = jids.map(jid => jid.split('@')[0]);
+        }
+
+        res.json({ success: true, config: commands.updateConfig(changes) });
+    });
+
+    return router;
+}
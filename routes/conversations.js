@@ -0,0 +1,51 @@
+import express from 'express';
+import { sendError } from '../lib/errors.js';
+
+export default function conversationRoutes({ conversations, requireScope, audited }) {
+    const router = express.Router();
+
+    // API: Registered conversation flows
+    router.get('/flows', requireScope('read'), (req, res) => {
+        res.json({ success: true, flows: conversations.flows() });
+    });
+
+    // API: Active conversations (?session=)
+    router.get('/conversations', requireScope('read'), (req, res) => {
+        res.json({ success: true, conversations: conversations.listConversations({ sessionId: req.query.session }) });
+    });
+
+    // API: Stop an active conversation
+    router.delete('/conversations/:id', requireScope('admin'), audited('conversation.cancel'), (req, res) => {
+        const conversation = conversations.cancel(req.params.id);
+        if (!conversation) {
+            return sendError(res, 'NOT_FOUND', 'Conversation not found');
+        }
+        res.json({ success: true, message: 'Conversation cancelled' });
+    });
+
+    // API: Completed flows, e.g. warranty claims (?flow=, ?phone=)
+    router.get('/submissions', requireScope('read'), (req, res) => {
+        const { flow, phone } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({ success: true, submissions: conversations.listSubmissions({ flow, phone, limit }) });
+    });
+
+    router.get('/submissions/:id', requireScope('read'), (req, res) => {
+        const submission = conversations.getSubmission(req.params.id);
+        if (!submission) {
+            return sendError(res, 'NOT_FOUND', 'Submission not found');
+        }
+        res.json({ success: true, submission });
+    });
+
+    // API: Media collected by a step (foto kerusakan, dokumen, ...)
+    router.get('/submissions/:id/media/:step', requireScope('read'), (req, res) => {
+        const path = conversations.mediaPath(req.params.id, req.params.step);
+        if (!path) {
+            return sendError(res, 'NOT_FOUND', 'Media not found');
+        }
+        res.sendFile(path);
+    });
+
+    return router;
+}
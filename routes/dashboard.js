@@ -0,0 +1,177 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { hasScope, SESSION_COOKIE } from '../lib/api-keys.js';
+import { DEFAULT_SESSION } from '../lib/sessions.js';
+
+// CSS/JS dashboard disajikan dari sini, tidak ada lagi script dari CDN
+const ASSETS_DIR = fileURLToPath(new URL('../public/dashboard', import.meta.url));
+
+// Halaman admin; script = modul di public/dashboard yang mengisi halaman lewat API
+const PAGES = [
+    { path: '/', script: 'connection', title: '📱 Connection' },
+    { path: '/dashboard/send', script: 'send', title: '✉️ Send' },
+    { path: '/dashboard/messages', script: 'messages', title: '💬 Messages' },
+    { path: '/dashboard/queue', script: 'queue', title: '📦 Queue & Broadcasts' },
+    { path: '/dashboard/webhooks', script: 'webhooks', title: '🔔 Webhooks' },
+    { path: '/dashboard/api', script: null, title: '📚 API' }
+];
+
+const API_DOCS = [
+    { title: 'POST /send-message', description: 'Send text message to WhatsApp number (queued while offline)', example: '{ "phone": "6281234567890", "message": "Hello from bot!" }' },
+    { title: 'POST /send-message (international)', description: 'Numbers without "+" use the default country (DEFAULT_COUNTRY, ID); pass countryCode or a jid for others', example: '{ "phone": "012-345 6789", "countryCode": "MY", "message": "Hello!" }' },
+    { title: 'POST /lookup', description: 'Check which numbers are on WhatsApp (batched, cached)', example: '{ "phones": ["+60123456789", "081234567890"] }' },
+    { title: 'POST /send-message (group)', description: 'Send to a group by ID, optionally mentioning participants (also works for media)', example: '{ "groupId": "120363012345678901@g.us", "message": "Halo @6281234567890", "mentions": ["6281234567890"] }' },
+    { title: 'GET /groups', description: 'List groups · GET /groups/:id (participants) · POST /groups · PUT /groups/:id · POST /groups/:id/participants · GET /groups/:id/invite', example: 'POST /groups/:id/participants { "action": "add", "participants": ["6281234567890"] }' },
+    { title: 'POST /send-image · /send-document · /send-audio · /send-video · /send-sticker', description: 'Send media as multipart "file", base64 or MEDIA_ROOT path', example: '{ "phone": "6281234567890", "base64": "data:application/pdf;base64,...", "fileName": "garansi.pdf", "caption": "Sertifikat garansi" }' },
+    { title: 'POST /send-message (reply)', description: 'Quote a stored message with quotedMessageId (also on media, poll, location and contact sends)', example: '{ "phone": "6281234567890", "message": "Sudah kami proses", "quotedMessageId": "3EB0C431..." }' },
+    { title: 'POST /send-reaction', description: 'React to a message in the recipient\'s chat; an empty emoji removes the reaction', example: '{ "phone": "6281234567890", "messageId": "3EB0C431...", "emoji": "👍" }' },
+    { title: 'POST /send-poll', description: 'Send a poll (2-12 options, selectableCount 0 = any) · results via GET /polls/:messageId and the poll.updated event', example: '{ "phone": "6281234567890", "name": "Puas dengan servis?", "options": ["Puas", "Biasa", "Kurang"] }' },
+    { title: 'POST /send-location', description: 'Send a location pin, e.g. a service center', example: '{ "phone": "6281234567890", "latitude": -6.9175, "longitude": 107.6191, "name": "Service Center Bandung", "address": "Jl. Asia Afrika 1" }' },
+    { title: 'POST /send-contact', description: 'Send vCard contact(s), e.g. the assigned technician', example: '{ "phone": "6281234567890", "contacts": [{ "name": "Teknisi Andi", "phone": "081298765432", "organization": "Warranty Service" }] }' },
+    { title: 'PUT /templates/:name', description: 'Store a message template; send with { "template", "variables" } instead of "message"', example: '{ "body": "Halo {{ name | title }}, garansi berakhir {{ warranty_end | date }}" } → POST /templates/:name/render' },
+    { title: 'POST /broadcasts', description: 'Throttled bulk send with per-recipient report (JSON list or CSV)', example: '{ "message": "Halo {{name}}, garansi habis {{date}}", "recipients": [{ "phone": "0812...", "name": "Budi", "date": "1 Nov" }] } → GET /broadcasts/:id/report?format=csv' },
+    { title: 'GET /messages/:id', description: 'Delivery history of a sent message (pending → server_ack → delivered → read)', example: 'GET /messages/&lt;messageId or queueId&gt; · GET /messages?to=6281234567890' },
+    { title: 'POST /schedules', description: 'Schedule a message once (sendAt, Asia/Jakarta by default) or recurring (cron) · GET /schedules · POST /schedules/:id/reschedule · POST /schedules/:id/cancel', example: '{ "phone": "6281234567890", "template": "warranty_reminder", "variables": { "name": "Budi" }, "sendAt": "2026-11-01 09:00" }' },
+    { title: 'GET /commands', description: 'Auto-reply commands (plugins in ./plugins) and allow/deny list', example: 'PUT /commands/config { "cooldownMs": 10000, "deny": ["6281234567890"] }' },
+    { title: 'GET /submissions', description: 'Completed conversation flows (warranty claims), also sent as webhook "flow.completed"', example: 'GET /submissions?flow=warranty-claim · GET /submissions/:id/media/damage_photo · GET /flows · GET /conversations' },
+    { title: 'GET /queue', description: 'List queued, sent and dead-lettered messages', example: 'GET /queue?status=dead · POST /queue/:id/retry · DELETE /queue/:id' },
+    { title: 'POST /webhooks', description: 'Forward incoming messages to your backend (HMAC signed)', example: '{ "url": "https://example.com/hook", "events": ["message.received"] }' },
+    { title: 'GET /events', description: 'Server-sent events: qr.updated, connection.updated, message.received, message.receipt, message.status, poll.updated, outbound.updated (queue item changes)', example: 'GET /events?types=message.received,message.status&session=default' },
+    { title: 'GET /chats', description: 'Stored chat history: GET /chats · GET /chats/:jid/messages?before= · GET /search?q= · GET /contacts · GET /contacts/:jid', example: 'GET /chats/6281234567890/messages?limit=50' },
+    { title: 'GET /status', description: 'Get bot connection status and info, including the disconnect reason history and send limit usage' },
+    { title: 'Errors', description: 'Every error has the same shape; match on the stable "code" (VALIDATION_FAILED, INVALID_PHONE, NOT_ON_WHATSAPP, NOT_CONNECTED, RATE_LIMITED, ...), the message may change', example: '{ "success": false, "error": "phone must be a string or an integer", "code": "VALIDATION_FAILED", "errors": [{ "path": "phone", "message": "must be a string or an integer" }] }' },
+    { title: 'Idempotency-Key', description: 'Send endpoints, POST /broadcasts and POST /schedules accept an Idempotency-Key header; a retry with the same key and body returns the first response (header Idempotent-Replayed: true) instead of sending again', example: 'Idempotency-Key: order-1234-shipped' },
+    { title: '429 Too Many Requests', description: 'Sends are limited per minute, per recipient per hour, per day and between new contacts (SEND_LIMIT_PER_MINUTE, SEND_LIMIT_PER_RECIPIENT_PER_HOUR, SEND_DAILY_QUOTA, NEW_CONTACT_GAP_MS); retry after the Retry-After header. TYPING_SIMULATION=true shows "typing..." before each message', example: '{ "success": false, "code": "RATE_LIMITED", "limit": "per_minute", "retryAfter": 42 }' },
+    { title: 'GET /qr', description: 'Get current QR code data · GET /qr.png?size=320 renders it as a PNG image' },
+    { title: 'POST /pairing-code', description: 'Link with a phone number instead of scanning the QR code', example: '{ "phone": "6281234567890" }' },
+    { title: 'POST /clear-auth', description: 'Clear authentication and restart' },
+    { title: 'POST /reconnect', description: 'Reconnect without clearing auth (e.g. after "connectionReplaced" or repeated "badSession")' },
+    { title: 'GET /metrics', description: 'Prometheus metrics: messages sent/failed, reconnects, queue depth, send latency, uptime' },
+    { title: 'GET /audit', description: 'Audit trail of admin actions (?action=session. &amp;session= &amp;since= &amp;limit=)' },
+    { title: 'POST /sessions', description: 'Create another WhatsApp number; every route also works under /sessions/:id/...', example: '{ "id": "sales" } → POST /sessions/sales/send-message · GET /sessions/sales/qr · DELETE /sessions/sales' },
+    { title: 'POST /api-keys', description: 'Create an API key scoped to send, read and/or admin', example: '{ "name": "warranty-jobs", "scopes": ["send", "read"] }' }
+];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderDocument(title, body, bodyAttributes = '') {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <link rel="stylesheet" href="/dashboard/assets/dashboard.css">
+</head>
+<body ${bodyAttributes}>
+${body}
+</body>
+</html>`;
+}
+
+// Login page untuk admin view
+function renderLoginPage(error) {
+    return renderDocument('WhatsApp Bot API - Login', `
+    <div class="container">
+        <h1>🔒 Admin Login</h1>
+        ${error ? `<div class="error">${error}</div>` : ''}
+        <form method="POST" action="/login">
+            <input type="password" name="apiKey" placeholder="Admin API key" autocomplete="current-password" required>
+            <button type="submit">Login</button>
+        </form>
+        <p>Gunakan API key dengan scope <strong>admin</strong>.</p>
+    </div>`, 'class="login"');
+}
+
+function renderApiDocs() {
+    return `
+    <p class="muted">Semua endpoint (kecuali /health dan /openapi.json) butuh header <code class="inline">Authorization: Bearer &lt;api-key&gt;</code>.
+    Session lain: prefix <code class="inline">/sessions/:id</code>.
+    Spesifikasi lengkap (OpenAPI 3.1): <a href="/openapi.json">/openapi.json</a>.</p>
+    ${API_DOCS.map(doc => `
+    <div class="endpoint">
+        <strong>${doc.title}</strong>
+        <p>${doc.description}</p>
+        ${doc.example ? `<code>${doc.example}</code>` : ''}
+    </div>`).join('')}`;
+}
+
+export default function dashboardRoutes({ apiKeys, sessions, audited }) {
+    const router = express.Router();
+
+    router.use('/dashboard/assets', express.static(ASSETS_DIR, { maxAge: '1h' }));
+
+    // Layout bersama: header, pilihan session dan navigasi (session dibawa lewat ?session=)
+    function renderPage(page, session) {
+        const query = session.id === DEFAULT_SESSION ? '' : `?session=${encodeURIComponent(session.id)}`;
+        const apiBase = session.id === DEFAULT_SESSION ? '' : `/sessions/${encodeURIComponent(session.id)}`;
+        const options = sessions.list()
+            .map(s => `<option value="${escapeHtml(s.id)}" ${s.id === session.id ? 'selected' : ''}>${s.isConnected ? '🟢' : '🔴'} ${escapeHtml(s.id)}</option>`)
+            .join('');
+        const nav = PAGES
+            .map(p => `<a href="${p.path}${query}" class="${p === page ? 'active' : ''}">${p.title}</a>`)
+            .join('');
+
+        return renderDocument(`WhatsApp Bot API - ${page.title.replace(/^\S+ /, '')}`, `
+    <div class="container">
+        <header>
+            <h1>🤖 WhatsApp Bot API</h1>
+            <div class="session-picker">
+                <form method="GET" action="${page.path}">
+                    <select name="session" onchange="this.form.submit()" aria-label="Session">${options}</select>
+                </form>
+                <form method="POST" action="/logout">
+                    <button type="submit" class="btn-secondary">🚪 Logout</button>
+                </form>
+            </div>
+        </header>
+        <nav>${nav}</nav>
+        <main id="page">${page.script ? '<p class="muted pulse">⏳ Loading...</p>' : renderApiDocs()}</main>
+    </div>
+    ${page.script ? `<script type="module" src="/dashboard/assets/${page.script}.js"></script>` : ''}`,
+        `data-session="${escapeHtml(session.id)}" data-api-base="${escapeHtml(apiBase)}"`);
+    }
+
+    // Admin login - tukar API key dengan cookie sesi
+    router.post('/login', audited('auth.login'), (req, res) => {
+        // Body JSON bisa berisi apa saja; selain string langsung ditolak (bukan 500 dari hashing)
+        const apiKey = req.body?.apiKey;
+        const record = typeof apiKey === 'string' ? apiKeys.verify(apiKey) : null;
+        if (record) req.apiKey = record;
+        if (!record || !hasScope(record, 'admin')) {
+            return res.status(401).send(renderLoginPage('API key tidak valid atau bukan admin.'));
+        }
+
+        const secure = req.secure || req.get('x-forwarded-proto') === 'https';
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${apiKeys.createSession(record)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=43200${secure ? '; Secure' : ''}`);
+        res.redirect('/');
+    });
+
+    router.post('/logout', (req, res) => {
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+        res.redirect('/');
+    });
+
+    // Admin view (login dulu, QR tidak publik); "/" = halaman koneksi
+    for (const page of PAGES) {
+        router.get(page.path, (req, res) => {
+            const viewer = apiKeys.authenticate(req);
+            if (!viewer || !hasScope(viewer, 'admin')) {
+                return res.send(renderLoginPage());
+            }
+
+            const session = sessions.get(req.query.session || DEFAULT_SESSION);
+            if (!session) {
+                return res.redirect(page.path);
+            }
+            res.send(renderPage(page, session));
+        });
+    }
+
+    return router;
+}
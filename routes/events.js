@@ -0,0 +1,101 @@
+import express from 'express';
+import { events } from '../lib/events.js';
+import { hasScope } from '../lib/api-keys.js';
+import { sendError } from '../lib/errors.js';
+
+// Event yang bisa di-stream; filter dengan ?types=qr.updated,connection.updated
+export const STREAM_EVENTS = ['qr.updated', 'connection.updated', 'message.received', 'message.receipt', 'message.status', 'poll.updated', 'outbound.updated'];
+
+const HEARTBEAT_MS = 25000;
+
+export default function eventRoutes({ sessions, requireScope }) {
+    const router = express.Router();
+
+    // Satu listener per tipe di event bus untuk semua client (bukan per client),
+    // dipasang saat client pertama masuk dan dilepas saat client terakhir keluar
+    const clients = new Set();
+    const busListeners = [];
+
+    function addClient(client) {
+        clients.add(client);
+        if (busListeners.length > 0) return;
+        for (const type of STREAM_EVENTS) {
+            const listener = (data) => {
+                for (const deliver of clients) deliver(type, data);
+            };
+            events.on(type, listener);
+            busListeners.push([type, listener]);
+        }
+    }
+
+    function removeClient(client) {
+        clients.delete(client);
+        if (clients.size > 0) return;
+        for (const [type, listener] of busListeners) events.off(type, listener);
+        busListeners.length = 0;
+    }
+
+    // API: Server-sent events stream (?types=, ?session=)
+    router.get('/events', requireScope('read'), (req, res) => {
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : STREAM_EVENTS;
+        const unknown = types.filter(type => !STREAM_EVENTS.includes(type));
+        if (unknown.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', `Unknown event type(s): ${unknown.join(', ')}. Available: ${STREAM_EVENTS.join(', ')}`);
+        }
+
+        const sessionId = req.query.session || null;
+        if (sessionId && !sessions.get(sessionId)) {
+            return sendError(res, 'SESSION_NOT_FOUND', `Session "${sessionId}" not found`);
+        }
+
+        // QR sama sensitifnya dengan GET /qr, hanya untuk admin
+        const isAdmin = hasScope(req.apiKey, 'admin');
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        let counter = 0;
+        function send(type, data) {
+            res.write(`id: ${++counter}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+
+        const client = (type, data) => {
+            if (!types.includes(type)) return;
+            if (sessionId && data.sessionId !== sessionId) return;
+            if (type === 'qr.updated' && !isAdmin) {
+                const { qr, ...rest } = data;
+                return send(type, rest);
+            }
+            send(type, data);
+        };
+        addClient(client);
+
+        // Snapshot awal supaya client tidak perlu GET /status dulu
+        if (types.includes('connection.updated')) {
+            for (const session of sessions.list()) {
+                if (sessionId && session.id !== sessionId) continue;
+                send('connection.updated', {
+                    sessionId: session.id,
+                    connected: session.isConnected,
+                    ...session.login(),
+                    botNumber: session.status().botNumber,
+                    at: new Date().toISOString()
+                });
+            }
+        }
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            removeClient(client);
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,148 @@
+import express from 'express';
+import {
+    toGroupJid,
+    summarizeGroup, describeGroup, describeParticipantResults
+} from '../lib/groups.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { parsePhoneList, requireConnected } from './helpers.js';
+
+// Error Baileys (Boom) -> kode error
+function respondGroupError(res, error) {
+    const code = error.output?.statusCode;
+    if (code === 404 || error.message === 'item-not-found') {
+        return sendError(res, 'GROUP_NOT_FOUND', 'Group not found or bot is not a member');
+    }
+    if (code === 401 || code === 403 || ['forbidden', 'not-authorized'].includes(error.message)) {
+        return sendError(res, 'FORBIDDEN', 'Bot is not allowed to do this (not a group admin?)');
+    }
+    sendError(res, 'INTERNAL_ERROR', error.message);
+}
+
+// Returns { jids } or { error, invalid }; list sudah divalidasi schema
+function parseParticipants(list, countryCode) {
+    const { jids, invalid } = parsePhoneList(list, { countryCode });
+    if (invalid.length > 0) return { error: `Invalid participant(s): ${invalid.map(i => i.phone).join(', ')}`, invalid };
+    return { jids };
+}
+
+// Group routes; di-mount di "/" dan "/sessions/:sessionId" seperti route session lain
+export default function groupRoutes({ requireScope, withSession, audited }) {
+    const router = express.Router({ mergeParams: true });
+
+    function groupParam(req, res, next) {
+        req.groupJid = toGroupJid(req.params.groupId);
+        if (!req.groupJid) {
+            return sendError(res, 'INVALID_RECIPIENT', 'Invalid group ID');
+        }
+        next();
+    }
+
+    const read = [requireScope('read'), withSession, requireConnected];
+    const admin = [requireScope('admin'), withSession, requireConnected];
+
+    // API: Groups the bot is a member of
+    router.get('/groups', ...read, async (req, res) => {
+        try {
+            const groups = await req.waSession.sock.groupFetchAllParticipating();
+            res.json({
+                success: true,
+                groups: Object.values(groups).map(summarizeGroup).sort((a, b) => a.subject.localeCompare(b.subject))
+            });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    // API: Create group { subject, participants: [phone, ...], countryCode? }
+    router.post('/groups', ...admin, audited('group.create', (req, res) => ({ subject: req.body.subject, groupId: res.locals.groupId })), validateBody('CreateGroup'), async (req, res) => {
+        const { subject, countryCode } = req.body;
+        const participants = parseParticipants(req.body.participants, countryCode);
+        if (participants.error) {
+            return sendError(res, 'INVALID_PHONE', participants.error, { invalid: participants.invalid });
+        }
+
+        try {
+            const metadata = await req.waSession.sock.groupCreate(subject, participants.jids);
+            res.locals.groupId = metadata.id;
+            res.status(201).json({ success: true, group: describeGroup(metadata) });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    // API: Group metadata + participants
+    router.get('/groups/:groupId', ...read, groupParam, async (req, res) => {
+        try {
+            const metadata = await req.waSession.sock.groupMetadata(req.groupJid);
+            res.json({ success: true, group: describeGroup(metadata) });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    // API: Update subject and/or description
+    router.put('/groups/:groupId', ...admin, groupParam, audited('group.update', req => ({ subject: req.body.subject, description: req.body.description })), validateBody('UpdateGroup'), async (req, res) => {
+        const { subject, description } = req.body;
+        if (subject === undefined && description === undefined) {
+            return sendError(res, 'VALIDATION_FAILED', 'Subject or description is required');
+        }
+
+        try {
+            const { sock } = req.waSession;
+            if (subject !== undefined) await sock.groupUpdateSubject(req.groupJid, subject);
+            if (description !== undefined) await sock.groupUpdateDescription(req.groupJid, description || undefined);
+            const metadata = await sock.groupMetadata(req.groupJid);
+            res.json({ success: true, group: summarizeGroup(metadata) });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    // API: Add / remove / promote / demote { action, participants: [phone, ...], countryCode? }
+    router.post('/groups/:groupId/participants', ...admin, groupParam, audited('group.participants', (req, res) => ({ action: req.body.action, participants: req.body.participants, succeeded: res.locals.succeeded })), validateBody('GroupParticipants'), async (req, res) => {
+        const { action, countryCode } = req.body;
+        const participants = parseParticipants(req.body.participants, countryCode);
+        if (participants.error) {
+            return sendError(res, 'INVALID_PHONE', participants.error, { invalid: participants.invalid });
+        }
+
+        try {
+            const results = await req.waSession.sock.groupParticipantsUpdate(req.groupJid, participants.jids, action);
+            const described = describeParticipantResults(results);
+            const succeeded = described.filter(r => r.success).length;
+            const failed = described.length - succeeded;
+            res.locals.succeeded = succeeded;
+
+            // Semua gagal -> error; sebagian gagal -> 207 dengan hasil per nomor
+            if (succeeded === 0 && failed > 0) {
+                return sendError(res, 'PARTICIPANT_UPDATE_FAILED', `Could not ${action} any participant`, { action, results: described });
+            }
+            res.status(failed > 0 ? 207 : 200).json({ success: true, action, succeeded, failed, results: described });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    // API: Invite link (bot harus admin grup)
+    router.get('/groups/:groupId/invite', ...admin, groupParam, async (req, res) => {
+        try {
+            const code = await req.waSession.sock.groupInviteCode(req.groupJid);
+            res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    // API: Revoke the current invite link and return the new one
+    router.post('/groups/:groupId/invite/revoke', ...admin, groupParam, audited('group.invite_revoke'), async (req, res) => {
+        try {
+            const code = await req.waSession.sock.groupRevokeInvite(req.groupJid);
+            res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+        } catch (error) {
+            respondGroupError(res, error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,210 @@
+import { DEFAULT_SESSION } from '../lib/sessions.js';
+import { parsePhone, userJidToPhone, PhoneError } from '../lib/phone.js';
+import { isGroupJid, toGroupJid } from '../lib/groups.js';
+import { createLogger } from '../lib/logger.js';
+import { removeMedia } from '../lib/media.js';
+import { RateLimitError } from '../lib/send-limits.js';
+import { ERROR_CODES, sendError } from '../lib/errors.js';
+
+const log = createLogger('api');
+
+// Berapa lama send endpoint menunggu percobaan kirim pertama sebelum membalas 202
+const SEND_WAIT_MS = parseInt(process.env.SEND_WAIT_MS, 10) || 15000;
+
+// Resolve the target session from /sessions/:sessionId, ?session= or body.session
+export function sessionResolver(sessions) {
+    return (req, res, next) => {
+        const id = req.params.sessionId || req.query.session || req.body?.session || DEFAULT_SESSION;
+        const session = sessions.get(id);
+        if (!session) {
+            return sendError(res, 'SESSION_NOT_FOUND', `Session "${id}" not found`);
+        }
+        req.waSession = session;
+        next();
+    };
+}
+
+// phone (+ countryCode) / jid -> chat pribadi; groupId (atau JID grup) -> grup.
+// mentions: [phone, ...] atau "628xx,628yy" dari form multipart.
+// Returns { to, jid, mentions } or { code, error, reason }
+export async function resolveRecipient(session, { phone, groupId, jid, countryCode, mentions }) {
+    let recipient;
+    if (groupId || isGroupJid(phone) || isGroupJid(jid)) {
+        const groupJid = toGroupJid(groupId || jid || phone);
+        if (!groupJid) return { code: 'INVALID_RECIPIENT', error: 'Invalid group ID' };
+
+        // Saat online pastikan bot anggota grup; saat offline langsung masuk queue
+        if (session.isConnected && session.sock) {
+            try {
+                await session.sock.groupMetadata(groupJid);
+            } catch (error) {
+                return { code: 'GROUP_NOT_FOUND', error: 'Group not found or bot is not a member' };
+            }
+        }
+        recipient = { to: groupJid, jid: groupJid };
+    } else if (jid) {
+        const to = userJidToPhone(jid);
+        if (!to) return { code: 'INVALID_RECIPIENT', error: 'Invalid JID, expected "<number>@s.whatsapp.net" or a group JID' };
+        recipient = { to, jid: `${to}@s.whatsapp.net` };
+    } else if (phone) {
+        try {
+            const parsed = parsePhone(phone, { countryCode });
+            recipient = { to: parsed.phone, jid: parsed.jid };
+        } catch (error) {
+            if (!(error instanceof PhoneError)) throw error;
+            return { code: 'INVALID_PHONE', error: `Invalid phone number: ${error.message}`, reason: error.reason };
+        }
+    } else {
+        return { code: 'INVALID_RECIPIENT', error: 'Phone, jid or groupId is required' };
+    }
+
+    if (mentions !== undefined && mentions !== '') {
+        const list = typeof mentions === 'string' ? mentions.split(',') : mentions;
+        if (!Array.isArray(list)) return { code: 'VALIDATION_FAILED', error: 'Mentions must be a list of phone numbers' };
+        const { jids, invalid } = parsePhoneList(list, { countryCode });
+        if (invalid.length > 0) {
+            return { code: 'INVALID_PHONE', error: `Invalid mention(s): ${invalid.map(i => i.phone).join(', ')}`, invalid };
+        }
+        recipient.mentions = jids;
+    }
+    return recipient;
+}
+
+// Daftar nomor -> JID unik + nomor yang ditolak beserta alasannya
+export function parsePhoneList(list, { countryCode } = {}) {
+    const jids = new Set();
+    const invalid = [];
+    for (const item of list) {
+        const phone = String(item).trim();
+        try {
+            const fromJid = userJidToPhone(phone);
+            jids.add(fromJid ? `${fromJid}@s.whatsapp.net` : parsePhone(phone, { countryCode }).jid);
+        } catch (error) {
+            if (!(error instanceof PhoneError)) throw error;
+            invalid.push({ phone, reason: error.reason, error: error.message });
+        }
+    }
+    return { jids: [...jids], invalid };
+}
+
+// quotedMessageId harus ada di history session (dibutuhkan isi pesan aslinya).
+// Returns { quotedId } or { code, error }
+export function resolveQuoted(session, quotedMessageId) {
+    if (!quotedMessageId) return {};
+    if (!session.history.getMessageRecord(quotedMessageId)) {
+        return { code: 'MESSAGE_NOT_FOUND', error: 'Quoted message not found in chat history' };
+    }
+    return { quotedId: quotedMessageId };
+}
+
+export function respondRecipientError(res, { code, error, reason, invalid }) {
+    sendError(res, code, error, {
+        ...(reason && { reason }),
+        ...(invalid && { invalid })
+    });
+}
+
+// Batas kirim dicek sebelum masuk queue; pesan yang masih antre ikut dihitung
+export function checkSendLimit(session, jid) {
+    const { queue } = session;
+    return session.limiter.check(jid, {
+        pending: queue.list({ status: 'pending', limit: Infinity }).length,
+        pendingForRecipient: queue.list({ status: 'pending', jid, limit: Infinity }).length
+    });
+}
+
+export function respondRateLimited(res, error) {
+    const retryAfter = Math.ceil(error.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    sendError(res, 'RATE_LIMITED', error.message, {
+        limit: error.limit,
+        retryAfter,
+        retryAt: new Date(Date.now() + error.retryAfterMs).toISOString()
+    });
+}
+
+// Enqueue a message and answer the request: 200 once sent, 404 when the
+// number is not on WhatsApp, 202 while it is still waiting in the queue,
+// 429 when the session's send limits are exhausted
+export async function respondQueued(res, session, data) {
+    const limited = checkSendLimit(session, data.jid);
+    if (limited) {
+        removeMedia(data.mediaPath);
+        return respondRateLimited(res, limited);
+    }
+
+    const { queue } = session;
+    const item = queue.enqueue(data);
+
+    if (!session.isConnected || !session.sock) {
+        log.info({ sessionId: session.id, to: data.to, queueId: item.id }, 'Bot offline, message queued');
+        return res.status(202).json({
+            success: true,
+            queued: true,
+            message: 'WhatsApp bot is not connected, message queued for delivery',
+            sessionId: session.id,
+            queueId: item.id,
+            status: item.status,
+            to: data.to
+        });
+    }
+
+    const result = await queue.waitForAttempt(item.id, SEND_WAIT_MS);
+
+    if (result?.status === 'sent') {
+        return res.json({
+            success: true,
+            message: 'Message sent successfully',
+            sessionId: session.id,
+            to: data.to,
+            messageId: result.messageId,
+            queueId: item.id,
+            timestamp: result.sentAt
+        });
+    }
+
+    if (result?.errorCode === 'NOT_ON_WHATSAPP') {
+        return sendError(res, 'NOT_ON_WHATSAPP', 'Phone number not registered on WhatsApp', {
+            phone: data.to,
+            queueId: item.id
+        });
+    }
+
+    // Belum terkirim, tetap di queue dan akan dicoba ulang
+    const current = queue.get(item.id);
+    res.status(202).json({
+        success: true,
+        queued: true,
+        message: current.status === 'dead' ? 'Message failed and was moved to dead-letter'
+            : current.errorCode === 'RATE_LIMITED' ? 'Message queued, held back by send limits' : 'Message queued for retry',
+        sessionId: session.id,
+        queueId: item.id,
+        status: current.status,
+        attempts: current.attempts,
+        lastError: current.lastError,
+        to: data.to
+    });
+}
+
+// Error domain membawa kode stabil di .code (PhoneError, MediaError, TemplateError,
+// ApiError, ...); error lain jadi 500 INTERNAL_ERROR
+export function respondError(res, error) {
+    if (error instanceof RateLimitError) return respondRateLimited(res, error);
+    if (!ERROR_CODES[error.code]) {
+        log.error({ err: error }, 'Request failed');
+        return sendError(res, 'INTERNAL_ERROR', error.message);
+    }
+    sendError(res, error.code, error.message, {
+        ...error.details,
+        ...(error.reason && { reason: error.reason }),
+        ...(error.missing?.length > 0 && { missing: error.missing })
+    });
+}
+
+// Untuk route yang butuh koneksi aktif (lookup, grup)
+export function requireConnected(req, res, next) {
+    if (!req.waSession.isConnected || !req.waSession.sock) {
+        return sendError(res, 'NOT_CONNECTED', 'WhatsApp bot is not connected');
+    }
+    next();
+}
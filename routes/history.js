@@ -0,0 +1,134 @@
+import express from 'express';
+import { isGroupJid, toGroupJid } from '../lib/groups.js';
+import { userJidToPhone } from '../lib/phone.js';
+import { createLogger } from '../lib/logger.js';
+import { sendError } from '../lib/errors.js';
+import { parsePhoneList } from './helpers.js';
+
+const log = createLogger('api');
+
+function parseLimit(value, fallback, max) {
+    return Math.min(parseInt(value, 10) || fallback, max);
+}
+
+function parseBoolean(value) {
+    return value === undefined ? undefined : value === 'true';
+}
+
+// Chat, contact and message history from the session's local store.
+// Di-mount di "/" dan "/sessions/:sessionId" seperti route session lain.
+export default function historyRoutes({ requireScope, withSession }) {
+    const router = express.Router({ mergeParams: true });
+    const read = [requireScope('read'), withSession];
+
+    // :jid boleh JID lengkap (chat pribadi / grup) atau nomor HP (+ ?countryCode=)
+    function jidParam(req, res, next) {
+        const { jid } = req.params;
+        if (req.waSession.history.getChat(jid) || req.waSession.history.getContact(jid)) {
+            req.chatJid = jid;
+        } else if (isGroupJid(jid)) {
+            req.chatJid = toGroupJid(jid);
+        } else {
+            const { jids, invalid } = parsePhoneList([jid], { countryCode: req.query.countryCode });
+            if (invalid.length > 0) {
+                return sendError(res, 'INVALID_PHONE', `Invalid chat: ${invalid[0].error}`, { reason: invalid[0].reason });
+            }
+            req.chatJid = jids[0];
+        }
+        next();
+    }
+
+    // API: Chats, latest activity first (?search=, ?archived=true|false)
+    router.get('/chats', ...read, (req, res) => {
+        const { total, chats } = req.waSession.history.listChats({
+            search: req.query.search,
+            archived: parseBoolean(req.query.archived),
+            limit: parseLimit(req.query.limit, 50, 500),
+            offset: parseInt(req.query.offset, 10) || 0
+        });
+        res.json({ success: true, sessionId: req.waSession.id, total, chats });
+    });
+
+    // API: One chat
+    router.get('/chats/:jid', ...read, jidParam, (req, res) => {
+        const chat = req.waSession.history.getChat(req.chatJid);
+        if (!chat) {
+            return sendError(res, 'NOT_FOUND', 'Chat not found');
+        }
+        res.json({ success: true, chat, contact: req.waSession.history.getContact(req.chatJid) });
+    });
+
+    // API: Messages of a chat, newest first; next page with ?before=<nextBefore>
+    router.get('/chats/:jid/messages', ...read, jidParam, (req, res) => {
+        const { history } = req.waSession;
+        if (!history.getChat(req.chatJid)) {
+            return sendError(res, 'NOT_FOUND', 'Chat not found');
+        }
+
+        const page = history.listMessages(req.chatJid, {
+            before: req.query.before,
+            limit: parseLimit(req.query.limit, 50, 500)
+        });
+        if (!page) {
+            return sendError(res, 'VALIDATION_FAILED', 'Unknown "before" message id for this chat');
+        }
+        res.json({ success: true, chat: req.chatJid, ...page });
+    });
+
+    // API: Full-text search over stored messages (?q=, ?chat=, ?fromMe=true|false)
+    router.get('/search', ...read, (req, res) => {
+        const query = (req.query.q || '').trim();
+        if (query.length < 2) {
+            return sendError(res, 'VALIDATION_FAILED', 'Query "q" must be at least 2 characters');
+        }
+
+        const messages = req.waSession.history.search(query, {
+            chat: req.query.chat,
+            fromMe: parseBoolean(req.query.fromMe),
+            limit: parseLimit(req.query.limit, 50, 500)
+        });
+        res.json({ success: true, query, count: messages.length, messages });
+    });
+
+    // API: Contacts (?search=)
+    router.get('/contacts', ...read, (req, res) => {
+        const { total, contacts } = req.waSession.history.listContacts({
+            search: req.query.search,
+            limit: parseLimit(req.query.limit, 100, 1000),
+            offset: parseInt(req.query.offset, 10) || 0
+        });
+        res.json({ success: true, sessionId: req.waSession.id, total, contacts });
+    });
+
+    // API: Contact info; saat online dilengkapi foto profil, status (about) dan cek WhatsApp
+    router.get('/contacts/:jid', ...read, jidParam, async (req, res) => {
+        const session = req.waSession;
+        const jid = req.chatJid;
+        const stored = session.history.getContact(jid);
+        const online = session.isConnected && !!session.sock;
+
+        if (!stored && !online) {
+            return sendError(res, 'NOT_FOUND', 'Contact not found');
+        }
+
+        const contact = { ...(stored || { id: jid, phone: userJidToPhone(jid) }), chat: session.history.getChat(jid) };
+        if (online) {
+            const [picture, status, exists] = await Promise.allSettled([
+                session.sock.profilePictureUrl(jid, 'image'),
+                session.sock.fetchStatus(jid),
+                isGroupJid(jid) ? true : session.lookup.exists(session.sock, jid)
+            ]);
+            // fetchStatus: objek di Baileys lama, array di versi baru
+            const about = Array.isArray(status.value) ? status.value[0]?.status : status.value;
+            contact.profilePictureUrl = picture.value || null;
+            contact.about = about?.status ?? null;
+            contact.onWhatsApp = exists.status === 'fulfilled' ? exists.value : null;
+            if (exists.status === 'rejected') {
+                log.warn({ sessionId: session.id, jid, err: exists.reason?.message }, 'Contact lookup failed');
+            }
+        }
+        res.json({ success: true, contact });
+    });
+
+    return router;
+}
@@ -0,0 +1,101 @@
+import express from 'express';
+import {
+    InteractiveError, buildPoll, buildLocation, buildContactCards, buildReaction, pollResults
+} from '../lib/interactive.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { respondQueued, respondError, resolveRecipient, resolveQuoted, respondRecipientError } from './helpers.js';
+
+// Polls, reactions, locations and contact cards. Penerima divalidasi sama
+// seperti /send-message (phone + countryCode, jid atau groupId).
+export default function interactiveRoutes({ requireScope, withSession, idempotent }) {
+    const router = express.Router({ mergeParams: true });
+    const send = [requireScope('send'), withSession];
+    const read = [requireScope('read'), withSession];
+
+    // build(req.body, recipient) -> konten Baileys; body divalidasi dengan schema OpenAPI,
+    // InteractiveError -> 400 VALIDATION_FAILED / 404 MESSAGE_NOT_FOUND, error lain lewat respondError
+    // (jangan di-throw: Express 4 tidak menangkap rejection dari handler async)
+    function sendRoute(path, schema, build, { quote = true } = {}) {
+        router.post(path, ...send, validateBody(schema), idempotent, async (req, res) => {
+            const { phone, groupId, jid, countryCode, mentions, quotedMessageId } = req.body;
+
+            const recipient = await resolveRecipient(req.waSession, { phone, groupId, jid, countryCode, mentions });
+            if (recipient.error) {
+                return respondRecipientError(res, recipient);
+            }
+            const quoted = quote ? resolveQuoted(req.waSession, quotedMessageId) : {};
+            if (quoted.error) {
+                return respondRecipientError(res, quoted);
+            }
+
+            let content;
+            try {
+                content = build(req.body, recipient, req.waSession);
+            } catch (error) {
+                return respondError(res, error);
+            }
+            if (recipient.mentions && !content.react) content.mentions = recipient.mentions;
+
+            await respondQueued(res, req.waSession, {
+                to: recipient.to,
+                jid: recipient.jid,
+                content,
+                ...(quoted.quotedId && { quotedId: quoted.quotedId })
+            });
+        });
+    }
+
+    // API: Poll { name, options: [...], selectableCount? (default 1, 0 = any) }
+    sendRoute('/send-poll', 'SendPoll', (body) => buildPoll(body));
+
+    // API: Location pin { latitude, longitude, name?, address? }
+    sendRoute('/send-location', 'SendLocation', (body) => buildLocation(body));
+
+    // API: Contact card(s) { contacts: [{ name, phone, organization?, email? }] }
+    sendRoute('/send-contact', 'SendContact', (body) => buildContactCards(body.contacts, { countryCode: body.countryCode }));
+
+    // API: Reaction { messageId, emoji } - emoji kosong menghapus reaksi.
+    // Pesan harus ada di history chat penerima.
+    sendRoute('/send-reaction', 'SendReaction', (body, recipient, session) => {
+        const target = session.history.getMessageRecord(body.messageId);
+        if (!target) throw new InteractiveError('Message not found in chat history', 'MESSAGE_NOT_FOUND');
+        if (target.chat !== recipient.jid) throw new InteractiveError('Message does not belong to this chat');
+        return buildReaction(session.history.getRawMessage(body.messageId).key, body.emoji);
+    }, { quote: false });
+
+    // API: Polls with their current results (?chat=, ?fromMe=true|false)
+    router.get('/polls', ...read, (req, res) => {
+        const polls = req.waSession.history.listPolls({
+            chat: req.query.chat,
+            fromMe: req.query.fromMe === undefined ? undefined : req.query.fromMe === 'true',
+            limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+        });
+        res.json({
+            success: true,
+            sessionId: req.waSession.id,
+            polls: polls.map(poll => ({ messageId: poll.id, chat: poll.chat, fromMe: poll.fromMe, createdAt: poll.timestamp, ...pollResults(poll.poll) }))
+        });
+    });
+
+    // API: Vote results of one poll
+    router.get('/polls/:messageId', ...read, (req, res) => {
+        const record = req.waSession.history.getMessageRecord(req.params.messageId);
+        if (!record?.poll) {
+            return sendError(res, 'MESSAGE_NOT_FOUND', 'Poll not found');
+        }
+        res.json({
+            success: true,
+            poll: {
+                messageId: record.id,
+                chat: record.chat,
+                fromMe: record.fromMe,
+                createdAt: record.timestamp,
+                ...pollResults(record.poll),
+                votes: record.poll.votes
+            }
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,71 @@
+import express from 'express';
+import multer from 'multer';
+import { MEDIA_TYPES, resolveMedia, buildMediaContent, uploadOptions, removeMedia } from '../lib/media.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { respondQueued, respondError, resolveRecipient, resolveQuoted, respondRecipientError } from './helpers.js';
+import { createLogger } from '../lib/logger.js';
+
+const log = createLogger('api');
+
+export default function mediaRoutes({ requireScope, withSession, idempotent }) {
+    const router = express.Router({ mergeParams: true });
+    const upload = multer(uploadOptions()).single('file');
+
+    // Multipart bersifat opsional; body JSON (base64 / path) juga diterima.
+    // withSession dipasang setelah upload supaya field "session" di form terbaca,
+    // jadi file upload dihapus saat response selesai kalau tidak masuk queue
+    // (session tidak ada, validasi gagal, error lain).
+    function handleUpload(req, res, next) {
+        if (!req.is('multipart/form-data')) return next();
+        upload(req, res, (err) => {
+            if (err) return sendError(res, err.code === 'LIMIT_FILE_SIZE' ? 'PAYLOAD_TOO_LARGE' : 'INVALID_MEDIA', err.message);
+            if (req.file) {
+                res.on('close', () => {
+                    if (!res.locals.mediaQueued) removeMedia(req.file.path);
+                });
+            }
+            next();
+        });
+    }
+
+    // API: Send Media (image, document, audio, video, sticker)
+    router.post(`/send-:type(${MEDIA_TYPES.join('|')})`, requireScope('send'), handleUpload, withSession, validateBody('SendMedia'), idempotent, async (req, res) => {
+        const { type } = req.params;
+        const { phone, groupId, jid, countryCode, mentions, quotedMessageId, caption, fileName, mimetype, base64, path, ptt } = req.body;
+
+        const recipient = await resolveRecipient(req.waSession, { phone, groupId, jid, countryCode, mentions });
+        const quoted = resolveQuoted(req.waSession, quotedMessageId);
+        if (recipient.error || quoted.error) {
+            return respondRecipientError(res, recipient.error ? recipient : quoted);
+        }
+
+        let media;
+        try {
+            media = resolveMedia(type, { file: req.file, base64, path, fileName, mimetype });
+        } catch (error) {
+            return respondError(res, error);
+        }
+
+        const content = buildMediaContent(type, {
+            ...media,
+            caption,
+            ptt: ptt === true || ptt === 'true'
+        });
+        if (recipient.mentions) content.mentions = recipient.mentions;
+
+        log.info({ sessionId: req.waSession.id, type, mimetype: media.mimetype, size: media.size, to: recipient.to }, 'Sending media');
+
+        // Mulai di sini file dimiliki queue (dihapus setelah terkirim)
+        res.locals.mediaQueued = true;
+        await respondQueued(res, req.waSession, {
+            to: recipient.to,
+            jid: recipient.jid,
+            content,
+            mediaPath: media.path,
+            ...(quoted.quotedId && { quotedId: quoted.quotedId })
+        });
+    });
+
+    return router;
+}
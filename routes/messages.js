@@ -0,0 +1,31 @@
+import express from 'express';
+import { MESSAGE_STATUSES } from '../lib/message-status.js';
+import { sendError } from '../lib/errors.js';
+
+const STATUSES = [...MESSAGE_STATUSES, 'failed'];
+
+export default function messageRoutes({ tracker, requireScope }) {
+    const router = express.Router();
+
+    // API: Outbound message history (?session=, ?to=, ?status=)
+    router.get('/messages', requireScope('read'), (req, res) => {
+        const { session, to, status } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return sendError(res, 'VALIDATION_FAILED', `Status must be one of: ${STATUSES.join(', ')}`);
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({ success: true, messages: tracker.list({ sessionId: session, to, status, limit }) });
+    });
+
+    // API: Delivery status of one message (WhatsApp messageId or queueId)
+    router.get('/messages/:id', requireScope('read'), (req, res) => {
+        const record = tracker.get(req.params.id);
+        if (!record) {
+            return sendError(res, 'MESSAGE_NOT_FOUND', 'Message not found');
+        }
+        res.json({ success: true, message: record });
+    });
+
+    return router;
+}
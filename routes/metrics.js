@@ -0,0 +1,13 @@
+import express from 'express';
+import { metrics } from '../lib/metrics.js';
+
+export default function metricsRoutes({ requireScope }) {
+    const router = express.Router();
+
+    // API: Prometheus metrics (scrape dengan "Authorization: Bearer <read key>")
+    router.get('/metrics', requireScope('read'), (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    return router;
+}
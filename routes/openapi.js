@@ -0,0 +1,14 @@
+import express from 'express';
+import { buildOpenApiDocument } from '../lib/openapi.js';
+
+export default function openApiRoutes() {
+    const router = express.Router();
+    const document = buildOpenApiDocument();
+
+    // API: OpenAPI 3.1 document, tanpa API key (untuk generator client / Swagger UI)
+    router.get('/openapi.json', (req, res) => {
+        res.json(document);
+    });
+
+    return router;
+}
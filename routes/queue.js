@@ -0,0 +1,52 @@
+import express from 'express';
+import { QUEUE_STATUSES } from '../lib/queue.js';
+import { sendError } from '../lib/errors.js';
+
+export default function queueRoutes({ requireScope, withSession, audited }) {
+    const router = express.Router({ mergeParams: true });
+
+    // API: List queued messages
+    router.get('/queue', requireScope('read'), withSession, (req, res) => {
+        const { status } = req.query;
+        if (status && !QUEUE_STATUSES.includes(status)) {
+            return sendError(res, 'VALIDATION_FAILED', `Status must be one of: ${QUEUE_STATUSES.join(', ')}`);
+        }
+
+        const { queue } = req.waSession;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        res.json({
+            success: true,
+            sessionId: req.waSession.id,
+            stats: queue.stats(),
+            items: queue.list({ status, limit })
+        });
+    });
+
+    // API: Get a single queued message
+    router.get('/queue/:id', requireScope('read'), withSession, (req, res) => {
+        const item = req.waSession.queue.get(req.params.id);
+        if (!item) {
+            return sendError(res, 'NOT_FOUND', 'Queued message not found');
+        }
+        res.json({ success: true, item });
+    });
+
+    // API: Retry a dead-lettered message
+    router.post('/queue/:id/retry', requireScope('admin'), withSession, audited('queue.retry'), (req, res) => {
+        const item = req.waSession.queue.retry(req.params.id);
+        if (!item) {
+            return sendError(res, 'NOT_FOUND', 'No dead-lettered message with that id');
+        }
+        res.json({ success: true, item });
+    });
+
+    // API: Remove a message from the queue
+    router.delete('/queue/:id', requireScope('admin'), withSession, audited('queue.delete'), (req, res) => {
+        if (!req.waSession.queue.remove(req.params.id)) {
+            return sendError(res, 'NOT_FOUND', 'Queued message not found or currently sending');
+        }
+        res.json({ success: true, message: 'Queued message removed' });
+    });
+
+    return router;
+}
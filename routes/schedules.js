@@ -0,0 +1,92 @@
+import express from 'express';
+import { SCHEDULE_STATUSES, ScheduleError } from '../lib/scheduler.js';
+import { validateTemplate } from '../lib/templates.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { respondError, resolveRecipient, respondRecipientError } from './helpers.js';
+
+function parseMaxRuns(value) {
+    if (value === undefined || value === null) return undefined;
+    const maxRuns = Number(value);
+    if (!Number.isInteger(maxRuns) || maxRuns < 1) throw new ScheduleError('maxRuns must be a positive integer');
+    return maxRuns;
+}
+
+export default function scheduleRoutes({ scheduler, requireScope, withSession, idempotent }) {
+    const router = express.Router();
+
+    // API: Schedule a one-off (sendAt) or recurring (cron) message
+    router.post('/schedules', requireScope('send'), withSession, validateBody('CreateSchedule'), idempotent, async (req, res) => {
+        const { phone, groupId, jid, countryCode, mentions, message, template, variables = {}, sendAt, cron, timezone, endAt, catchUp, name } = req.body;
+
+        const recipient = await resolveRecipient(req.waSession, { phone, groupId, jid, countryCode, mentions });
+        if (recipient.error) {
+            return respondRecipientError(res, recipient);
+        }
+
+        try {
+            if (message) validateTemplate(message);
+            const job = scheduler.create({
+                sessionId: req.waSession.id,
+                ...recipient,
+                message,
+                template,
+                variables,
+                sendAt,
+                cron,
+                timezone,
+                endAt,
+                maxRuns: parseMaxRuns(req.body.maxRuns),
+                catchUp,
+                name
+            });
+            res.status(201).json({ success: true, schedule: job });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: List schedules (?status=, ?session=, ?to=)
+    router.get('/schedules', requireScope('read'), (req, res) => {
+        const { status, session, to } = req.query;
+        if (status && !SCHEDULE_STATUSES.includes(status)) {
+            return sendError(res, 'VALIDATION_FAILED', `Status must be one of: ${SCHEDULE_STATUSES.join(', ')}`);
+        }
+        res.json({ success: true, schedules: scheduler.list({ status, sessionId: session, to }) });
+    });
+
+    router.get('/schedules/:id', requireScope('read'), (req, res) => {
+        const job = scheduler.get(req.params.id);
+        if (!job) {
+            return sendError(res, 'NOT_FOUND', 'Schedule not found');
+        }
+        res.json({ success: true, schedule: job });
+    });
+
+    // API: Move a schedule { sendAt | cron, timezone?, endAt?, maxRuns? }
+    router.post('/schedules/:id/reschedule', requireScope('send'), validateBody('Reschedule'), (req, res) => {
+        const { sendAt, cron, timezone, endAt } = req.body;
+        try {
+            const job = scheduler.reschedule(req.params.id, { sendAt, cron, timezone, endAt, maxRuns: parseMaxRuns(req.body.maxRuns) });
+            if (!job) {
+                return sendError(res, 'NOT_FOUND', 'Schedule not found');
+            }
+            res.json({ success: true, schedule: job });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    router.post('/schedules/:id/cancel', requireScope('send'), (req, res) => {
+        const job = scheduler.cancel(req.params.id);
+        if (!job) {
+            const exists = scheduler.get(req.params.id);
+            return exists
+                ? sendError(res, 'CONFLICT', `Schedule is already ${exists.status}`)
+                : sendError(res, 'NOT_FOUND', 'Schedule not found');
+        }
+        res.json({ success: true, schedule: job });
+    });
+
+    return router;
+}
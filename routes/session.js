@@ -0,0 +1,179 @@
+import express from 'express';
+import QRCode from 'qrcode';
+import { parsePhone, userJidToPhone, PhoneError } from '../lib/phone.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import {
+    respondQueued, respondError, resolveRecipient, resolveQuoted, respondRecipientError, requireConnected
+} from './helpers.js';
+
+// Routes yang bekerja pada satu session; di-mount di "/" dan "/sessions/:sessionId"
+export default function sessionRoutes({ templates, requireScope, withSession, audited, idempotent }) {
+    const router = express.Router({ mergeParams: true });
+
+    // API: Reconnect tanpa hapus auth (mis. setelah connectionReplaced)
+    router.post('/reconnect', requireScope('admin'), withSession, audited('session.reconnect'), (req, res) => {
+        req.waSession.reconnect();
+        res.json({
+            success: true,
+            message: 'Reconnecting...',
+            sessionId: req.waSession.id
+        });
+    });
+
+    // API: Clear Auth
+    router.post('/clear-auth', requireScope('admin'), withSession, audited('session.clear_auth'), async (req, res) => {
+        try {
+            await req.waSession.clearAuth();
+
+            res.json({ 
+                success: true, 
+                message: 'Auth cleared. Reconnecting...',
+                sessionId: req.waSession.id
+            });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: Get QR Code (+ pairing code kalau sedang login dengan nomor HP)
+    router.get('/qr', requireScope('admin'), withSession, (req, res) => {
+        const { currentQR, isConnected, id, pairing } = req.waSession;
+        const login = req.waSession.login();
+
+        if (currentQR) {
+            res.json({
+                success: true,
+                sessionId: id,
+                qr: currentQR,
+                message: pairing ? `Enter pairing code ${pairing.code} on ${pairing.phone} or scan this QR code` : 'Scan this QR code with WhatsApp',
+                length: currentQR.length,
+                login,
+                pairingCode: pairing?.code || null
+            });
+        } else {
+            res.json({
+                success: false,
+                sessionId: id,
+                message: isConnected ? 'Already connected' : 'QR not available yet',
+                connected: isConnected,
+                login,
+                pairingCode: pairing?.code || null
+            });
+        }
+    });
+
+    // API: QR code sebagai gambar PNG (?size=320), di-render di server tanpa CDN
+    router.get('/qr.png', requireScope('admin'), withSession, async (req, res) => {
+        const { currentQR } = req.waSession;
+        if (!currentQR) {
+            return sendError(res, 'NOT_FOUND', req.waSession.isConnected ? 'Already connected' : 'QR not available yet');
+        }
+
+        const size = Math.min(Math.max(parseInt(req.query.size, 10) || 320, 128), 1024);
+        try {
+            const png = await QRCode.toBuffer(currentQR, { type: 'png', width: size, margin: 2, errorCorrectionLevel: 'M' });
+            res.set('Cache-Control', 'no-store');
+            res.type('png').send(png);
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: Pairing code - link tanpa scan QR
+    router.post('/pairing-code', requireScope('admin'), withSession, audited('session.pairing_code', req => ({ phone: req.body.phone })), validateBody('PairingCode'), async (req, res) => {
+        const { phone, countryCode } = req.body;
+
+        try {
+            const pairing = await req.waSession.requestPairingCode(parsePhone(phone, { countryCode }).phone);
+            res.json({
+                success: true,
+                sessionId: req.waSession.id,
+                phone: pairing.phone,
+                pairingCode: pairing.code,
+                message: 'WhatsApp → Linked Devices → Link a Device → Link with phone number instead, then enter this code'
+            });
+        } catch (error) {
+            // INVALID_PHONE (+ reason TOO_SHORT, INVALID_COUNTRY, ...), NOT_CONNECTED, CONFLICT
+            respondError(res, error);
+        }
+    });
+
+    // API: Send Message (raw "message" atau "template" + "variables") ke nomor atau grup.
+    // quotedMessageId: balas (quote) pesan dari history
+    router.post('/send-message', requireScope('send'), withSession, validateBody('SendMessage'), idempotent, async (req, res) => {
+        const { phone, groupId, jid, countryCode, mentions, quotedMessageId, message, template, variables = {} } = req.body;
+
+        const recipient = await resolveRecipient(req.waSession, { phone, groupId, jid, countryCode, mentions });
+        if (recipient.error) {
+            return respondRecipientError(res, recipient);
+        }
+        const quoted = resolveQuoted(req.waSession, quotedMessageId);
+        if (quoted.error) {
+            return respondRecipientError(res, quoted);
+        }
+
+        let text = message;
+        if (template) {
+            try {
+                text = templates.render(template, { phone: recipient.to, ...variables });
+            } catch (error) {
+                return respondError(res, error);
+            }
+        }
+
+        await respondQueued(res, req.waSession, {
+            to: recipient.to,
+            jid: recipient.jid,
+            content: { text, ...(recipient.mentions && { mentions: recipient.mentions }) },
+            ...(quoted.quotedId && { quotedId: quoted.quotedId }),
+            ...(template && { template })
+        });
+    });
+
+    // API: Cek nomor terdaftar di WhatsApp { phones: [...], countryCode? } (hasil di-cache)
+    router.post('/lookup', requireScope('read'), withSession, validateBody('Lookup'), requireConnected, async (req, res) => {
+        const { phones, countryCode } = req.body;
+
+        const parsed = phones.map(input => {
+            const fromJid = userJidToPhone(input);
+            if (fromJid) return { input, phone: fromJid, jid: `${fromJid}@s.whatsapp.net` };
+            try {
+                const { phone, e164, country, jid } = parsePhone(input, { countryCode });
+                return { input, phone, e164, country, jid };
+            } catch (error) {
+                if (!(error instanceof PhoneError)) throw error;
+                return { input, valid: false, reason: error.reason, error: error.message };
+            }
+        });
+
+        try {
+            const found = await req.waSession.lookup.check(req.waSession.sock, parsed.filter(p => p.jid).map(p => p.jid));
+            const results = parsed.map(entry => (entry.jid ? { ...entry, valid: true, ...found.get(entry.jid) } : entry));
+            res.json({
+                success: true,
+                sessionId: req.waSession.id,
+                results,
+                summary: {
+                    total: results.length,
+                    registered: results.filter(r => r.exists).length,
+                    notRegistered: results.filter(r => r.valid && !r.exists).length,
+                    invalid: results.filter(r => !r.valid).length
+                }
+            });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: Status
+    router.get('/status', requireScope('read'), withSession, (req, res) => {
+        res.json({
+            ...req.waSession.status(),
+            uptime: Math.floor(process.uptime()),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+import { DEFAULT_SESSION } from '../lib/sessions.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+
+export default function sessionsRoutes({ sessions, requireScope, audited }) {
+    const router = express.Router();
+
+    // API: List sessions
+    router.get('/sessions', requireScope('read'), (req, res) => {
+        res.json({
+            success: true,
+            sessions: sessions.list().map(session => ({ ...session.status(), createdAt: session.createdAt }))
+        });
+    });
+
+    // API: Create a session (QR muncul di /sessions/:id/qr).
+    // id: huruf kecil, angka, "-" atau "_", maks 32 karakter (lihat schema CreateSession)
+    router.post('/sessions', requireScope('admin'), audited('session.create', req => ({ id: req.body.id })), validateBody('CreateSession'), (req, res) => {
+        const { id } = req.body;
+
+        if (sessions.get(id)) {
+            return sendError(res, 'CONFLICT', `Session "${id}" already exists`);
+        }
+
+        const session = sessions.create(id);
+        res.status(201).json({
+            success: true,
+            message: 'Session created. Scan the QR code to link it.',
+            session: session.status()
+        });
+    });
+
+    // API: Get one session
+    router.get('/sessions/:sessionId', requireScope('read'), (req, res) => {
+        const session = sessions.get(req.params.sessionId);
+        if (!session) {
+            return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
+        }
+        res.json({ success: true, session: { ...session.status(), createdAt: session.createdAt } });
+    });
+
+    // API: Delete a session (logout + hapus auth, queue & folder sessions/<id>)
+    router.delete('/sessions/:sessionId', requireScope('admin'), audited('session.delete'), async (req, res) => {
+        const { sessionId } = req.params;
+        if (sessionId === DEFAULT_SESSION) {
+            return sendError(res, 'CONFLICT', 'The default session cannot be deleted, use /clear-auth instead');
+        }
+
+        try {
+            if (!await sessions.remove(sessionId)) {
+                return sendError(res, 'SESSION_NOT_FOUND', 'Session not found');
+            }
+            res.json({ success: true, message: `Session "${sessionId}" deleted` });
+        } catch (error) {
+            sendError(res, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,75 @@
+import express from 'express';
+import { TEMPLATE_NAME_PATTERN, renderTemplate, validateTemplate } from '../lib/templates.js';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+import { respondError } from './helpers.js';
+
+export default function templateRoutes({ templates, requireScope, audited }) {
+    const router = express.Router();
+
+    // API: List templates
+    router.get('/templates', requireScope('read'), (req, res) => {
+        res.json({ success: true, templates: templates.list() });
+    });
+
+    // API: Preview an unsaved template body
+    router.post('/templates/render', requireScope('read'), validateBody('RenderTemplate'), (req, res) => {
+        const { body, variables = {} } = req.body;
+
+        try {
+            validateTemplate(body);
+            res.json({ success: true, text: renderTemplate(body, variables) });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: Get one template
+    router.get('/templates/:name', requireScope('read'), (req, res) => {
+        const template = templates.get(req.params.name);
+        if (!template) {
+            return sendError(res, 'TEMPLATE_NOT_FOUND', 'Template not found');
+        }
+        res.json({ success: true, template });
+    });
+
+    // API: Create or update a template
+    router.put('/templates/:name', requireScope('admin'), audited('template.save'), validateBody('SaveTemplate'), (req, res) => {
+        const { name } = req.params;
+        const { body, description } = req.body;
+        const required = req.body.required ?? [];
+
+        if (!TEMPLATE_NAME_PATTERN.test(name)) {
+            return sendError(res, 'VALIDATION_FAILED', 'Template name may only contain letters, numbers, "-" and "_" (max 64 chars)');
+        }
+        if (!body.trim()) {
+            return sendError(res, 'VALIDATION_FAILED', 'body must not be empty');
+        }
+
+        try {
+            const { template, created } = templates.save(name, { body, description, required });
+            res.status(created ? 201 : 200).json({ success: true, template });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: Preview a stored template
+    router.post('/templates/:name/render', requireScope('read'), validateBody('RenderStoredTemplate'), (req, res) => {
+        try {
+            res.json({ success: true, text: templates.render(req.params.name, req.body.variables || {}) });
+        } catch (error) {
+            respondError(res, error);
+        }
+    });
+
+    // API: Delete a template
+    router.delete('/templates/:name', requireScope('admin'), audited('template.delete'), (req, res) => {
+        if (!templates.remove(req.params.name)) {
+            return sendError(res, 'TEMPLATE_NOT_FOUND', 'Template not found');
+        }
+        res.json({ success: true, message: 'Template deleted' });
+    });
+
+    return router;
+}
@@ -0,0 +1,56 @@
+import express from 'express';
+import { sendError } from '../lib/errors.js';
+import { validateBody } from '../lib/openapi.js';
+
+function maskSecret(hook) {
+    return { ...hook, secret: hook.secret ? `${hook.secret.slice(0, 4)}…` : null };
+}
+
+export default function webhookRoutes({ webhooks, requireScope, audited }) {
+    const router = express.Router();
+    router.use('/webhooks', requireScope('admin'));
+
+    // API: List webhooks
+    router.get('/webhooks', (req, res) => {
+        res.json({ success: true, webhooks: webhooks.list().map(maskSecret) });
+    });
+
+    // API: Register a webhook
+    router.post('/webhooks', audited('webhook.create', req => ({ url: req.body.url, events: req.body.events })), validateBody('CreateWebhook'), (req, res) => {
+        const { url, events, secret } = req.body;
+
+        // Secret hanya ditampilkan sekali di response ini
+        const hook = webhooks.add({ url, events: events ?? undefined, secret });
+        res.status(201).json({ success: true, webhook: hook });
+    });
+
+    // API: Recent webhook deliveries
+    router.get('/webhooks/deliveries', (req, res) => {
+        const { webhookId, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        res.json({ success: true, deliveries: webhooks.deliveries({ webhookId, status, limit }) });
+    });
+
+    // API: Send a test event to one webhook
+    router.post('/webhooks/:id/test', audited('webhook.test'), (req, res) => {
+        if (!webhooks.get(req.params.id)) {
+            return sendError(res, 'NOT_FOUND', 'Webhook not found');
+        }
+        const [delivery] = webhooks.dispatch('webhook.test', { message: 'Test delivery' }, { only: req.params.id });
+        res.json({ success: true, delivery });
+    });
+
+    // API: Remove a webhook
+    router.delete('/webhooks/:id', audited('webhook.delete'), (req, res) => {
+        const hook = webhooks.get(req.params.id);
+        if (hook?.readOnly) {
+            return sendError(res, 'FORBIDDEN', 'Webhooks from WEBHOOK_URLS cannot be removed via the API');
+        }
+        if (!webhooks.remove(req.params.id)) {
+            return sendError(res, 'NOT_FOUND', 'Webhook not found');
+        }
+        res.json({ success: true, message: 'Webhook removed' });
+    });
+
+    return router;
+}
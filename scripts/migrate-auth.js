@@ -0,0 +1,70 @@
+// Pindahkan folder auth lama (useMultiFileAuthState, mis. auth_info_baileys) ke auth store aktif.
+// Jalankan saat bot mati, dengan env yang sama seperti server:
+//   AUTH_STORE=redis REDIS_URL=... AUTH_ENCRYPTION_KEY=... npm run migrate-auth -- --session default [--from ./auth_info_baileys] [--force]
+// Dengan AUTH_STORE=fs dan folder yang sama, file dienkripsi di tempat.
+import fs from 'fs';
+import { join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { openAuthBackend, createCipher } from '../lib/auth-state.js';
+import { sessionPaths, DEFAULT_SESSION, SESSION_ID_PATTERN } from '../lib/sessions.js';
+
+const { values: args } = parseArgs({
+    options: {
+        session: { type: 'string', default: DEFAULT_SESSION },
+        from: { type: 'string' },
+        force: { type: 'boolean', default: false }
+    }
+});
+
+function fail(message) {
+    console.error(`❌ ${message}`);
+    process.exit(1);
+}
+
+if (!SESSION_ID_PATTERN.test(args.session)) fail(`Invalid session id "${args.session}"`);
+
+const { authFolder } = sessionPaths(args.session);
+const source = resolve(args.from || authFolder);
+if (!fs.existsSync(join(source, 'creds.json'))) fail(`No creds.json found in ${source}`);
+
+const backend = await openAuthBackend().catch(error => fail(error.message));
+const store = backend.scope({ id: args.session, folder: authFolder });
+const inPlace = backend.name === 'fs' && resolve(store.location) === source;
+
+if (inPlace && !backend.encrypted) {
+    console.log('ℹ️ Source and target are the same folder and AUTH_ENCRYPTION_KEY is not set, nothing to do');
+    process.exit(0);
+}
+
+const existing = inPlace ? [] : await store.keys();
+if (existing.includes('creds')) {
+    if (!args.force) fail(`Session "${args.session}" already has credentials in ${store.location}, use --force to overwrite`);
+    console.log(`🗑️ Clearing ${existing.length} existing key(s)`);
+    await store.clear();
+}
+
+// File yang sudah terenkripsi (dari migrasi sebelumnya) dibuka dulu
+const cipher = createCipher(process.env.AUTH_ENCRYPTION_KEY);
+
+let migrated = 0;
+let skipped = 0;
+for (const file of fs.readdirSync(source).filter(name => name.endsWith('.json'))) {
+    const key = file.slice(0, -'.json'.length);
+    try {
+        const value = cipher.decrypt(fs.readFileSync(join(source, file), 'utf8'));
+        JSON.parse(value);
+        await store.set(key, value);
+        migrated++;
+    } catch (error) {
+        console.error(`⚠️ Skipped ${file}: ${error.message}`);
+        skipped++;
+    }
+}
+
+await backend.close();
+
+console.log(`✅ Migrated ${migrated} key(s) from ${source} to ${store.location}${backend.encrypted ? ' (encrypted)' : ''}`);
+if (skipped > 0) console.log(`⚠️ ${skipped} file(s) skipped`);
+if (args.session !== DEFAULT_SESSION) {
+    console.log(`ℹ️ Make sure session "${args.session}" exists (POST /sessions) before starting the bot`);
+}
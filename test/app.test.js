@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { events } from '../lib/events.js';
+import { startTestApp } from './helpers/app.js';
+
+const APP_EVENTS = ['message.received', 'poll.updated', 'outbound.updated', 'message.receipt'];
+
+const listenerCounts = () => Object.fromEntries(APP_EVENTS.map(type => [type, events.listenerCount(type)]));
+
+// Catat interval yang dibuat dan dilepas selama fn berjalan
+async function trackIntervals(fn) {
+    const { setInterval: originalSet, clearInterval: originalClear } = globalThis;
+    const active = new Set();
+    globalThis.setInterval = (...args) => {
+        const timer = originalSet(...args);
+        active.add(timer);
+        return timer;
+    };
+    globalThis.clearInterval = (timer) => {
+        active.delete(timer);
+        return originalClear(timer);
+    };
+    try {
+        await fn();
+    } finally {
+        Object.assign(globalThis, { setInterval: originalSet, clearInterval: originalClear });
+    }
+    return active;
+}
+
+test('stop() closes sockets and detaches the app from the event bus', async () => {
+    const before = listenerCounts();
+    let app;
+    let sock;
+
+    // Scheduler tick, sweep percakapan, ... tidak boleh tertinggal setelah stop()
+    const leftover = await trackIntervals(async () => {
+        app = await startTestApp();
+        sock = await app.connect();
+        assert.ok(events.listenerCount('message.received') > before['message.received']);
+        await app.close();
+    });
+
+    assert.equal(leftover.size, 0);
+    assert.deepEqual(listenerCounts(), before);
+    assert.equal(sock.ended, true);
+    assert.equal(app.sessions.get('default').isConnected, false);
+});
+
+test('a second app in the same process registers its own metrics', async () => {
+    const first = await startTestApp();
+    await first.close();
+
+    const second = await startTestApp();
+    try {
+        await second.connect();
+        const res = await second.get('/metrics');
+        assert.equal(res.status, 200);
+        assert.match(res.body, /^wab_connected\{session="default"\} 1$/m);
+    } finally {
+        await second.close();
+    }
+});
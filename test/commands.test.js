@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = fs.mkdtempSync(join(tmpdir(), 'whatsapp-bot-commands-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Env dibaca saat router dibuat
+process.env.LOG_LEVEL = 'silent';
+process.env.AUTO_REPLY_DENY = '0812-3456-7890, +60 12-345 6789, abc';
+const { createCommandRouter } = await import('../lib/commands.js');
+
+const fakeSession = () => ({ id: 'default', queue: { enqueue() {} } });
+const incoming = (phone, text) => ({ phone, chat: `${phone}@s.whatsapp.net`, text, isGroup: false, fromMe: false });
+
+test('AUTO_REPLY_DENY accepts local and international formats', () => {
+    const commands = createCommandRouter({ file: join(dir, 'auto-reply.json') });
+    assert.deepEqual(commands.getConfig().deny, ['6281234567890', '60123456789']);
+});
+
+test('denied numbers get no auto-reply', async () => {
+    const commands = createCommandRouter({ file: join(dir, 'auto-reply.json') });
+    const session = fakeSession();
+
+    assert.equal(await commands.handle(incoming('6281234567890', '!help'), session), false);
+    assert.equal(await commands.handle(incoming('6281234567899', '!help'), session), true);
+});
+
+test('env changes still apply after the config was updated through the API', () => {
+    const file = join(dir, 'auto-reply-env.json');
+    createCommandRouter({ file }).updateConfig({ cooldownMs: 5000 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { cooldownMs: 5000 });
+
+    process.env.AUTO_REPLY_DENY = '081299999999';
+    process.env.AUTO_REPLY_ENABLED = 'false';
+    try {
+        const config = createCommandRouter({ file }).getConfig();
+        assert.equal(config.cooldownMs, 5000);
+        assert.deepEqual(config.deny, ['6281299999999']);
+        assert.equal(config.enabled, false);
+    } finally {
+        process.env.AUTO_REPLY_DENY = '0812-3456-7890, +60 12-345 6789, abc';
+        delete process.env.AUTO_REPLY_ENABLED;
+    }
+});
@@ -0,0 +1,223 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { startTestApp, waitFor } from './helpers/app.js';
+
+let app;
+
+before(async () => {
+    app = await startTestApp();
+});
+
+after(() => app.close());
+
+// Tunggu socket baru (reconnect) setelah socket sebelumnya
+const nextSocket = (previous) => waitFor(() => {
+    const latest = app.socket();
+    return latest !== previous && latest;
+}, { message: 'Session never reconnected' });
+
+test('QR codes are exposed until the socket opens', async () => {
+    const sock = app.socket();
+    const qr = sock.showQr();
+
+    const status = await app.get('/status');
+    assert.equal(status.body.connected, false);
+    assert.equal(status.body.qrAvailable, true);
+
+    const res = await app.get('/qr');
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.qr, qr);
+
+    await app.connect();
+    const connected = await app.get('/status');
+    assert.equal(connected.body.connected, true);
+    assert.equal(connected.body.qrAvailable, false);
+
+    const afterOpen = await app.get('/qr');
+    assert.equal(afterOpen.body.message, 'Already connected');
+});
+
+test('messages sent while offline are queued and flushed on connect', async () => {
+    const sock = app.socket();
+    sock.close('connectionLost');
+    const reconnected = await nextSocket(sock);
+
+    const res = await app.post('/send-message', { phone: '081234567890', message: 'Antre dulu' });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.queued, true);
+    assert.equal(res.body.status, 'pending');
+    assert.equal(reconnected.sent.length, 0);
+
+    await app.connect();
+    const item = await waitFor(async () => {
+        const { body } = await app.get(`/queue/${res.body.queueId}`);
+        return body.item.status === 'sent' && body.item;
+    }, { message: 'Queued message was not flushed after connect' });
+    assert.equal(reconnected.sent.length, 1);
+    assert.equal(reconnected.sent[0].key.id, item.messageId);
+});
+
+test('transient disconnects retry with backoff', async () => {
+    const sock = app.socket();
+    sock.close(408, 'Connection Lost');
+
+    const status = await app.get('/status');
+    assert.equal(status.body.connected, false);
+    assert.equal(status.body.reconnect.consecutiveFailures, 1);
+    assert.equal(status.body.reconnect.history[0].action, 'backoff');
+    assert.equal(status.body.reconnect.history[0].statusCode, 408);
+    assert.ok(status.body.reconnect.nextAttemptAt);
+    assert.equal(sock.ended, false);
+
+    // Gagal lagi sebelum terbuka: hitungan backoff naik
+    const second = await nextSocket(sock);
+    second.close(503);
+    const failing = await app.get('/status');
+    assert.equal(failing.body.reconnect.consecutiveFailures, 2);
+
+    await nextSocket(second);
+    await app.connect();
+    const recovered = await app.get('/status');
+    assert.equal(recovered.body.connected, true);
+    assert.equal(recovered.body.reconnect.consecutiveFailures, 0);
+    assert.equal(recovered.body.reconnect.nextAttemptAt, null);
+});
+
+test('restartRequired reconnects immediately', async () => {
+    const sock = app.socket();
+    sock.close('restartRequired');
+
+    await nextSocket(sock);
+    const status = await app.get('/status');
+    assert.equal(status.body.reconnect.history[0].action, 'restart');
+    assert.equal(status.body.reconnect.history[0].delayMs, 0);
+    await app.connect();
+});
+
+test('loggedOut clears credentials and asks for a new QR', async () => {
+    const auth = app.authBackend.scopes.get('default');
+    await auth.set('creds', '{"registered":true}');
+
+    const sock = app.socket();
+    sock.close('loggedOut');
+    await waitFor(() => auth.size === 0, { message: 'Auth state was not cleared' });
+
+    const status = await app.get('/status');
+    assert.equal(status.body.connected, false);
+    assert.equal(status.body.reconnect.history[0].action, 'logout');
+
+    const fresh = await nextSocket(sock);
+    fresh.showQr();
+    const qr = await app.get('/status');
+    assert.equal(qr.body.qrAvailable, true);
+    await app.connect();
+});
+
+test('connectionReplaced stops until POST /reconnect', async () => {
+    const sock = app.socket();
+    sock.close('connectionReplaced');
+
+    const status = await app.get('/status');
+    assert.equal(status.body.connected, false);
+    assert.equal(status.body.reconnect.stopped, 'connectionReplaced');
+    assert.equal(status.body.reconnect.nextAttemptAt, null);
+
+    // Tidak ada reconnect otomatis
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(app.socket(), sock);
+
+    const res = await app.post('/reconnect');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Reconnecting...');
+
+    const fresh = await nextSocket(sock);
+    assert.equal(sock.ended, true);
+    await app.connect();
+    const recovered = await app.get('/status');
+    assert.equal(recovered.body.connected, true);
+    assert.equal(recovered.body.reconnect.stopped, null);
+    assert.equal(app.socket(), fresh);
+});
+
+test('badSession retries a few times, then stops and shows up in /status', async () => {
+    let sock = app.socket();
+    for (let attempt = 1; attempt < 3; attempt++) {
+        sock.close('badSession');
+        const status = await app.get('/status');
+        assert.equal(status.body.reconnect.history[0].reason, 'badSession');
+        assert.equal(status.body.reconnect.history[0].action, 'backoff');
+        assert.equal(status.body.reconnect.stopped, null);
+        sock = await nextSocket(sock);
+    }
+
+    sock.close('badSession');
+    const status = await app.get('/status');
+    assert.equal(status.body.reconnect.history[0].action, 'stop');
+    assert.equal(status.body.reconnect.stopped, 'badSession');
+    assert.equal(status.body.reconnect.nextAttemptAt, null);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(app.socket(), sock);
+
+    await app.post('/reconnect');
+    await nextSocket(sock);
+    await app.connect();
+});
+
+test('events from a replaced socket are ignored', async () => {
+    const sock = app.socket();
+    await app.post('/reconnect');
+    const fresh = await nextSocket(sock);
+
+    sock.open();
+    const status = await app.get('/status');
+    assert.equal(status.body.connected, false);
+
+    fresh.open();
+    await waitFor(() => app.sessions.get('default').isConnected);
+});
+
+test('sessions created through the API get their own socket', async () => {
+    const res = await app.post('/sessions', { id: 'toko-2' });
+    assert.equal(res.status, 201);
+
+    const sock = await waitFor(() => app.socket('toko-2'), { message: 'New session never created a socket' });
+    await app.connect('toko-2');
+
+    const send = await app.post('/sessions/toko-2/send-message', { phone: '081234567890', message: 'Dari toko 2' });
+    assert.equal(send.status, 200);
+    assert.equal(send.body.sessionId, 'toko-2');
+    assert.equal(sock.sent.length, 1);
+    assert.equal(app.socket().sent.some(entry => entry.key.id === send.body.messageId), false);
+});
+
+test('session ids are lower case so they cannot collide', async () => {
+    const res = await app.post('/sessions', { id: 'Default' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+    assert.equal(app.sessions.get('Default'), null);
+});
+
+test('deleting a session releases its queued media and data directory', async () => {
+    assert.equal((await app.post('/sessions', { id: 'toko-3' })).status, 201);
+    await waitFor(() => app.socket('toko-3'), { message: 'New session never created a socket' });
+
+    // Belum terhubung: dokumen tetap di queue bersama file medianya
+    const send = await app.post('/sessions/toko-3/send-document', {
+        phone: '081234567890',
+        base64: Buffer.from('%PDF-1.4 garansi').toString('base64'),
+        fileName: 'garansi.pdf',
+        mimetype: 'application/pdf'
+    });
+    assert.equal(send.status, 202);
+    const { mediaPath } = app.sessions.get('toko-3').queue.get(send.body.queueId);
+    assert.ok(fs.existsSync(mediaPath));
+
+    const res = await app.request('DELETE', '/sessions/toko-3');
+    assert.equal(res.status, 200);
+    assert.equal(app.sessions.get('toko-3'), null);
+    assert.equal(fs.existsSync(join(app.dataDir, 'sessions', 'toko-3')), false);
+    await waitFor(() => !fs.existsSync(mediaPath), { message: 'Queued media was not removed' });
+});
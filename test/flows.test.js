@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startTestApp, waitFor } from './helpers/app.js';
+
+const CUSTOMER = '6281234567895';
+
+// Flow dengan "next" yang melempar error di step pertama
+const BROKEN_FLOW = `export default {
+    id: 'broken',
+    trigger: { commands: ['rusak'] },
+    steps: {
+        serial: {
+            prompt: 'Kirim nomor seri',
+            next: () => { throw new Error('Flow bug'); }
+        },
+        done: { prompt: 'Tidak pernah sampai sini' }
+    }
+};
+`;
+
+let app;
+let sock;
+let flowsDir;
+
+before(async () => {
+    flowsDir = fs.mkdtempSync(join(tmpdir(), 'whatsapp-bot-flows-'));
+    fs.writeFileSync(join(flowsDir, 'broken.js'), BROKEN_FLOW);
+    app = await startTestApp({ env: { FLOWS_DIR: flowsDir } });
+    sock = await app.connect();
+});
+
+after(async () => {
+    await app.close();
+    fs.rmSync(flowsDir, { recursive: true, force: true });
+});
+
+test('a throwing flow does not take the process down', async () => {
+    sock.receive({ from: CUSTOMER, text: '!rusak' });
+    await waitFor(() => sock.sent.some(entry => entry.content.text === 'Kirim nomor seri'), { message: 'Flow never started' });
+
+    sock.receive({ from: CUSTOMER, text: 'SN12345' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const res = await app.get('/conversations');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.conversations.length, 1);
+    assert.equal(res.body.conversations[0].flow, 'broken');
+});
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFakeSocketFactory } from './fake-socket.js';
+
+export const API_KEY = 'test-admin-key';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Auth state di memory: test tidak pernah menyentuh auth_info_baileys atau DATA_DIR asli
+export function createMemoryAuthBackend() {
+    const scopes = new Map();
+
+    return {
+        name: 'memory',
+        encrypted: false,
+        scopes,
+
+        scope({ id }) {
+            if (!scopes.has(id)) scopes.set(id, new Map());
+            const data = scopes.get(id);
+
+            return {
+                location: `memory:${id}`,
+                async get(key) {
+                    return data.has(key) ? data.get(key) : null;
+                },
+                async set(key, value) {
+                    data.set(key, value);
+                },
+                async delete(key) {
+                    data.delete(key);
+                },
+                async keys() {
+                    return [...data.keys()];
+                },
+                async clear() {
+                    data.clear();
+                }
+            };
+        },
+
+        async close() {}
+    };
+}
+
+// Tunggu sampai check() truthy (polling), gagal setelah timeoutMs
+export async function waitFor(check, { timeoutMs = 3000, intervalMs = 10, message = 'Timed out waiting for condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await sleep(intervalMs);
+    }
+    throw new Error(message);
+}
+
+// App lengkap di port acak dengan fake socket. Env di-set sebelum app di-import karena
+// beberapa modul membaca env saat load (DATA_DIR, SEND_WAIT_MS, ...); app berikutnya
+// dalam file test yang sama memakai env dan DATA_DIR dari app pertama.
+export async function startTestApp({ env = {}, socket = {} } = {}) {
+    const tempDir = fs.mkdtempSync(join(tmpdir(), 'whatsapp-bot-test-'));
+    Object.assign(process.env, {
+        DATA_DIR: tempDir,
+        ADMIN_API_KEY: API_KEY,
+        LOG_LEVEL: 'silent',
+        PLUGINS_DIR: join(tempDir, 'no-plugins'),
+        FLOWS_DIR: join(tempDir, 'no-flows'),
+        NEW_CONTACT_GAP_MS: '0',
+        RECONNECT_BASE_MS: '20',
+        RECONNECT_MAX_MS: '100',
+        SEND_WAIT_MS: '2000',
+        ...env
+    });
+
+    const { createApp } = await import('../../app.js');
+    const { dataDir } = await import('../../lib/storage.js');
+    if (dataDir !== tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    const socketFactory = createFakeSocketFactory(socket);
+    const authBackend = createMemoryAuthBackend();
+    const instance = await createApp({ authBackend, socketFactory });
+
+    const server = await new Promise((resolve, reject) => {
+        const listening = instance.app.listen(0, '127.0.0.1', () => resolve(listening));
+        listening.on('error', reject);
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    instance.start();
+    // connect() async: tunggu socket pertama session default dibuat
+    await waitFor(() => socketFactory.latest('default'), { message: 'Default session never created a socket' });
+
+    // { status, headers, body } - body JSON kalau response JSON
+    async function request(method, path, { body, headers = {}, key = API_KEY } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(key && { Authorization: `Bearer ${key}` }),
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...headers
+            },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        const text = await response.text();
+        const json = response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text;
+        return { status: response.status, headers: response.headers, body: json };
+    }
+
+    return {
+        ...instance,
+        baseUrl,
+        dataDir,
+        authBackend,
+        socketFactory,
+        request,
+        get: (path, options) => request('GET', path, options),
+        post: (path, body, options) => request('POST', path, { ...options, body }),
+        socket: (sessionId = 'default') => socketFactory.latest(sessionId),
+
+        // Fake socket session default sampai "open" dan status connected
+        async connect(sessionId = 'default') {
+            const sock = await waitFor(() => socketFactory.latest(sessionId));
+            sock.open();
+            await waitFor(() => instance.sessions.get(sessionId).isConnected, { message: `Session ${sessionId} never connected` });
+            return sock;
+        },
+
+        async close() {
+            await instance.stop();
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
@@ -0,0 +1,188 @@
+import { EventEmitter } from 'events';
+
+// Pengganti socket Baileys untuk test: tidak ada koneksi ke WhatsApp, event
+// connection.update / messages.upsert / receipt dipicu manual dari test.
+// Method yang dipakai app mengikuti nama & bentuk hasil Baileys.
+
+const STATUS_CODES = {
+    connectionClosed: 428,
+    connectionLost: 408,
+    connectionReplaced: 440,
+    timedOut: 408,
+    loggedOut: 401,
+    badSession: 500,
+    restartRequired: 515,
+    multideviceMismatch: 411,
+    forbidden: 403,
+    unavailableService: 503
+};
+
+let messageCounter = 0;
+
+export const nextMessageId = () => `FAKE${Date.now().toString(16).toUpperCase()}${(++messageCounter).toString().padStart(4, '0')}`;
+
+// Konten sendMessage -> proto message (cukup untuk history & normalizeMessage)
+function toMessage(content) {
+    if (content.text !== undefined) return { conversation: content.text };
+    const [type] = Object.keys(content);
+    const { [type]: body, ...rest } = content;
+    return { [`${type}Message`]: body?.url ? rest : { ...body, ...rest } };
+}
+
+export function createFakeSocket({ sessionId = 'default', state = null, phone = '6281100000000', unregistered = [], groups = {} } = {}) {
+    const ev = new EventEmitter();
+    const notOnWhatsApp = new Set(unregistered);
+    const failures = [];
+    let held = null;
+
+    const sock = {
+        sessionId,
+        ev,
+        user: { id: `${phone}:7@s.whatsapp.net`, name: 'Fake Bot' },
+        authState: { creds: state?.creds || { registered: false } },
+        sent: [],
+        ended: false,
+        loggedOut: false,
+
+        async sendMessage(jid, content, options) {
+            if (held) await held.promise;
+            if (failures.length > 0) throw failures.shift();
+            const msg = {
+                key: { id: nextMessageId(), remoteJid: jid, fromMe: true },
+                message: toMessage(content),
+                messageTimestamp: Math.floor(Date.now() / 1000)
+            };
+            sock.sent.push({ jid, content, options, key: msg.key });
+            return msg;
+        },
+
+        // Hanya nomor yang terdaftar yang dikembalikan (seperti server WhatsApp)
+        async onWhatsApp(...jids) {
+            return jids.filter(jid => !notOnWhatsApp.has(jid)).map(jid => ({ jid, exists: true }));
+        },
+
+        async groupMetadata(jid) {
+            if (!groups[jid]) throw Object.assign(new Error('item-not-found'), { output: { statusCode: 404 } });
+            return { id: jid, subject: groups[jid].subject || 'Fake group', participants: groups[jid].participants || [] };
+        },
+
+        async groupFetchAllParticipating() {
+            return Object.fromEntries(Object.keys(groups).map(jid => [jid, { id: jid, subject: groups[jid].subject || 'Fake group', participants: [] }]));
+        },
+
+        // Nomor yang tidak terdaftar gagal dengan status 404, seperti hasil Baileys
+        async groupParticipantsUpdate(jid, jids) {
+            if (!groups[jid]) throw Object.assign(new Error('item-not-found'), { output: { statusCode: 404 } });
+            return jids.map(participant => ({ jid: participant, status: notOnWhatsApp.has(participant) ? '404' : '200' }));
+        },
+
+        async requestPairingCode() {
+            return 'FAKE1234';
+        },
+
+        async presenceSubscribe() {},
+        async sendPresenceUpdate() {},
+        async profilePictureUrl() {
+            return null;
+        },
+        async fetchStatus() {
+            return null;
+        },
+        async updateMediaMessage(msg) {
+            return msg;
+        },
+
+        end() {
+            sock.ended = true;
+        },
+
+        async logout() {
+            sock.loggedOut = true;
+            sock.close(STATUS_CODES.loggedOut);
+        },
+
+        // --- Dipanggil dari test ---
+
+        unregister(...jids) {
+            for (const jid of jids) notOnWhatsApp.add(jid);
+        },
+
+        // Error ini dilempar oleh sendMessage berikutnya
+        failNextSend(error = new Error('Fake send failure')) {
+            failures.push(error);
+        },
+
+        // sendMessage menunggu (status "sending" di queue) sampai fungsi yang dikembalikan dipanggil
+        holdSends() {
+            held = {};
+            held.promise = new Promise(resolve => { held.release = resolve; });
+            const { release } = held;
+            return () => {
+                held = null;
+                release();
+            };
+        },
+
+        showQr(qr = `2@fake-qr-${Date.now()}`) {
+            ev.emit('connection.update', { qr });
+            return qr;
+        },
+
+        open() {
+            ev.emit('connection.update', { connection: 'connecting' });
+            ev.emit('connection.update', { connection: 'open' });
+        },
+
+        // statusCode: angka atau nama DisconnectReason ('loggedOut', 'connectionReplaced', ...)
+        close(statusCode = STATUS_CODES.connectionLost, message = 'Connection Failure') {
+            const code = typeof statusCode === 'string' ? STATUS_CODES[statusCode] : statusCode;
+            ev.emit('connection.update', {
+                connection: 'close',
+                lastDisconnect: { error: Object.assign(new Error(message), { output: { statusCode: code } }), date: new Date() }
+            });
+        },
+
+        // Pesan masuk; text atau message (proto) + from (nomor / JID)
+        receive({ from, text, message, id = nextMessageId(), pushName = 'Tester', participant, type = 'notify' }) {
+            const remoteJid = from.includes('@') ? from : `${from}@s.whatsapp.net`;
+            const msg = {
+                key: { id, remoteJid, fromMe: false, ...(participant && { participant }) },
+                message: message || { conversation: text },
+                messageTimestamp: Math.floor(Date.now() / 1000),
+                pushName
+            };
+            ev.emit('messages.upsert', { messages: [msg], type });
+            return msg;
+        },
+
+        // status: proto.WebMessageInfo.Status (2 server_ack, 3 delivered, 4 read, 5 played, 0 failed)
+        receipt(key, status) {
+            ev.emit('messages.update', [{ key: { fromMe: true, ...key }, update: { status } }]);
+        },
+
+        // Receipt per peserta grup (message-receipt.update)
+        readReceipt(key, userJid, timestamp = Math.floor(Date.now() / 1000)) {
+            ev.emit('message-receipt.update', [{ key: { fromMe: true, ...key }, receipt: { userJid, readTimestamp: timestamp } }]);
+        }
+    };
+
+    return sock;
+}
+
+// socketFactory untuk createApp/createSession; semua socket yang dibuat dicatat
+// supaya test bisa menunggu reconnect (socket baru) per session.
+export function createFakeSocketFactory(options = {}) {
+    const sockets = [];
+
+    async function socketFactory({ sessionId, state }) {
+        const sock = createFakeSocket({ ...options, sessionId, state });
+        sockets.push(sock);
+        return sock;
+    }
+
+    socketFactory.sockets = sockets;
+    socketFactory.socketsFor = (sessionId) => sockets.filter(sock => sock.sessionId === sessionId);
+    socketFactory.latest = (sessionId = 'default') => socketFactory.socketsFor(sessionId).at(-1) || null;
+
+    return socketFactory;
+}
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePhone } from '../lib/phone.js';
+
+test('local and international formats resolve to E.164', () => {
+    assert.equal(parsePhone('081234567890').e164, '+6281234567890');
+    assert.equal(parsePhone('6281234567890').e164, '+6281234567890');
+    assert.equal(parsePhone('+60 12-345 6789').e164, '+60123456789');
+    assert.equal(parsePhone('0065 9123 4567').e164, '+6591234567');
+});
+
+test('bare foreign numbers are ambiguous instead of becoming +62', () => {
+    for (const phone of ['60123456789', '6591234567']) {
+        assert.throws(() => parsePhone(phone), { code: 'INVALID_PHONE', reason: 'AMBIGUOUS' }, phone);
+    }
+});
+
+test('countryCode settles an ambiguous number', () => {
+    assert.equal(parsePhone('60123456789', { countryCode: 'MY' }).e164, '+60123456789');
+    assert.equal(parsePhone('6591234567', { countryCode: '65' }).e164, '+6591234567');
+    assert.equal(parsePhone('60123456789', { countryCode: 'ID' }).e164, '+6260123456789');
+});
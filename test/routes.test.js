@@ -0,0 +1,336 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { events } from '../lib/events.js';
+import { startTestApp, waitFor, API_KEY } from './helpers/app.js';
+
+const GROUP_JID = '120363000000000001@g.us';
+const UNREGISTERED_JID = '6281299999999@s.whatsapp.net';
+
+let app;
+let sock;
+
+before(async () => {
+    app = await startTestApp({
+        env: { QUEUE_RETRY_BASE_MS: '50', QUEUE_RETRY_MAX_MS: '100' },
+        socket: { unregistered: [UNREGISTERED_JID], groups: { [GROUP_JID]: { subject: 'Test group' } } }
+    });
+    sock = await app.connect();
+});
+
+after(() => app.close());
+
+test('GET /health is public', async () => {
+    const res = await app.get('/health', { key: null });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.connected, true);
+});
+
+test('API routes require an API key', async () => {
+    const res = await app.get('/status', { key: null });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'UNAUTHORIZED');
+
+    const wrong = await app.get('/status', { key: 'not-a-key' });
+    assert.equal(wrong.status, 401);
+});
+
+test('unknown routes and broken JSON use the error format', async () => {
+    const missing = await app.get('/does-not-exist');
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { success: false, error: 'Cannot GET /does-not-exist', code: 'NOT_FOUND' });
+
+    const broken = await app.post('/send-message', '{"phone": ');
+    assert.equal(broken.status, 400);
+    assert.equal(broken.body.code, 'INVALID_JSON');
+});
+
+test('GET /status reports the connected bot number', async () => {
+    const res = await app.get('/status');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.connected, true);
+    assert.equal(res.body.botNumber, '6281100000000');
+});
+
+test('POST /send-message validates the body', async () => {
+    const res = await app.post('/send-message', { phone: '081234567890' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_FAILED');
+
+    const invalidPhone = await app.post('/send-message', { phone: '12', message: 'Hi' });
+    assert.equal(invalidPhone.status, 400);
+    assert.equal(invalidPhone.body.code, 'INVALID_PHONE');
+    assert.equal(invalidPhone.body.reason, 'TOO_SHORT');
+});
+
+test('POST /send-message sends through the socket', async () => {
+    const res = await app.post('/send-message', { phone: '081234567890', message: 'Halo dari test' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.to, '6281234567890');
+    assert.ok(res.body.messageId);
+
+    const sent = sock.sent.find(entry => entry.key.id === res.body.messageId);
+    assert.equal(sent.jid, '6281234567890@s.whatsapp.net');
+    assert.deepEqual(sent.content, { text: 'Halo dari test' });
+});
+
+test('POST /send-message returns 404 for numbers not on WhatsApp', async () => {
+    const res = await app.post('/send-message', { jid: UNREGISTERED_JID, message: 'Hi' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_ON_WHATSAPP');
+    assert.equal(res.body.phone, '6281299999999');
+
+    const item = await app.get(`/queue/${res.body.queueId}`);
+    assert.equal(item.body.item.status, 'dead');
+});
+
+test('POST /send-message to a group checks membership', async () => {
+    const res = await app.post('/send-message', { groupId: GROUP_JID, message: 'Halo grup' });
+    assert.equal(res.status, 200);
+    assert.equal(sock.sent.at(-1).jid, GROUP_JID);
+
+    const unknown = await app.post('/send-message', { groupId: '120363000000000099@g.us', message: 'Halo' });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'GROUP_NOT_FOUND');
+});
+
+test('Idempotency-Key replays the first response without sending again', async () => {
+    const headers = { 'Idempotency-Key': 'order-1001' };
+    const first = await app.post('/send-message', { phone: '081234567891', message: 'Pesanan diterima' }, { headers });
+    assert.equal(first.status, 200);
+    const sentCount = sock.sent.length;
+
+    const replay = await app.post('/send-message', { phone: '081234567891', message: 'Pesanan diterima' }, { headers });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.messageId, first.body.messageId);
+    assert.equal(sock.sent.length, sentCount);
+
+    const reused = await app.post('/send-message', { phone: '081234567891', message: 'Isi lain' }, { headers });
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('failed sends stay queued and are retried', async () => {
+    sock.failNextSend(new Error('Connection Closed'));
+
+    const res = await app.post('/send-message', { phone: '081234567892', message: 'Dicoba ulang' });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.queued, true);
+    assert.equal(res.body.lastError, 'Connection Closed');
+
+    const item = await waitFor(async () => {
+        const { body } = await app.get(`/queue/${res.body.queueId}`);
+        return body.item.status === 'sent' && body.item;
+    }, { message: 'Queued message was never retried' });
+    assert.equal(item.attempts, 2);
+    assert.ok(sock.sent.some(entry => entry.key.id === item.messageId));
+});
+
+test('receipts update the message status', async () => {
+    const res = await app.post('/send-message', { phone: '081234567893', message: 'Sudah dibaca?' });
+    const { messageId } = res.body;
+    const key = { id: messageId, remoteJid: '6281234567893@s.whatsapp.net' };
+
+    const sent = await app.get(`/messages/${messageId}`);
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.message.status, 'pending');
+    assert.equal(sent.body.message.messageId, messageId);
+
+    sock.receipt(key, 3);
+    await waitFor(async () => (await app.get(`/messages/${messageId}`)).body.message.status === 'delivered');
+
+    sock.receipt(key, 4);
+    const read = await waitFor(async () => {
+        const { body } = await app.get(`/messages/${messageId}`);
+        return body.message.status === 'read' && body.message;
+    });
+    assert.deepEqual(read.history.map(entry => entry.status), ['pending', 'delivered', 'read']);
+
+    const missing = await app.get('/messages/UNKNOWN');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'MESSAGE_NOT_FOUND');
+});
+
+test('incoming messages are stored in chat history', async () => {
+    const incoming = sock.receive({ from: '6281234567894', text: 'Halo bot', pushName: 'Budi' });
+
+    const chat = await waitFor(async () => {
+        const { body } = await app.get('/chats');
+        return body.chats.find(entry => entry.id === '6281234567894@s.whatsapp.net');
+    }, { message: 'Incoming chat never showed up in /chats' });
+    assert.equal(chat.lastMessage.text, 'Halo bot');
+
+    const { body } = await app.get('/chats/6281234567894@s.whatsapp.net/messages');
+    assert.ok(body.messages.some(message => message.id === incoming.key.id && message.text === 'Halo bot'));
+});
+
+test('POST /lookup reports registered numbers', async () => {
+    const res = await app.post('/lookup', { phones: ['081234567890', UNREGISTERED_JID, 'abc'] });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { total: 3, registered: 1, notRegistered: 1, invalid: 1 });
+});
+
+test('per-session routes answer 404 for unknown sessions', async () => {
+    const res = await app.post('/sessions/nope/send-message', { phone: '081234567890', message: 'Hi' });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'SESSION_NOT_FOUND');
+});
+
+test('uploads are removed when the request is rejected', async () => {
+    const mediaDir = join(app.dataDir, 'media');
+    const files = () => (fs.existsSync(mediaDir) ? fs.readdirSync(mediaDir) : []);
+    const before = files();
+
+    for (const [path, fields] of [
+        ['/sessions/nope/send-image', { phone: '081234567890' }],
+        ['/send-image', { phone: '12' }]
+    ]) {
+        const form = new FormData();
+        for (const [key, value] of Object.entries(fields)) form.append(key, value);
+        form.append('file', new Blob([Buffer.from('fake png')], { type: 'image/png' }), 'foto.png');
+
+        const res = await fetch(`${app.baseUrl}${path}`, { method: 'POST', headers: { Authorization: `Bearer ${API_KEY}` }, body: form });
+        assert.ok(res.status >= 400, `${path} answered ${res.status}`);
+    }
+
+    await waitFor(() => files().length === before.length, { message: 'Rejected uploads were left in data/media' });
+});
+
+test('GET /events fans out from one bus listener per event type', async () => {
+    const baseline = events.listenerCount('outbound.updated');
+
+    // Baca stream SSE sampai event "type" muncul
+    async function openStream() {
+        const controller = new AbortController();
+        const response = await fetch(`${app.baseUrl}/events?types=outbound.updated`, {
+            headers: { Authorization: `Bearer ${API_KEY}` },
+            signal: controller.signal
+        });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        return {
+            async next(type) {
+                while (!buffer.includes(`event: ${type}\n`)) {
+                    const { value, done } = await reader.read();
+                    if (done) throw new Error('Stream closed');
+                    buffer += decoder.decode(value, { stream: true });
+                }
+                const block = buffer.slice(buffer.indexOf(`event: ${type}\n`)).split('\n\n')[0];
+                return JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6));
+            },
+            close: () => controller.abort()
+        };
+    }
+
+    const streams = [await openStream(), await openStream()];
+    assert.equal(events.listenerCount('outbound.updated'), baseline + 1);
+
+    const res = await app.post('/send-message', { phone: '081234567896', message: 'Lewat SSE' });
+    for (const stream of streams) {
+        const event = await stream.next('outbound.updated');
+        assert.equal(event.sessionId, 'default');
+        assert.equal(event.item.id, res.body.queueId);
+    }
+
+    for (const stream of streams) stream.close();
+    await waitFor(() => events.listenerCount('outbound.updated') === baseline, { message: 'SSE listener was not removed' });
+});
+
+test('POST /groups/:id/participants reports partial and total failures', async () => {
+    const path = `/groups/${GROUP_JID}/participants`;
+
+    const partial = await app.post(path, { action: 'add', participants: ['081234567890', UNREGISTERED_JID] });
+    assert.equal(partial.status, 207);
+    assert.equal(partial.body.success, true);
+    assert.equal(partial.body.succeeded, 1);
+    assert.equal(partial.body.failed, 1);
+    assert.deepEqual(partial.body.results.map(result => result.success), [true, false]);
+
+    const failed = await app.post(path, { action: 'add', participants: [UNREGISTERED_JID] });
+    assert.equal(failed.status, 422);
+    assert.equal(failed.body.success, false);
+    assert.equal(failed.body.code, 'PARTICIPANT_UPDATE_FAILED');
+    assert.equal(failed.body.results[0].message, 'Number is not on WhatsApp');
+});
+
+test('POST /login rejects non-string API keys with 401', async () => {
+    for (const apiKey of [12345, { key: API_KEY }, [API_KEY], null]) {
+        const res = await app.post('/login', { apiKey }, { key: null });
+        assert.equal(res.status, 401, `apiKey ${JSON.stringify(apiKey)}`);
+    }
+
+    const res = await fetch(`${app.baseUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ apiKey: API_KEY }),
+        redirect: 'manual'
+    });
+    assert.equal(res.status, 302);
+    assert.match(res.headers.get('set-cookie'), /HttpOnly/);
+});
+
+test('a malformed cookie does not break authentication', async () => {
+    const login = await fetch(`${app.baseUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ apiKey: API_KEY }),
+        redirect: 'manual'
+    });
+    const session = login.headers.get('set-cookie').split(';')[0];
+
+    const withSession = await app.get('/status', { key: null, headers: { Cookie: `broken=%E0%A4%A; ${session}` } });
+    assert.equal(withSession.status, 200);
+
+    const withKey = await app.get('/status', { headers: { Cookie: 'broken=%E0%A4%A' } });
+    assert.equal(withKey.status, 200);
+});
+
+test('cancelling a broadcast settles the recipient that is being sent', async () => {
+    const release = sock.holdSends();
+    const created = await app.post('/broadcasts', {
+        message: 'Halo {{name}}',
+        recipients: [{ phone: '081234500001', name: 'Budi' }, { phone: '081234500002', name: 'Sari' }],
+        minDelayMs: 1000,
+        jitterMs: 0
+    });
+    assert.equal(created.status, 202);
+    const { id } = created.body.broadcast;
+
+    const queue = app.sessions.get('default').queue;
+    await waitFor(() => queue.list({ status: 'sending' }).length === 1, { message: 'Broadcast never started sending' });
+
+    const cancelled = await app.post(`/broadcasts/${id}/cancel`);
+    assert.equal(cancelled.status, 200);
+
+    release();
+    const report = await waitFor(async () => {
+        const res = await app.get(`/broadcasts/${id}`);
+        return res.body.broadcast.progress === 100 && res.body.broadcast;
+    }, { message: 'Cancelled broadcast never reached 100%' });
+    assert.equal(report.status, 'cancelled');
+    assert.deepEqual(
+        (await app.get(`/broadcasts/${id}/report`)).body.recipients.map(recipient => recipient.status),
+        ['sent', 'cancelled']
+    );
+});
+
+test('unexpected errors while building interactive content answer 500', async () => {
+    const sent = await app.post('/send-message', { phone: '081234567897', message: 'Reaksi?' });
+    assert.equal(sent.status, 200);
+
+    const { history } = app.sessions.get('default');
+    const getRawMessage = history.getRawMessage;
+    history.getRawMessage = () => null;
+    try {
+        const res = await app.post('/send-reaction', { phone: '081234567897', messageId: sent.body.messageId, emoji: '👍' });
+        assert.equal(res.status, 500);
+        assert.equal(res.body.code, 'INTERNAL_ERROR');
+    } finally {
+        history.getRawMessage = getRawMessage;
+    }
+});
@@ -0,0 +1,42 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { renderTemplate, validateTemplate, createTemplateStore } from '../lib/templates.js';
+
+const dir = fs.mkdtempSync(join(tmpdir(), 'whatsapp-bot-templates-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('renders variables and filters', () => {
+    const text = renderTemplate('Halo {{ name | title }}, total {{ total | number }}. {{ note | default:"-" }}', { name: 'budi santoso', total: 1500000 });
+    assert.equal(text, 'Halo Budi Santoso, total 1.500.000. -');
+});
+
+test('prototype names are not filters or variables', () => {
+    assert.throws(() => validateTemplate('{{ name | constructor }}'), { code: 'INVALID_TEMPLATE', message: 'Unknown filter "constructor"' });
+    assert.throws(() => renderTemplate('{{ name | toString }}', { name: 'x' }), { code: 'INVALID_TEMPLATE' });
+    assert.throws(() => renderTemplate('Hi {{ constructor }}'), { code: 'MISSING_VARIABLES', missing: ['constructor'] });
+});
+
+test('stored templates only resolve their own names', () => {
+    const store = createTemplateStore({ file: join(dir, 'templates.json') });
+    assert.equal(store.get('constructor'), null);
+    assert.equal(store.remove('toString'), false);
+    assert.throws(() => store.render('toString', {}), { code: 'TEMPLATE_NOT_FOUND' });
+
+    const { created } = store.save('valueOf', { body: 'Halo {{ name }}' });
+    assert.equal(created, true);
+    assert.equal(store.render('valueOf', { name: 'Sari' }), 'Halo Sari');
+    assert.deepEqual(store.list().map(template => template.name), ['valueOf']);
+});
+
+test('invalid currency codes are template errors', () => {
+    assert.equal(renderTemplate('{{ price | currency:usd }}', { price: 10 }), renderTemplate('{{ price | currency:USD }}', { price: 10 }));
+    assert.throws(() => renderTemplate('{{ price | currency:XYZ1 }}', { price: 10 }), { code: 'INVALID_TEMPLATE', message: '"XYZ1" is not a valid currency code' });
+    assert.throws(() => validateTemplate('Total {{ price | currency:XYZ1 }}'), { code: 'INVALID_TEMPLATE' });
+
+    const store = createTemplateStore({ file: join(dir, 'currency.json') });
+    assert.throws(() => store.save('invoice', { body: 'Total {{ price | currency:XYZ1 }}' }), { code: 'INVALID_TEMPLATE' });
+    assert.equal(store.get('invoice'), null);
+});